@@ -1,6 +1,6 @@
 require('dotenv').config();
 const express = require('express');
-const { BACKEND_URL } = require('./config/constants');
+const { BACKEND_URL, CHAT_IMPORT_MAX_BODY } = require('./config/constants');
 const cors = require('cors');
 const mongoose = require('mongoose');
 
@@ -32,6 +32,8 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const Joi = require('joi');
 const { swaggerUi, specs } = require('./swagger');
+const { startAccountDeletionJob } = require('./services/accountDeletion');
+const { startDataExportJob } = require('./services/dataExport');
 
 // Security headers
 app.use(helmet());
@@ -61,6 +63,8 @@ app.use(expressWinston.logger({
 }));
 
 app.use(cors());
+// Imported chat sessions can be much larger than regular requests
+app.use('/api/chat/sessions/import', express.json({ limit: CHAT_IMPORT_MAX_BODY }));
 app.use(express.json());
 
 // Swagger API docs
@@ -75,6 +79,9 @@ app.use('/api/chat', require('./routes/chat'));
 app.use('/api/password-reset', require('./routes/passwordReset'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/personas', require('./routes/personas'));
+app.use('/api/memory', require('./routes/memory'));
+app.use('/api/export', require('./routes/dataExport'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -101,7 +108,11 @@ app.post('/api/validate-example', (req, res) => {
 mongoose.connect(process.env.MONGO_URI, {
   // No longer need useNewUrlParser or useUnifiedTopology
 })
-.then(() => logger.info('MongoDB connected'))
+.then(() => {
+  logger.info('MongoDB connected');
+  startAccountDeletionJob();
+  startDataExportJob();
+})
 .catch((err) => logger.error('MongoDB connection error', { error: err }));
 
 // Error logging middleware (must be after routes)
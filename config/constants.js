@@ -4,5 +4,64 @@ module.exports = {
   APP_NAME: 'Dostify',
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
   RESET_PATH: '/reset-password',
+  // Chat tool loop limits: max tool-calling rounds per message and total time budget for them
+  CHAT_MAX_TOOL_ROUNDS: parseInt(process.env.CHAT_MAX_TOOL_ROUNDS, 10) || 5,
+  CHAT_TOOL_TIME_BUDGET_MS: parseInt(process.env.CHAT_TOOL_TIME_BUDGET_MS, 10) || 90000,
+  // How long a destructive AI action waits for the user's confirmation
+  PENDING_ACTION_TTL_MS: parseInt(process.env.PENDING_ACTION_TTL_MS, 10) || 10 * 60 * 1000,
+  // Chat context: token budget for the messages sent to the AI (system prompt, summary and history),
+  // and the cap on a single tool result inside it
+  CHAT_CONTEXT_TOKENS: parseInt(process.env.CHAT_CONTEXT_TOKENS, 10) || 6000,
+  CHAT_TOOL_RESULT_MAX_TOKENS: parseInt(process.env.CHAT_TOOL_RESULT_MAX_TOKENS, 10) || 1500,
+  CHAT_CONTEXT_MAX_MESSAGES: 100, // Most recent messages loaded when assembling the context
+  // Rolling summary: refresh once this many older messages aren't covered by it yet,
+  // reading at most this many tokens of them per refresh
+  CHAT_SUMMARY_MIN_MESSAGES: parseInt(process.env.CHAT_SUMMARY_MIN_MESSAGES, 10) || 6,
+  CHAT_SUMMARY_CHUNK_TOKENS: parseInt(process.env.CHAT_SUMMARY_CHUNK_TOKENS, 10) || 4000,
+  // Long-term memory: max memories per user, and how many relevant ones go into the chat prompt
+  MEMORY_MAX_PER_USER: parseInt(process.env.MEMORY_MAX_PER_USER, 10) || 200,
+  MEMORY_PROMPT_LIMIT: parseInt(process.env.MEMORY_PROMPT_LIMIT, 10) || 8,
+  // Sign-in sessions: access token lifetime, and how long a device stays signed in without refreshing
+  ACCESS_TOKEN_TTL_SECONDS: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60,
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  // Email verification: link lifetime, and how many verification emails an account may request per hour
+  EMAIL_VERIFICATION_TTL_HOURS: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24,
+  EMAIL_VERIFICATION_RESEND_PER_HOUR: parseInt(process.env.EMAIL_VERIFICATION_RESEND_PER_HOUR, 10) || 3,
+  // Two-factor login: time allowed between the password and the code step, and recovery codes issued
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS, 10) || 5 * 60,
+  TWO_FACTOR_RECOVERY_CODES: 10,
+  // Login throttling (services/authThrottle.js): failures are counted per account and per IP within a
+  // window that restarts with each failure. After a few, each attempt waits 1s, 2s, 4s... (capped);
+  // reaching the limit locks sign-in for LOGIN_LOCK_MINUTES.
+  LOGIN_FAILURE_WINDOW_MINUTES: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15,
+  LOGIN_DELAY_AFTER_FAILURES: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES, 10) || 3,
+  LOGIN_MAX_DELAY_SECONDS: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 60,
+  LOGIN_ACCOUNT_MAX_FAILURES: parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES, 10) || 10,
+  LOGIN_IP_MAX_FAILURES: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 50,
+  LOGIN_LOCK_MINUTES: parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15,
+  PASSWORD_RESET_REQUESTS_PER_HOUR: parseInt(process.env.PASSWORD_RESET_REQUESTS_PER_HOUR, 10) || 3,
+  // Account deletion: days in which a deletion request can still be cancelled, and how often due deletions run
+  ACCOUNT_DELETION_GRACE_DAYS: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14,
+  ACCOUNT_DELETION_JOB_INTERVAL_MS: 60 * 60 * 1000,
+  // Data export: hours a finished archive stays downloadable, and how often expired ones are cleaned up
+  DATA_EXPORT_TTL_HOURS: parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 48,
+  DATA_EXPORT_JOB_INTERVAL_MS: 10 * 60 * 1000,
+  // Chat import: largest request body accepted and most messages in one imported session
+  CHAT_IMPORT_MAX_BODY: process.env.CHAT_IMPORT_MAX_BODY || '5mb',
+  CHAT_IMPORT_MAX_MESSAGES: parseInt(process.env.CHAT_IMPORT_MAX_MESSAGES, 10) || 5000,
+  TASK_MAX_SUBTASK_DEPTH: 3, // Levels of steps within a planner task
+  STUDY_PLAN_MAX_ITEMS: 50, // Most tasks in one AI study plan
+  // Scheduler: days ahead it fills, time assumed for tasks without an estimate, and the shortest block it places
+  SCHEDULE_HORIZON_DAYS: 14,
+  SCHEDULE_DEFAULT_TASK_MINUTES: 30,
+  SCHEDULE_MIN_BLOCK_MINUTES: 15,
+  // Calendar: days of past tasks in the iCalendar feed, and the largest .ics upload accepted
+  CALENDAR_FEED_PAST_DAYS: 90,
+  CALENDAR_IMPORT_MAX_BODY: process.env.CALENDAR_IMPORT_MAX_BODY || '1mb',
+  CALENDAR_IMPORT_MAX_EVENTS: 1000,
+  // Mood statistics: default and longest date range, and days in the trend's moving average
+  MOOD_STATS_DEFAULT_DAYS: 30,
+  MOOD_STATS_MAX_DAYS: 366,
+  MOOD_TREND_WINDOW_DAYS: 7,
   // Add more constants here as needed
 };
@@ -1,12 +1,16 @@
 const User = require('../models/User');
+const { getSetting } = require('../services/settings');
 
-// Middleware to check if the user is an admin
+// Middleware to check if the user is an admin (and has two-factor authentication on, if required)
 module.exports = async (req, res, next) => {
   try {
-    const user = await User.findById(req.userId);
+    const user = await User.findById(req.userId).select('role twoFactor.enabled');
     if (!user || user.role !== 'admin') {
       return res.status(403).json({ message: 'Admin access required' });
     }
+    if (!user.twoFactor?.enabled && await getSetting('requireAdminTwoFactor')) {
+      return res.status(403).json({ message: 'Enable two-factor authentication to use admin features', code: 'TWO_FACTOR_REQUIRED' });
+    }
     next();
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
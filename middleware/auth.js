@@ -1,16 +1,32 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { isSessionActive } = require('../services/authSessions');
 
-module.exports = (req, res, next) => {
+// Accepts access tokens from /api/auth/login or /refresh whose session hasn't been revoked
+module.exports = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
+  let decoded;
   try {
     const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.userId;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    return res.status(401).json({ message: 'Token is not valid' });
   }
+  // Tokens without a session (issued before sessions existed, or for other purposes) are refused
+  if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+  try {
+    if (!await isSessionActive(decoded.sid, decoded.userId)) {
+      return res.status(401).json({ message: 'Session has ended, please log in again' });
+    }
+  } catch (err) {
+    return res.status(500).json({ message: 'Server error' });
+  }
+  req.userId = decoded.userId;
+  req.authSessionId = decoded.sid;
+  next();
 };
@@ -0,0 +1,15 @@
+const User = require('../models/User');
+
+// Middleware to limit a feature to users who verified their email address (use after auth)
+module.exports = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('emailVerified');
+    if (!user) return res.status(401).json({ message: 'User not found' });
+    if (!user.emailVerified) {
+      return res.status(403).json({ message: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
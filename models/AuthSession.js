@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A signed-in device: holds the hash of its current refresh token (see services/authSessions.js).
+// Access tokens carry the session's ID (`sid`), so revoking the session logs the device out.
+const AuthSessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true, index: true }, // SHA-256 of the current refresh token
+  previousTokenHash: { type: String, index: true }, // The token it replaced; presenting it again means it was stolen
+  userAgent: { type: String },
+  ip: { type: String },
+  lastUsedAt: { type: Date, default: Date.now }, // Last login or refresh
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String } // 'logout', 'revoked', 'password_reset', 'password_change', 'account_deletion', 'token_reuse'
+}, { timestamps: true });
+
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop expired sessions
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Failure/request counters for login and password reset throttling, shared by all server instances.
+// `key` names what is counted, e.g. 'login:account:user@example.com', 'login:ip:203.0.113.5', 'reset:user@example.com'.
+const AuthThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 }, // Failures (or requests) in the current window
+  lastAt: { type: Date }, // Last failure/request
+  lockedUntil: { type: Date },
+  expiresAt: { type: Date, required: true } // End of the window; the counter starts over after this
+});
+
+AuthThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthThrottle', AuthThrottleSchema);
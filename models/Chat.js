@@ -1,35 +1,35 @@
 // FILE: models/Chat.js
 const mongoose = require('mongoose');
 
-const MessageSchema = new mongoose.Schema({
-  sender: { type: String, required: true, enum: ['user', 'ai', 'tool'] },
-  message: { type: String },
-  type: { type: String, default: 'text' },
-  imageUrl: { type: String },
-  feedback: { type: Number, min: 1, max: 5 },
-  timestamp: { type: Date, default: Date.now },
-  tool_calls: [{ // Array if multiple calls are possible in one response
-    id: String,
-    type: { type: String, default: 'function' },
-    function: {
-      name: String,
-      arguments: String // Arguments as JSON string from AI
-    }
-  }],
-  tool_call_id: { type: String }, // ID of the tool call this result corresponds to
-  tool_name: { type: String }, // Name of the function that was called
-  toolResultData: mongoose.Schema.Types.Mixed // Store the actual result object ({success: boolean, ...})
-});
+// A tool call the AI wanted to run that needs the user's confirmation first
+const PendingActionSchema = new mongoose.Schema({
+  actionId: { type: String, required: true },
+  token: { type: String, required: true }, // Secret the client must echo back to confirm/reject
+  toolCallId: { type: String, required: true }, // The AI tool call this action came from
+  toolName: { type: String, required: true },
+  arguments: mongoose.Schema.Types.Mixed, // Validated tool arguments
+  status: { type: String, enum: ['pending', 'confirmed', 'rejected', 'expired'], default: 'pending' },
+  expiresAt: { type: Date, required: true },
+  resolvedAt: { type: Date },
+  result: mongoose.Schema.Types.Mixed // Tool result once confirmed
+}, { _id: false });
 
 const ChatSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   sessionId: { type: String, required: true, index: true },
   title: { type: String }, // Optional session title
+  persona: { type: mongoose.Schema.Types.ObjectId, ref: 'Persona' }, // Persona chosen for this session (overrides the user's default)
   lastActivity: { type: Date, default: Date.now, index: true },
-  messages: [MessageSchema]
+  messageCount: { type: Number, default: 0 }, // Messages live in models/Message.js; this reserves their `seq` numbers
+  pendingActions: [PendingActionSchema],
+  summary: { // Rolling summary of older messages, used when they no longer fit in the AI context
+    text: String,
+    messageCount: Number, // How many messages from the start of the session it covers
+    updatedAt: Date
+  }
 }, { timestamps: true });
 
-// Optimize query performance for fetching messages within a session
+// Optimize lookups of a user's session by ID
 ChatSchema.index({ user: 1, sessionId: 1, lastActivity: -1 });
 
 module.exports = mongoose.model('Chat', ChatSchema);
\ No newline at end of file
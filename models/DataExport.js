@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A "download my data" request; the archive itself is stored in GridFS (bucket 'exports')
+const DataExportSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  status: { type: String, enum: ['pending', 'processing', 'ready', 'failed', 'expired'], default: 'pending', index: true },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  fileId: { type: mongoose.Schema.Types.ObjectId }, // GridFS file holding the zip archive
+  fileName: { type: String },
+  size: { type: Number }, // Bytes
+  expiresAt: { type: Date }, // The download link stops working and the archive is removed after this
+  error: { type: String }
+}, { timestamps: true });
+
+module.exports = mongoose.model('DataExport', DataExportSchema);
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+const EmailVerificationTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  token: { type: String, required: true, index: true },
+  email: { type: String, required: true }, // Address the link was sent to; only that address gets verified
+  expiresAt: { type: Date, required: true },
+  used: { type: Boolean, default: false }
+}, { timestamps: true });
+
+module.exports = mongoose.model('EmailVerificationToken', EmailVerificationTokenSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Long-term facts about a user that the assistant remembers across chat sessions
+const MemorySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  kind: { type: String, enum: ['fact', 'preference', 'goal'], default: 'fact' },
+  content: { type: String, required: true, maxlength: 500 },
+  source: { type: String, enum: ['assistant', 'user'], default: 'assistant' }, // Who wrote it
+  sessionId: { type: String }, // Chat session it was learned in, if any
+  lastUsedAt: { type: Date } // Last time it was put into the assistant's prompt
+}, { timestamps: true });
+
+MemorySchema.index({ content: 'text' }); // Relevance search against the user's message
+MemorySchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Memory', MemorySchema);
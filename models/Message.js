@@ -0,0 +1,35 @@
+// FILE: models/Message.js
+const mongoose = require('mongoose');
+
+// One chat message. Messages are numbered per session by `seq` (0, 1, 2, ...), reserved atomically
+// through `Chat.messageCount`, so concurrent requests can append without overwriting each other.
+const MessageSchema = new mongoose.Schema({
+  chat: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  sessionId: { type: String, required: true },
+  seq: { type: Number, required: true }, // Position in the session
+  sender: { type: String, required: true, enum: ['user', 'ai', 'tool'] },
+  message: { type: String },
+  type: { type: String, default: 'text' },
+  imageUrl: { type: String },
+  feedback: { type: Number, min: 1, max: 5 },
+  partial: { type: Boolean }, // True if the AI response was cut short (client disconnected mid-stream)
+  timestamp: { type: Date, default: Date.now },
+  tool_calls: [{ // Array if multiple calls are possible in one response
+    id: String,
+    type: { type: String, default: 'function' },
+    function: {
+      name: String,
+      arguments: String // Arguments as JSON string from AI
+    }
+  }],
+  tool_call_id: { type: String }, // ID of the tool call this result corresponds to
+  tool_name: { type: String }, // Name of the function that was called
+  toolResultData: mongoose.Schema.Types.Mixed, // Store the actual result object ({success: boolean, ...})
+  personaVersion: { type: mongoose.Schema.Types.ObjectId, ref: 'PersonaVersion' } // Persona prompt behind an AI message
+});
+
+MessageSchema.index({ chat: 1, seq: 1 }, { unique: true }); // Paging within a session
+MessageSchema.index({ user: 1, timestamp: -1 }); // Searching across a user's sessions
+
+module.exports = mongoose.model('Message', MessageSchema);
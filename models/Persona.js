@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Assistant persona managed by admins. Every change bumps `version` and is snapshotted
+// in PersonaVersion, so chat messages can point at the exact prompt that produced them.
+const PersonaSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, index: true }, // Stable slug, e.g. 'study-coach'
+  name: { type: String, required: true },
+  description: { type: String },
+  tone: { type: String }, // e.g. 'warm and encouraging'
+  instructions: { type: String, required: true }, // Main system prompt text
+  allowedTools: [{ type: String }], // AI tools this persona may use; empty means all
+  isDefault: { type: Boolean, default: false }, // Used when neither the session nor the user picked one
+  active: { type: Boolean, default: true }, // Retired personas stay for old sessions but can't be picked
+  version: { type: Number, default: 1 },
+  currentVersion: { type: mongoose.Schema.Types.ObjectId, ref: 'PersonaVersion' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Persona', PersonaSchema);
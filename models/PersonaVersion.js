@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a persona at one version
+const PersonaVersionSchema = new mongoose.Schema({
+  persona: { type: mongoose.Schema.Types.ObjectId, ref: 'Persona', required: true, index: true },
+  version: { type: Number, required: true },
+  name: { type: String, required: true },
+  tone: { type: String },
+  instructions: { type: String, required: true },
+  allowedTools: [{ type: String }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+PersonaVersionSchema.index({ persona: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('PersonaVersion', PersonaVersionSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Time set aside for working on a task, placed by the scheduler (utils/scheduler.js)
+const ScheduleBlockSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true, index: true },
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  fingerprint: { type: String } // The task's scheduling fields when the block was placed; the block moves when they change
+}, { timestamps: true });
+
+ScheduleBlockSchema.index({ user: 1, start: 1 });
+
+module.exports = mongoose.model('ScheduleBlock', ScheduleBlockSchema);
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// App-wide settings changed at runtime by admins (see services/settings.js for the known keys)
+const SettingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Setting', SettingSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One task of a plan; `task` is set once it has been added to the planner
+const PlanItemSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // Stable within the plan, referenced by dependsOn
+  title: { type: String, required: true },
+  description: { type: String },
+  dueDate: { type: Date },
+  estimatedMinutes: { type: Number, min: 0 },
+  priority: { type: String, enum: ['low', 'medium', 'high', 'urgent'] },
+  dependsOn: [{ type: String }], // Keys of items to finish first
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' }
+}, { _id: false });
+
+// An AI-generated study plan, saved so it can be previewed, tweaked or regenerated before
+// (some of) its items are added to the planner as tasks
+const StudyPlanSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  title: { type: String, required: true },
+  summary: { type: String },
+  goals: { type: String, required: true },
+  timeframe: { type: String, required: true },
+  startDate: { type: String, required: true }, // YYYY-MM-DD in `timezone`; due dates count from this day
+  timezone: { type: String, default: 'UTC' },
+  items: [PlanItemSchema],
+  status: { type: String, enum: ['draft', 'partial', 'committed'], default: 'draft' }, // How many items are in the planner: none, some, all
+  revision: { type: Number, default: 1 }, // Counts regenerations
+  provider: { type: String }, // AI provider/model of the latest revision
+  model: { type: String }
+}, { timestamps: true, optimisticConcurrency: true }); // Saving a plan that changed since it was loaded fails with a VersionError
+
+module.exports = mongoose.model('StudyPlan', StudyPlanSchema);
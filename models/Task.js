@@ -1,11 +1,64 @@
 const mongoose = require('mongoose');
+const { FREQS, WEEKDAYS } = require('../utils/recurrence');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent']; // Least to most urgent
+
+// A step of a task; steps can have steps of their own (see TASK_MAX_SUBTASK_DEPTH)
+const SubtaskSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  completed: { type: Boolean, default: false }, // For a step with steps: true once all of them are done
+  priority: { type: String, enum: PRIORITIES },
+  estimatedMinutes: { type: Number, min: 0 },
+  actualMinutes: { type: Number, min: 0 }
+});
+SubtaskSchema.add({ subtasks: [SubtaskSchema] });
+
+// How a repeating task repeats (see utils/recurrence.js); copied to every occurrence of the series
+const RecurrenceSchema = new mongoose.Schema({
+  freq: { type: String, enum: FREQS, required: true },
+  interval: { type: Number, min: 1, default: 1 }, // Every N days/weeks/months
+  weekdays: [{ type: String, enum: WEEKDAYS }], // Weekly: days to repeat on ('MO', 'TH', ...)
+  until: { type: Date }, // Last possible due date
+  count: { type: Number, min: 1 }, // Or: number of occurrences in the series
+  start: { type: Date, required: true }, // Due date of the first occurrence (anchors weeks and the day of the month)
+  timezone: { type: String, default: 'UTC' } // Weekdays and times are taken in this timezone
+}, { _id: false });
 
 const TaskSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   title: { type: String, required: true },
   description: { type: String },
   dueDate: { type: Date, index: true },
-  completed: { type: Boolean, default: false }
+  completed: { type: Boolean, default: false },
+  completedAt: { type: Date }, // When the task was last marked done (not set for skipped occurrences)
+  priority: { type: String, enum: PRIORITIES },
+  priorityRank: { type: Number }, // Index into PRIORITIES, kept in step with `priority` for sorting
+  tags: { type: [String], index: true }, // Lowercase, free-form
+  estimatedMinutes: { type: Number, min: 0 },
+  actualMinutes: { type: Number, min: 0 },
+  subtasks: [SubtaskSchema],
+  progress: { // Rolled up from the subtasks (services/taskService.js); absent without subtasks
+    total: Number, // Steps without steps of their own
+    completed: Number,
+    percent: Number, // 0-100
+    estimatedMinutes: Number, // Sums over those steps
+    actualMinutes: Number
+  },
+  // Repeating tasks: each occurrence is its own task. Completing or skipping one creates the next.
+  recurrence: { type: RecurrenceSchema },
+  seriesId: { type: mongoose.Schema.Types.ObjectId }, // Shared by all occurrences (the first occurrence's _id)
+  occurrence: { type: Number }, // 1-based position in the series
+  skipped: { type: Boolean }, // Closed without being done ("skip this occurrence"); also `completed: true`
+  // Tasks added from an AI study plan (models/StudyPlan.js)
+  plan: { type: mongoose.Schema.Types.ObjectId, ref: 'StudyPlan', index: true },
+  dependsOn: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }], // Tasks to finish before this one
+  externalUid: { type: String } // UID of the calendar event the task was imported from (services/calendar.js)
 }, { timestamps: true });
 
+// One task per position in a series, so the next occurrence is never created twice
+TaskSchema.index({ seriesId: 1, occurrence: 1 }, { unique: true, partialFilterExpression: { seriesId: { $exists: true } } });
+
+// Importing the same calendar event again doesn't create a second task
+TaskSchema.index({ user: 1, externalUid: 1 }, { unique: true, partialFilterExpression: { externalUid: { $exists: true } } });
+
 module.exports = mongoose.model('Task', TaskSchema);
@@ -4,7 +4,40 @@ const UserSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true, index: true },
   password: { type: String, required: true },
   name: { type: String },
-  role: { type: String, enum: ['user', 'admin'], default: 'user' }
+  emailVerified: { type: Boolean, default: false }, // Confirmed through the link sent on signup
+  emailVerifiedAt: { type: Date },
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  // Preferred AI provider/model (see services/ai); unset means the server default
+  aiPreferences: {
+    provider: { type: String },
+    model: { type: String }
+  },
+  defaultPersona: { type: mongoose.Schema.Types.ObjectId, ref: 'Persona' }, // Assistant persona for new chats
+  timezone: { type: String, default: 'UTC' }, // IANA timezone, used for dates the assistant sees
+  // Weekly times the user is free to work on tasks, in their timezone (see utils/scheduler.js)
+  availability: [{
+    _id: false,
+    weekdays: [{ type: String, enum: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'] }],
+    start: { type: String, required: true }, // 'HH:MM'
+    end: { type: String, required: true } // 'HH:MM', after start
+  }],
+  // Secret iCalendar feed of the user's tasks; only the SHA-256 hash of the URL's token is stored
+  calendarFeed: {
+    tokenHash: { type: String, index: { unique: true, sparse: true } },
+    createdAt: { type: Date }
+  },
+  // Account deletion requested by the user; data is deleted once `deletionScheduledFor` has passed
+  deletionRequestedAt: { type: Date },
+  deletionScheduledFor: { type: Date, index: { sparse: true } },
+  // TOTP two-factor authentication (see services/twoFactor.js)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String }, // Base32 TOTP secret, set once enrollment is verified
+    pendingSecret: { type: String }, // Secret from an enrollment that hasn't been verified yet
+    recoveryCodes: [{ type: String }], // SHA-256 hashes of unused recovery codes
+    lastUsedStep: { type: Number }, // Time step of the last accepted code, so a code can't be replayed
+    enabledAt: { type: Date }
+  }
 }, { timestamps: true });
 
 module.exports = mongoose.model('User', UserSchema);
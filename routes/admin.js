@@ -3,24 +3,59 @@ const router = express.Router();
 const User = require('../models/User');
 const Feedback = require('../models/Feedback');
 const Chat = require('../models/Chat');
+const auth = require('../middleware/auth');
 const adminOnly = require('../middleware/adminOnly');
+const Joi = require('joi');
+const validate = require('../middleware/validate');
+const { getSettings, setSetting } = require('../services/settings');
 
 // Get user analytics
-router.get('/users/count', adminOnly, async (req, res) => {
+router.get('/users/count', auth, adminOnly, async (req, res) => {
   const count = await User.countDocuments();
   res.json({ userCount: count });
 });
 
 // Get feedback analytics
-router.get('/feedback/analytics', adminOnly, async (req, res) => {
+router.get('/feedback/analytics', auth, adminOnly, async (req, res) => {
   const feedbacks = await Feedback.find();
   res.json({ feedbacks });
 });
 
 // Get chat analytics (number of chats)
-router.get('/chats/count', adminOnly, async (req, res) => {
+router.get('/chats/count', auth, adminOnly, async (req, res) => {
   const count = await Chat.countDocuments();
   res.json({ chatCount: count });
 });
 
+// Get app settings
+router.get('/settings', auth, adminOnly, async (req, res) => {
+  try {
+    res.json(await getSettings());
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update app settings
+const settingsSchema = Joi.object({
+  requireAdminTwoFactor: Joi.boolean().optional()
+}).min(1);
+router.put('/settings', auth, adminOnly, validate(settingsSchema), async (req, res) => {
+  try {
+    if (req.body.requireAdminTwoFactor) {
+      // Don't let an admin lock themselves out
+      const me = await User.findById(req.userId).select('twoFactor.enabled');
+      if (!me?.twoFactor?.enabled) {
+        return res.status(400).json({ message: 'Enable two-factor authentication on your own account first' });
+      }
+    }
+    for (const [key, value] of Object.entries(req.body)) {
+      await setSetting(key, value, req.userId);
+    }
+    res.json(await getSettings());
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -1,10 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Joi = require('joi');
 const validate = require('../middleware/validate');
+const ai = require('../services/ai');
+const Persona = require('../models/Persona');
+const { isValidTimezone } = require('../utils/timezone');
+const auth = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+const logger = require('../logger');
+const { sendVerificationEmail, verifyEmailToken } = require('../services/emailVerification');
+const {
+  beginSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  readChallengeToken
+} = require('../services/twoFactor');
+const { sendMail } = require('../services/mailer');
+const { scheduleDeletion, cancelDeletion } = require('../services/accountDeletion');
+const { APP_NAME, EMAIL_VERIFICATION_RESEND_PER_HOUR } = require('../config/constants');
+const { getSetting } = require('../services/settings');
+const { checkLogin, recordLoginFailure, recordLoginSuccess } = require('../services/authThrottle');
+const {
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions
+} = require('../services/authSessions');
 
 /**
  * @swagger
@@ -30,10 +59,34 @@ const validate = require('../middleware/validate');
  *                 type: string
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully; a verification email is sent to the address
  *       400:
  *         description: User already exists
  */
+// 429 for a login attempt refused by services/authThrottle.js
+function tooManyAttempts(res, throttle) {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    message: throttle.locked
+      ? 'Too many failed attempts. Sign-in is temporarily locked, please try again later.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    code: throttle.locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    retryAfter: throttle.retryAfter
+  });
+}
+
+// The user as returned by the login endpoints
+function loginUser(user) {
+  return {
+    email: user.email,
+    name: user.name,
+    id: user._id,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: !!user.twoFactor?.enabled,
+    deletionScheduledFor: user.deletionScheduledFor || null // Set while a deletion can still be cancelled
+  };
+}
+
 // Register
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
@@ -48,7 +101,13 @@ router.post('/register', validate(registerSchema), async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
     const user = new User({ email, password: hashedPassword, name });
     await user.save();
-    res.status(201).json({ message: 'User registered successfully' });
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      // The account exists either way; the user can ask for another email
+      logger.error('Could not send verification email', { userId: user._id, error: mailErr.message });
+    }
+    res.status(201).json({ message: 'User registered successfully. Check your email to verify your address.', emailVerified: false });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -76,9 +135,12 @@ router.post('/register', validate(registerSchema), async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Successful login
+ *         description: Successful login; returns a short-lived access token and a refresh token.
+ *           With two-factor authentication on, returns `twoFactorRequired` and a `challengeToken` for POST /api/auth/login/2fa instead.
  *       400:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts for this account or IP; see the Retry-After header
  */
 // Login
 const loginSchema = Joi.object({
@@ -88,33 +150,815 @@ const loginSchema = Joi.object({
 router.post('/login', validate(loginSchema), async (req, res) => {
   try {
     const { email, password } = req.body;
+    const throttle = await checkLogin(email, req.ip);
+    if (!throttle.allowed) return tooManyAttempts(res, throttle);
     const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ message: 'Invalid credentials' });
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ message: 'Invalid credentials' });
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
-    res.json({ token, user: { email: user.email, name: user.name, id: user._id } });
+    const isMatch = user && await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      await recordLoginFailure(email, req.ip, user);
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+    if (user.twoFactor?.enabled) {
+      // Failures are cleared once the second step succeeds too
+      return res.json({ twoFactorRequired: true, challengeToken: createChallengeToken(user) });
+    }
+    await recordLoginSuccess(email);
+    const tokens = await createSession(user._id, req);
+    res.json({ ...tokens, user: loginUser(user) });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get current user's profile
-router.get('/profile', require('../middleware/auth'), async (req, res) => {
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Second login step for accounts with two-factor authentication
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: From POST /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One of the recovery codes, instead of `code`
+ *     responses:
+ *       200:
+ *         description: Successful login (same response as POST /api/auth/login without 2FA)
+ *       400:
+ *         description: Invalid code
+ *       401:
+ *         description: Challenge token invalid or expired
+ *       429:
+ *         description: Too many failed attempts for this account or IP
+ */
+const loginTwoFactorSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().trim().optional(),
+  recoveryCode: Joi.string().trim().optional()
+}).xor('code', 'recoveryCode');
+router.post('/login/2fa', validate(loginTwoFactorSchema), async (req, res) => {
   try {
-    const user = await User.findById(req.userId).select('-password');
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = readChallengeToken(challengeToken);
+    if (!userId) return res.status(401).json({ message: 'Login expired, please enter your password again' });
+    const user = await User.findById(userId);
+    if (!user) return res.status(401).json({ message: 'Login expired, please enter your password again' });
+    const throttle = await checkLogin(user.email, req.ip);
+    if (!throttle.allowed) return tooManyAttempts(res, throttle);
+    const verified = await verifySecondFactor(user, { code, recoveryCode });
+    if (!verified) {
+      await recordLoginFailure(user.email, req.ip, user);
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+    await recordLoginSuccess(user.email);
+    if (verified.method === 'recovery_code') {
+      logger.info('Login with a recovery code', { userId: user._id, remaining: user.twoFactor.recoveryCodes.length - 1 });
+    }
+    const tokens = await createSession(user._id, req);
+    res.json({ ...tokens, user: loginUser(user) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The secret and an otpauth URI to add to an authenticator app; confirm with POST /api/auth/2fa/verify
+ *       400:
+ *         description: Two-factor authentication is already on
+ */
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('email twoFactor');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.twoFactor?.enabled) return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    res.json(await beginSetup(user));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Confirm two-factor enrollment with a code from the authenticator app
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled; returns recovery codes (shown only this once)
+ *       400:
+ *         description: Invalid code or no enrollment started
+ */
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().required()
+});
+router.post('/2fa/verify', auth, validate(twoFactorCodeSchema), async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('twoFactor');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.twoFactor?.enabled) return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    const result = await confirmSetup(user, req.body.code);
+    if (result.error) return res.status(400).json({ message: result.error });
+    // Other devices signed in with the password alone; make them log in again with the code
+    const revokedSessions = await revokeAllSessions(req.userId, { except: req.authSessionId });
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes: result.recoveryCodes, revokedSessions });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes (requires the password)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes; the old ones stop working
+ *       400:
+ *         description: Wrong password or two-factor authentication is off
+ */
+const passwordConfirmSchema = Joi.object({
+  password: Joi.string().required()
+});
+router.post('/2fa/recovery-codes', auth, validate(passwordConfirmSchema), async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('password twoFactor');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.twoFactor?.enabled) return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    if (!await bcrypt.compare(req.body.password, user.password)) return res.status(400).json({ message: 'Incorrect password' });
+    res.json({ recoveryCodes: await regenerateRecoveryCodes(user) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off (requires the password)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Wrong password, two-factor authentication is off, or it is required for admins
+ */
+router.post('/2fa/disable', auth, validate(passwordConfirmSchema), async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('password role twoFactor');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.twoFactor?.enabled) return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    if (!await bcrypt.compare(req.body.password, user.password)) return res.status(400).json({ message: 'Incorrect password' });
+    if (user.role === 'admin' && await getSetting('requireAdminTwoFactor')) {
+      return res.status(400).json({ message: 'Two-factor authentication is required for admin accounts' });
+    }
+    await disableTwoFactor(user);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   get:
+ *     summary: Verify an email address from the link in the verification email
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML page saying whether the address was verified
+ */
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const result = await verifyEmailToken(req.params.token);
+    if (result.error) {
+      return res.status(400).send(`<html><body><p style="color:red">${result.error}</p></body></html>`);
+    }
+    res.send('<html><body><p style="color:green">Your email address is verified. You may now close this window.</p></body></html>');
+  } catch (err) {
+    logger.error('Email verification error', { error: err.message });
+    res.status(500).send('<html><body><p style="color:red">Server error. Please try again later.</p></body></html>');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the token from the verification email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token invalid, used or expired
+ */
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required()
+});
+router.post('/verify-email', validate(verifyEmailSchema), async (req, res) => {
+  try {
+    const result = await verifyEmailToken(req.body.token);
+    if (result.error) return res.status(400).json({ message: result.error });
+    res.json({ message: 'Email verified', emailVerified: true });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Per account rather than per IP, so one account can't flood its own (or someone else's) inbox
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: EMAIL_VERIFICATION_RESEND_PER_HOUR,
+  keyGenerator: (req) => req.userId,
+  message: { message: 'Too many verification emails requested. Please try again later.' }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email to the current user's address
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email sent (earlier links stop working)
+ *       400:
+ *         description: Email already verified
+ *       429:
+ *         description: Too many requests for this account
+ */
+router.post('/resend-verification', auth, resendVerificationLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('email emailVerified');
     if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.emailVerified) return res.status(400).json({ message: 'Email already verified' });
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    logger.error('Resend verification error', { userId: req.userId, error: err.message });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair; the old refresh token no longer works
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ */
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+router.post('/refresh', validate(refreshSchema), async (req, res) => {
+  try {
+    const tokens = await refreshSession(req.body.refreshToken, req);
+    if (!tokens) return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    res.json(tokens);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: End the session that holds this refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out (also when the session had already ended)
+ */
+router.post('/logout', validate(refreshSchema), async (req, res) => {
+  try {
+    await revokeByRefreshToken(req.body.refreshToken, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the devices signed in to this account
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first; `current` marks the caller's own
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.userId);
     res.json({
-      id: user._id,
-      email: user.email,
-      name: user.name,
-      role: user.role,
-      createdAt: user.createdAt,
-      updatedAt: user.updatedAt
+      sessions: sessions.map(s => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: s._id.toString() === req.authSessionId
+      }))
     });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Sign out all other devices
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of sessions revoked; the caller's own session stays signed in
+ */
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.userId, { except: req.authSessionId });
+    res.json({ message: 'Other sessions revoked', revoked });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one device (may be the caller's own session)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: No active session with this ID
+ */
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Session not found' });
+    const revoked = await revokeSession(req.userId, req.params.id);
+    if (!revoked) return res.status(404).json({ message: 'Session not found' });
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The profile as returned by GET and PATCH /profile
+function profileResponse(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: !!user.twoFactor?.enabled,
+    role: user.role,
+    aiPreferences: user.aiPreferences,
+    defaultPersona: user.defaultPersona,
+    timezone: user.timezone,
+    deletionScheduledFor: user.deletionScheduledFor || null,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+}
+
+// Get current user's profile
+router.get('/profile', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json(profileResponse(user));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/profile:
+ *   patch:
+ *     summary: Update the current user's name, email or timezone
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *               currentPassword:
+ *                 type: string
+ *                 description: Required when changing the email
+ *     responses:
+ *       200:
+ *         description: The updated profile; a new email has to be verified again
+ *       400:
+ *         description: Validation failure, wrong password, unknown timezone or email already in use
+ */
+const updateProfileSchema = Joi.object({
+  name: Joi.string().trim().max(100).allow('').optional(),
+  email: Joi.string().email().optional(),
+  timezone: Joi.string().optional(),
+  currentPassword: Joi.string().when('email', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.optional() })
+}).or('name', 'email', 'timezone');
+router.patch('/profile', auth, validate(updateProfileSchema), async (req, res) => {
+  try {
+    const { name, email, timezone, currentPassword } = req.body;
+    const user = await User.findById(req.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ message: `Unknown timezone "${timezone}"` });
+    }
+    const previousEmail = user.email;
+    const emailChanged = email !== undefined && email !== user.email;
+    if (emailChanged) {
+      if (!await bcrypt.compare(currentPassword, user.password)) return res.status(400).json({ message: 'Incorrect password' });
+      if (await User.exists({ email })) return res.status(400).json({ message: 'Email already in use' });
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
+    if (name !== undefined) user.name = name || undefined;
+    if (timezone !== undefined) user.timezone = timezone;
+    await user.save();
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+        await sendMail({
+          to: previousEmail,
+          subject: `Your ${APP_NAME} email address was changed`,
+          text: `The email address of your ${APP_NAME} account was changed to ${email}. If you didn't do this, reset your password and contact us.`
+        });
+      } catch (mailErr) {
+        logger.error('Could not send email change notifications', { userId: user._id, error: mailErr.message });
+      }
+    }
+    res.json(profileResponse(user));
+  } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ message: 'Email already in use' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the password of the signed-in user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed; other devices are signed out
+ *       400:
+ *         description: Wrong current password or invalid new password
+ */
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(8).required()
+});
+router.post('/change-password', auth, validate(changePasswordSchema), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.userId).select('password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!await bcrypt.compare(currentPassword, user.password)) return res.status(400).json({ message: 'Incorrect password' });
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    const revokedSessions = await revokeAllSessions(req.userId, { reason: 'password_change', except: req.authSessionId });
+    res.json({ message: 'Password changed', revokedSessions });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/account:
+ *   delete:
+ *     summary: Schedule deletion of the account and all its data after a grace period
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Deletion scheduled; cancel with POST /api/auth/account/restore before `deletionScheduledFor`
+ *       400:
+ *         description: Wrong password
+ *       409:
+ *         description: Deletion already scheduled
+ */
+router.delete('/account', auth, validate(passwordConfirmSchema), async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!await bcrypt.compare(req.body.password, user.password)) return res.status(400).json({ message: 'Incorrect password' });
+    const scheduled = await scheduleDeletion(req.userId);
+    if (!scheduled) return res.status(409).json({ message: 'Account deletion is already scheduled' });
+    // Only the device that asked stays signed in, so the request can't be hidden from the owner
+    await revokeAllSessions(req.userId, { reason: 'account_deletion', except: req.authSessionId });
+    logger.info('Account deletion scheduled', { userId: req.userId, deletionScheduledFor: scheduled.deletionScheduledFor });
+    res.status(202).json({ message: 'Account deletion scheduled', deletionScheduledFor: scheduled.deletionScheduledFor });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/account/restore:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       404:
+ *         description: No deletion scheduled
+ */
+router.post('/account/restore', auth, async (req, res) => {
+  try {
+    if (!await cancelDeletion(req.userId)) return res.status(404).json({ message: 'No account deletion is scheduled' });
+    logger.info('Account deletion cancelled', { userId: req.userId });
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/profile/ai-preferences:
+ *   put:
+ *     summary: Set the preferred AI provider and model for chat and planner requests
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 nullable: true
+ *                 description: One of the providers from GET /api/chat/providers, or null for the server default
+ *               model:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Model name for that provider, or null for its default
+ *     responses:
+ *       200:
+ *         description: Preferences saved
+ *       400:
+ *         description: Unknown provider
+ */
+const aiPreferencesSchema = Joi.object({
+  provider: Joi.string().allow(null).optional(),
+  model: Joi.string().allow(null).optional()
+});
+router.put('/profile/ai-preferences', auth, validate(aiPreferencesSchema), async (req, res) => {
+  try {
+    const { provider, model } = req.body;
+    if (provider && !ai.hasProvider(provider)) {
+      return res.status(400).json({ message: `Unknown AI provider "${provider}"` });
+    }
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      { $set: { aiPreferences: { provider: provider || undefined, model: model || undefined } } },
+      { new: true }
+    ).select('aiPreferences');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json({ aiPreferences: user.aiPreferences });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/profile/assistant:
+ *   put:
+ *     summary: Set the default assistant persona and the timezone the assistant uses for dates
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               defaultPersona:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of a persona from GET /api/personas, or null for the server default
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone, e.g. Asia/Kolkata
+ *     responses:
+ *       200:
+ *         description: Settings saved
+ *       400:
+ *         description: Unknown persona or timezone
+ */
+const assistantSettingsSchema = Joi.object({
+  defaultPersona: Joi.string().allow(null).optional(),
+  timezone: Joi.string().optional()
+}).min(1);
+router.put('/profile/assistant', auth, validate(assistantSettingsSchema), async (req, res) => {
+  try {
+    const { defaultPersona, timezone } = req.body;
+    const update = { $set: {}, $unset: {} };
+    if (defaultPersona) {
+      const persona = mongoose.Types.ObjectId.isValid(defaultPersona) && await Persona.exists({ _id: defaultPersona, active: true });
+      if (!persona) return res.status(400).json({ message: 'Unknown or retired persona' });
+      update.$set.defaultPersona = defaultPersona;
+    } else if (defaultPersona === null) {
+      update.$unset.defaultPersona = 1;
+    }
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) return res.status(400).json({ message: `Unknown timezone "${timezone}"` });
+      update.$set.timezone = timezone;
+    }
+    if (Object.keys(update.$unset).length === 0) delete update.$unset;
+    if (Object.keys(update.$set).length === 0) delete update.$set;
+    const user = await User.findByIdAndUpdate(req.userId, update, { new: true }).select('defaultPersona timezone');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json({ defaultPersona: user.defaultPersona || null, timezone: user.timezone });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -4,149 +4,38 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const Chat = require('../models/Chat'); // Ensure this path is correct
 const auth = require('../middleware/auth'); // Ensure this path is correct
-const axios = require('axios');
 const Joi = require('joi');
 const validate = require('../middleware/validate'); // Ensure this path is correct
-const Task = require('../models/Task'); // Ensure this path is correct
-const MoodLog = require('../models/MoodLog'); // Ensure this path is correct
+const User = require('../models/User');
+const Persona = require('../models/Persona');
+const PersonaVersion = require('../models/PersonaVersion');
 const logger = require('../logger'); // Ensure this path is correct
-
-// --- Tool Definitions (OpenAI Standard - Including all original tools) ---
-const aiTools = [
-  // Mood Tools
-  {
-    type: "function",
-    function: {
-      name: 'log_mood',
-      description: 'Log a mood entry for the current user',
-      parameters: {
-        type: 'object',
-        properties: {
-          mood: { type: 'integer', description: 'Mood value from 1 (very negative) to 10 (very positive)' },
-          note: { type: 'string', description: 'Optional short note about the mood or context' }
-        },
-        required: ['mood']
-      }
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: 'get_mood_history',
-      description: 'Get the recent mood log history for the current user',
-      parameters: {
-        type: 'object',
-        properties: {
-          days: { type: 'integer', description: 'Optional number of past days to retrieve history for (default: 30)' }
-        },
-        required: []
-      }
-    }
-  },
-  // Task/Planner Tools
-  {
-    type: "function",
-    function: {
-      name: 'create_task',
-      description: 'Create a planner task for the current user',
-      parameters: {
-        type: 'object',
-        properties: {
-          title: { type: 'string', description: 'Required title of the task' },
-          description: { type: 'string', description: 'Optional detailed description of the task' },
-          dueDate: { type: 'string', description: 'Optional due date (accepts YYYY-MM-DD or natural language like "tomorrow evening")' }
-        },
-        required: ['title']
-      }
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: 'get_tasks',
-      description: 'Get a list of planner tasks for the current user',
-      parameters: {
-        type: 'object',
-        properties: {
-          completed: { type: 'boolean', description: 'Optional filter: true to get completed tasks, false for incomplete (default: lists all)' }
-        },
-        required: []
-      }
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: 'update_task',
-      description: 'Update an existing planner task for the current user by its title or ID',
-      parameters: {
-        type: 'object',
-        properties: {
-          identifier: { type: 'string', description: 'The title or MongoDB ID of the task to update' },
-          newTitle: { type: 'string', description: 'Optional new title for the task' },
-          newDescription: { type: 'string', description: 'Optional new description' },
-          newDueDate: { type: 'string', description: 'Optional new due date (YYYY-MM-DD or natural language)' },
-          markCompleted: { type: 'boolean', description: 'Optional: set to true to mark the task as completed, false to mark as incomplete' }
-        },
-        required: ['identifier'] // Need at least one field to update, but identifier is key
-      }
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: 'delete_task',
-      description: 'Delete a planner task for the current user by its title or ID',
-      parameters: {
-        type: 'object',
-        properties: {
-          identifier: { type: 'string', description: 'The title or MongoDB ID of the task to delete' }
-        },
-        required: ['identifier']
-      }
-    }
-  },
-  // Chat Session Tools
-  {
-    type: "function",
-    function: {
-      name: 'get_session_summary',
-      description: 'Get a summary of the current chat session based on its ID',
-      parameters: {
-        type: 'object',
-        properties: {
-          sessionId: { type: 'string', description: 'The ID of the current chat session (usually available implicitly)' }
-        },
-        required: ['sessionId'] // Require sessionId to be sure
-      }
-    }
-  },
-  // Feedback Tools
-  {
-    type: "function",
-    function: {
-      name: 'give_feedback',
-      description: 'Submit feedback (rating 1-5) for a specific AI message in the current chat session',
-      parameters: {
-        type: 'object',
-        properties: {
-          // sessionId: { type: 'string', description: 'The ID of the current chat session' }, // Implicitly current session
-          messageIndex: { type: 'integer', description: 'The 0-based index of the AI message (from the recent history) to rate' },
-          rating: { type: 'integer', description: 'Feedback rating (1-5, where 5 is best)' }
-        },
-        required: ['messageIndex', 'rating']
-      }
-    }
-  }
-];
-// --- End Tool Definitions ---
+const { initSSE, sendSSE } = require('../utils/sse');
+const Message = require('../models/Message');
+const { runConversation } = require('../services/chatRunner');
+const { loadContextHistory, buildContext, scheduleSummaryUpdate } = require('../services/chatContext');
+const { findOrCreateChat, appendMessages, loadRecentMessages } = require('../services/messageStore');
+const { preparePersona, resolvePersona, allowedToolsOf } = require('../services/persona');
+const { isValidTimezone } = require('../utils/timezone');
+const { findRelevantMemories, markMemoriesUsed } = require('../services/memory');
+const { describeAction, expireStaleActions, findAction, tokenMatches, claimAction, resolveAction } = require('../services/pendingActions');
+const toolRegistry = require('../tools');
+const ai = require('../services/ai');
+const { escapeRegex, searchTerms, buildSnippet, safeFileName } = require('../utils/text');
+const { renderMarkdown, renderText, streamPdf } = require('../services/transcript');
+const { importSession } = require('../services/chatImport');
+const taskService = require('../services/taskService');
+const { CHAT_IMPORT_MAX_MESSAGES } = require('../config/constants');
 
 // --- Validation Schemas ---
 const chatSchema = Joi.object({
   message: Joi.string().trim().min(1).required(),
   sessionId: Joi.string().required(),
   type: Joi.string().valid('text', 'image').default('text'), // Keep validation for type
-  imageUrl: Joi.string().uri().when('type', { is: 'image', then: Joi.optional(), otherwise: Joi.optional() }) // Allow optional imageUrl
+  imageUrl: Joi.string().uri().when('type', { is: 'image', then: Joi.optional(), otherwise: Joi.optional() }), // Allow optional imageUrl
+  provider: Joi.string().optional(), // Override the user's preferred AI provider for this message
+  model: Joi.string().optional(), // Override the AI model for this message
+  personaId: Joi.string().allow(null).optional() // Switch this session's persona (null = back to the user's default)
 });
 
 const feedbackSchema = Joi.object({
@@ -163,471 +52,266 @@ const saveTaskSchema = Joi.object({
 const renameSchema = Joi.object({
   title: Joi.string().trim().min(1).required()
 });
+
+const actionDecisionSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+const messageSearchSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required(),
+  from: Joi.date().iso().optional(), // Only messages sent at or after this time
+  to: Joi.date().iso().optional(),
+  sender: Joi.string().valid('user', 'ai', 'tool').optional(), // Default: user and AI messages
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  pageSize: Joi.number().integer().min(1).max(100).optional() // `limit` used when paging the session's messages
+});
+
+const sessionPersonaSchema = Joi.object({
+  personaId: Joi.string().allow(null).required()
+});
+
+const exportSchema = Joi.object({
+  format: Joi.string().valid('json', 'md', 'txt', 'pdf').default('json'),
+  includeTools: Joi.boolean().default(true) // false = leave tool calls and results out
+});
+
+// An exported session (see the export route) or a bare OpenAI-style `messages` array;
+// the messages themselves are checked in services/chatImport.js
+const importMessagesSchema = Joi.array().items(Joi.object().unknown(true)).min(1).max(CHAT_IMPORT_MAX_MESSAGES);
+const importSchema = Joi.alternatives().try(
+  importMessagesSchema,
+  Joi.object({
+    sessionId: Joi.string().trim().min(1).max(200).optional(),
+    title: Joi.string().allow('', null).max(200).optional(),
+    messages: importMessagesSchema.required()
+  }).unknown(true) // Other exported fields (summary, createdAt, ...) are ignored
+);
+
+// Content type and file extension per export format
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
 // --- End Validation Schemas ---
 
 
+// Add the AI's final text reply to the turn (if it produced any)
+function pushFinalReply(chat, turn, finalAiMessageContent, requestId) {
+  if (finalAiMessageContent && finalAiMessageContent.trim()) {
+    turn.push({
+        sender: 'ai',
+        message: finalAiMessageContent,
+        type: 'text', // Assuming final response is text
+        timestamp: new Date()
+    });
+  } else {
+    // Log if the final content was indeed empty after all processing
+    logger.info(`[${requestId}] [Chat ${chat.sessionId}] Final AI message content was empty or null. Not saving empty AI message.`);
+  }
+}
+
+// Fields the assistant context needs from the user
+const USER_CONTEXT_FIELDS = 'role aiPreferences name timezone defaultPersona';
+
+// Record which persona version produced this turn's AI messages
+function stampPersonaVersion(turn, personaVersion) {
+  if (!personaVersion) return;
+  turn.forEach(m => {
+    if (m.sender === 'ai' && !m.personaVersion) m.personaVersion = personaVersion;
+  });
+}
+
+// Persist a turn: changes to the chat itself (pending actions, persona) and its new messages
+async function saveTurn(chat, turn) {
+  if (chat.isModified()) await chat.save();
+  return appendMessages(chat, turn);
+}
+
+// How many of the latest messages JSON responses include
+const RECENT_MESSAGES_IN_RESPONSE = 15;
+
+function personaSummary(persona) {
+  return persona ? { id: persona._id, key: persona.key, name: persona.name, version: persona.version } : null;
+}
+
+// Check a persona ID picked by a user: null clears the choice, otherwise it must be an active persona
+async function findSelectablePersona(personaId) {
+  if (!mongoose.Types.ObjectId.isValid(personaId)) return null;
+  return Persona.findOne({ _id: personaId, active: true }).lean();
+}
+
+// The client opts into SSE with `?stream=true` or an `Accept: text/event-stream` header
+function wantsStream(req) {
+  if (req.query.stream !== undefined) return req.query.stream === 'true' || req.query.stream === '1';
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+
 // --- Main Chat POST endpoint with Pollinations/OpenAI Integration & Tool Calling ---
+// The AI may chain several rounds of tool calls (see services/chatRunner.js) before replying;
+// the tools themselves are registered in tools/.
+// Responds with JSON by default, or streams Server-Sent Events when requested (see wantsStream):
+//   delta               { content }                      - text fragment from the AI
+//   tool_call_started   { id, name, arguments }          - a tool is about to run
+//   tool_call_finished  { id, name, result }             - tool result
+//   action_pending      { actionId, token, ... }         - a tool call needs the user's confirmation
+//   saved               { sessionId, messageIds, ... }   - final event, all messages persisted
+//   error               { status, message }              - terminal error
 router.post('/', auth, validate(chatSchema), async (req, res) => {
-  const { message, sessionId, type, imageUrl } = req.body; // type/imageUrl might be undefined if not sent
+  const { message, sessionId, type, imageUrl, provider, model, personaId } = req.body; // type/imageUrl might be undefined if not sent
   const userId = req.userId;
   const requestId = req.id; // Assuming request ID middleware is used
+  const streaming = wantsStream(req);
 
-  logger.info(`[${requestId}] [Chat ${sessionId}] POST /api/chat started`, { userId, type: type || 'text' }); // Log received type or default
-
-  try {
-    let chat = await Chat.findOne({ user: userId, sessionId });
+  logger.info(`[${requestId}] [Chat ${sessionId}] POST /api/chat started`, { userId, type: type || 'text', streaming }); // Log received type or default
 
-    if (!chat) {
-      logger.info(`[${requestId}] [Chat ${sessionId}] Creating new chat session`, { userId });
-      chat = new Chat({ user: userId, sessionId, messages: [] });
-      // Optionally add an initial system message if desired
-      // chat.messages.push({ sender: 'system', message: 'Chat session started.', type: 'system', timestamp: new Date() });
-    }
+  if (provider && !ai.hasProvider(provider)) {
+    return res.status(400).json({ message: `Unknown AI provider "${provider}". Available: ${ai.listProviders().map(p => p.name).join(', ')}` });
+  }
 
-    // --- 1. Prepare context for AI (OpenAI Format) ---
-    const CONTEXT_LIMIT = 10; // How many *past* messages to send
-    const history = chat.messages.slice(-CONTEXT_LIMIT).map(m => {
-      // Map database message format to OpenAI message format
-      if (m.sender === 'user') {
-        let content = [{ type: 'text', text: m.message || "" }]; // Ensure text content is always present
-        if (m.type === 'image' && m.imageUrl) {
-          content.push({ type: 'image_url', image_url: { url: m.imageUrl } });
-        }
-        return { role: 'user', content: content };
-      } else if (m.sender === 'ai') {
-        if (m.tool_calls && m.tool_calls.length > 0) {
-          // If the AI message contained tool calls
-          return {
-            role: 'assistant',
-            content: m.message, // Content might be null or text accompanying the tool call
-            tool_calls: m.tool_calls.map(tc => ({ // Map to OpenAI format
-              id: tc.id,
-              type: tc.type || 'function', // Default type if missing
-              function: {
-                name: tc.function.name,
-                arguments: tc.function.arguments // Arguments should be a JSON string
-              }
-            })).filter(tc => tc.id && tc.function?.name && tc.function?.arguments !== undefined) // Basic validation
-          };
-        } else {
-          // Regular AI text message
-          return { role: 'assistant', content: m.message };
-        }
-      } else if (m.sender === 'tool') {
-        // Result of a tool call
-        return {
-          role: 'tool',
-          tool_call_id: m.tool_call_id,
-          name: m.tool_name,
-          content: m.toolResultData ? JSON.stringify(m.toolResultData) : (m.message || '{"success":false, "error":"Missing tool result data"}') // Send structured data back, handle missing data
-        };
+  // --- Streaming setup ---
+  const abortController = new AbortController(); // Cancels the upstream AI request if the client goes away
+  let clientDisconnected = false;
+  const emit = (event, data) => { if (streaming) sendSSE(res, event, data); };
+  // Send an error in whichever mode the client asked for
+  const fail = (status, body) => {
+    if (!streaming) return res.status(status).json(body);
+    emit('error', { status, ...body });
+    res.end();
+  };
+  if (streaming) {
+    initSSE(res);
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        clientDisconnected = true;
+        abortController.abort();
+        logger.info(`[${requestId}] [Chat ${sessionId}] Client disconnected mid-stream`);
       }
-      logger.warn(`[${requestId}] [Chat ${sessionId}] Skipping message with unknown sender type in history mapping: ${m.sender}`);
-      return null;
-    }).filter(m => m !== null); // Filter out any skipped messages
-
-    // Add current user message to the history being sent
-    let currentUserMessageContent = [{ type: 'text', text: message }];
-    if (type === 'image' && imageUrl) {
-      currentUserMessageContent.push({ type: 'image_url', image_url: { url: imageUrl } });
+    });
+  }
+
+  try {
+    const persona = personaId && await findSelectablePersona(personaId);
+    if (personaId && !persona) return fail(400, { message: 'Unknown or retired persona.' });
+
+    const chat = await findOrCreateChat(userId, sessionId); // Creates the session on its first message
+    if (personaId !== undefined) {
+      chat.persona = persona ? persona._id : undefined;
     }
-    history.push({ role: 'user', content: currentUserMessageContent });
+    await expireStaleActions(chat); // Unanswered confirmations from earlier turns lapse
+    const turn = []; // Messages added in this turn, saved together at the end
+    const user = await User.findById(userId).select(USER_CONTEXT_FIELDS).lean(); // Role decides which AI tools are offered
+    const aiSelection = ai.resolveSelection({ provider, model }, user?.aiPreferences);
 
-    // --- 2. Save User Message to DB ---
+    // --- 1. Save User Message to DB ---
     const userMessageToSave = {
       sender: 'user',
       message: message, // The text part
       type: type || 'text', // Default to text if not provided
       imageUrl: (type === 'image' && imageUrl) ? imageUrl : undefined,
       timestamp: new Date()
-      // Ensure this object structure matches your MessageSchema in models/Chat.js
+      // Ensure this object structure matches your MessageSchema in models/Message.js
     };
-    chat.messages.push(userMessageToSave);
-    chat.lastActivity = new Date();
-
-    // Optional Savepoint: Save user message immediately before calling AI
-    // try {
-    //   await chat.save();
-    //   logger.info(`[${requestId}] [Chat ${sessionId}] User message saved before AI call.`);
-    // } catch (preSaveErr) {
-    //    logger.error(`[${requestId}] [Chat ${sessionId}] Error saving user message before AI call`, { error: preSaveErr.message, stack: preSaveErr.stack });
-    //    // Decide if you should stop here or try calling AI anyway
-    //    return res.status(500).json({ message: 'Failed to save your message before contacting AI.' });
-    // }
-
-    // --- 3. First API Call to Pollinations/OpenAI ---
-    const aiApiUrl = process.env.AI_API_URL || 'https://text.pollinations.ai/openai'; // Fallback URL
-    const aiModel = process.env.AI_MODEL || 'openai'; // Or a specific model like 'gpt-4o'
-    const apiPayload = {
-      model: aiModel,
-      messages: history, // The mapped history + current message
-      tools: aiTools.length > 0 ? aiTools : undefined,
-      tool_choice: aiTools.length > 0 ? "auto" : undefined,
-      // Optional parameters:
-      // temperature: 0.7,
-      // max_tokens: 1000,
-      referrer: process.env.POLLINATIONS_REFERRER || "DostifyApp-Backend" // If using Pollinations specifically
-    };
-
-    logger.info(`[${requestId}] [Chat ${sessionId}] Calling AI API (Initial)`, { url: aiApiUrl, model: apiPayload.model });
-    let aiApiResponse;
-    try {
-      // Use a longer timeout for potentially complex AI responses or tool calls
-      aiApiResponse = await axios.post(aiApiUrl, apiPayload, {
-          timeout: 120000, // 120 seconds timeout
-          headers: {
-              // Add Authorization header if Pollinations requires an API key directly
-              // 'Authorization': `Bearer ${process.env.AI_API_KEY}` // Example if needed
-          }
-      });
-      logger.info(`[${requestId}] [Chat ${sessionId}] AI API (Initial) response status: ${aiApiResponse.status}`);
-    } catch (apiError) {
-      const errorDetails = apiError.response ? { status: apiError.response.status, data: apiError.response.data } : { message: apiError.message };
-      logger.error(`[${requestId}] [Chat ${sessionId}] AI API Error (Initial Call)`, { error: errorDetails });
-      // Save the user message even if AI fails (if not saved earlier)
-      try { await chat.save(); } catch (saveErr) { logger.error(`[${requestId}] [Chat ${sessionId}] Failed to save user message after AI error`, { saveError: saveErr.message }); }
-      // Provide a user-friendly error message
-      return res.status(502).json({ message: 'Error: The AI service failed to respond. Please try again later.' });
-    }
+    turn.push(userMessageToSave);
+
+    // --- 2. Prepare context for AI (OpenAI Format): persona system message + as much recent history as fits the token budget ---
+    const memories = await findRelevantMemories(userId, message); // Long-term memories related to this message
+    markMemoriesUsed(memories);
+    const personaContext = await preparePersona({ chat, user, userId, memories });
+    const { messages: history } = buildContext(chat, { history: await loadContextHistory(chat), turn, requestId, systemPrompt: personaContext.systemPrompt });
+
+    // --- 3. Run the AI (including any tool rounds) ---
+    const outcome = await runConversation({
+      chat,
+      history,
+      turn,
+      userId,
+      userRole: user?.role,
+      allowedTools: personaContext.allowedTools,
+      requestId,
+      aiSelection,
+      emit,
+      stream: streaming,
+      signal: abortController.signal,
+      isCancelled: () => clientDisconnected
+    });
+    const toolResultsForClient = outcome.toolResults;
 
-    // --- 4. Process API Response ---
-    if (!aiApiResponse.data?.choices?.[0]?.message) { // Check structure carefully based on OpenAI spec
-      logger.error(`[${requestId}] [Chat ${sessionId}] Invalid response structure from AI`, { responseData: aiApiResponse.data });
-      try { await chat.save(); } catch (saveErr) { logger.error(`[${requestId}] [Chat ${sessionId}] Failed to save user message after invalid AI response`, { saveError: saveErr.message }); }
-      return res.status(502).json({ message: 'Error: Received an unexpected response format from the AI service.' });
+    if (outcome.cancelled) {
+      // Persist whatever was generated before the client disconnected (user message, tool results, partial AI text)
+      if (outcome.partialText.trim()) {
+        turn.push({ sender: 'ai', message: outcome.partialText, type: 'text', partial: true, timestamp: new Date() });
+      }
+      stampPersonaVersion(turn, personaContext.personaVersion);
+      try {
+        await saveTurn(chat, turn);
+        logger.info(`[${requestId}] [Chat ${sessionId}] Saved partial response after client disconnect`, { partialLength: outcome.partialText.length, rounds: outcome.rounds });
+      } catch (saveErr) {
+        logger.error(`[${requestId}] [Chat ${sessionId}] Failed to save partial response after client disconnect`, { saveError: saveErr.message });
+      }
+      return;
     }
 
-    const responseChoice = aiApiResponse.data.choices[0];
-    const responseMessage = responseChoice.message; // This is the {role: 'assistant', content: '...', tool_calls: [...]} object
-    let finalAiMessageContent = responseMessage.content; // This might be null if only tool_calls are present
-    let toolResultsForClient = []; // To inform the client what actions were taken
-
-    // --- 5. Handle Tool Calls ---
-    // Check if the response contains tool calls and the reason indicates tools should be called
-    if (responseMessage.tool_calls && responseChoice.finish_reason === 'tool_calls') {
-      logger.info(`[${requestId}] [Chat ${sessionId}] AI requested tool calls`, { count: responseMessage.tool_calls.length, calls: responseMessage.tool_calls.map(t => t.function?.name) });
-
-      // --- 5a. Save AI's Tool Call Request Message ---
-      const assistantToolCallRequestMessage = {
-        sender: 'ai',
-        message: responseMessage.content, // May be null or contain text like "Okay, I can do that."
-        type: 'tool_request', // Indicate this is the AI's request
-        tool_calls: responseMessage.tool_calls.map(tc => ({ // Store tool call details structurally based on MessageSchema
-          id: tc.id,
-          type: tc.type, // e.g., 'function'
-          function: {
-            name: tc.function.name,
-            arguments: tc.function.arguments // Store the raw arguments JSON string
-          }
-        })),
-        timestamp: new Date()
-      };
-      chat.messages.push(assistantToolCallRequestMessage);
-
-      // Prepare history for the follow-up call (includes user msg, AI request)
-      const followUpHistory = [...history, responseMessage]; // Add the assistant's message object itself
-      let executedToolResults = []; // Store results to send back to AI
-
-      // --- 5b. Execute Tool Calls Sequentially ---
-      for (const toolCall of responseMessage.tool_calls) {
-        if (toolCall.type !== 'function') {
-            logger.warn(`[${requestId}] [Chat ${sessionId}] Skipping non-function tool call type: ${toolCall.type}`);
-            continue;
-        }
-
-        const functionName = toolCall.function.name;
-        const toolCallId = toolCall.id;
-        let functionArgs;
-        try {
-          // **Crucially parse arguments string here**
-          functionArgs = JSON.parse(toolCall.function.arguments);
-        } catch (parseError) {
-          logger.error(`[${requestId}] [Chat ${sessionId}] Failed to parse tool arguments for ${functionName}`, { argsString: toolCall.function.arguments, error: parseError.message });
-          const errorResult = { success: false, error: `Invalid arguments format received from AI for ${functionName}.` };
-          executedToolResults.push({ tool_call_id: toolCallId, name: functionName, result: errorResult });
-          // Save the error result message to DB
-          chat.messages.push({
-            sender: 'tool',
-            message: `Error executing tool '${functionName}': Invalid arguments provided by AI.`, // User-friendly summary
-            type: 'tool_result',
-            tool_call_id: toolCallId,
-            tool_name: functionName,
-            toolResultData: errorResult, // Store the detailed error
-            timestamp: new Date()
-          });
-          toolResultsForClient.push(errorResult); // Inform client
-          continue; // Skip to next tool call if arguments are invalid
-        }
-
-        let currentToolResult = null;
-        logger.info(`[${requestId}] [Chat ${sessionId}] Executing tool: ${functionName}`, { toolCallId, args: functionArgs });
-
-        try {
-          // --- Tool Execution Logic (Switch or If/Else based on functionName) ---
-          switch (functionName) {
-              case 'log_mood':
-                  const moodValue = parseInt(functionArgs.mood);
-                  if (isNaN(moodValue) || moodValue < 1 || moodValue > 10) throw new Error("Mood value must be an integer between 1 and 10.");
-                  const moodDoc = new MoodLog({ user: userId, mood: moodValue, note: functionArgs.note });
-                  await moodDoc.save();
-                  currentToolResult = { success: true, message: `Mood (${moodValue}) logged successfully.` };
-                  break;
-
-              case 'create_task':
-                  let parsedDueDate;
-                  if (functionArgs.dueDate) {
-                     try {
-                       // Basic date parsing, consider library for robust parsing
-                       if (typeof functionArgs.dueDate === 'string' && !/^\d{4}-\d{2}-\d{2}/.test(functionArgs.dueDate)) {
-                          logger.warn(`[${requestId}] [Chat ${sessionId}] Potentially non-ISO date for create_task: "${functionArgs.dueDate}". Attempting generic parse.`);
-                       }
-                       parsedDueDate = new Date(functionArgs.dueDate);
-                       if (isNaN(parsedDueDate.getTime())) throw new Error('Invalid date format provided by AI.');
-                     } catch (dateError) {
-                       logger.warn(`[${requestId}] [Chat ${sessionId}] Error parsing date for create_task: "${functionArgs.dueDate}". Task created without due date.`, { error: dateError.message });
-                       parsedDueDate = undefined; // Fallback: create task without date
-                     }
-                   }
-                   const taskDoc = new Task({ user: userId, title: functionArgs.title, description: functionArgs.description, dueDate: parsedDueDate });
-                   await taskDoc.save();
-                   let taskMessage = `Task "${functionArgs.title}" created successfully.`;
-                   if (parsedDueDate) taskMessage += ` Due: ${parsedDueDate.toLocaleDateString()}`;
-                   currentToolResult = { success: true, message: taskMessage, taskId: taskDoc._id.toString() };
-                   break;
-
-              case 'get_tasks':
-                  const filter = { user: userId };
-                  if (typeof functionArgs.completed === 'boolean') filter.completed = functionArgs.completed;
-                  const tasks = await Task.find(filter).select('title description dueDate completed _id').sort({ dueDate: 1, createdAt: -1 }).limit(25);
-                  if (tasks.length === 0) {
-                     currentToolResult = { success: true, message: "No tasks found matching the criteria." };
-                  } else {
-                     currentToolResult = { success: true, tasks: tasks.map(t => ({ id: t._id.toString(), title: t.title, description: t.description || 'N/A', dueDate: t.dueDate?.toISOString().split('T')[0] || 'N/A', completed: t.completed })) };
-                  }
-                  break;
-
-              case 'get_mood_history':
-                   const days = parseInt(functionArgs.days) || 30;
-                   if (isNaN(days) || days <= 0) throw new Error("Number of days must be a positive integer.");
-                   const sinceDate = new Date();
-                   sinceDate.setDate(sinceDate.getDate() - days);
-                   const moods = await MoodLog.find({ user: userId, createdAt: { $gte: sinceDate } }).select('mood note createdAt').sort({ createdAt: -1 }).limit(50);
-                   if (moods.length === 0) {
-                     currentToolResult = { success: true, message: `No mood logs found in the last ${days} days.` };
-                   } else {
-                      currentToolResult = { success: true, moods: moods.map(m => ({ mood: m.mood, note: m.note || 'N/A', date: m.createdAt.toISOString().split('T')[0] })) };
-                   }
-                   break;
-
-              case 'update_task':
-                   const { identifier, newTitle, newDescription, newDueDate, markCompleted } = functionArgs;
-                   if (!identifier) throw new Error("Task identifier (title or ID) is required for update.");
-                   const query = mongoose.Types.ObjectId.isValid(identifier)
-                     ? { _id: new mongoose.Types.ObjectId(identifier), user: userId }
-                     : { title: identifier, user: userId };
-                   const updateFields = { $set: {} };
-                   let changesMade = false;
-                   if (newTitle) { updateFields.$set.title = newTitle; changesMade = true; }
-                   if (newDescription !== undefined) { updateFields.$set.description = newDescription; changesMade = true; }
-                   if (markCompleted !== undefined) { updateFields.$set.completed = markCompleted; changesMade = true; }
-                   if (newDueDate) {
-                     try {
-                       const parsedDate = new Date(newDueDate);
-                       if (isNaN(parsedDate.getTime())) throw new Error('Invalid date format for newDueDate.');
-                       updateFields.$set.dueDate = parsedDate;
-                       changesMade = true;
-                     } catch (dateError) {
-                       logger.warn(`[${requestId}] [Chat ${sessionId}] Invalid date for update_task: "${newDueDate}". Date not updated.`, { error: dateError.message });
-                     }
-                   }
-                   if (!changesMade) {
-                     currentToolResult = { success: false, message: "No changes provided for the task update." };
-                   } else {
-                     const updatedTask = await Task.findOneAndUpdate(query, updateFields, { new: true });
-                     if (!updatedTask) {
-                       currentToolResult = { success: false, error: `Task with identifier "${identifier}" not found or access denied.` };
-                     } else {
-                       currentToolResult = { success: true, message: `Task "${updatedTask.title}" updated successfully.` };
-                     }
-                   }
-                   break;
-
-              case 'delete_task':
-                  const { identifier: deleteIdentifier } = functionArgs; // Rename to avoid conflict
-                  if (!deleteIdentifier) throw new Error("Task identifier (title or ID) is required for deletion.");
-                  const deleteQuery = mongoose.Types.ObjectId.isValid(deleteIdentifier)
-                    ? { _id: new mongoose.Types.ObjectId(deleteIdentifier), user: userId }
-                    : { title: deleteIdentifier, user: userId };
-                  const deletedTask = await Task.findOneAndDelete(deleteQuery);
-                  if (!deletedTask) {
-                    currentToolResult = { success: false, error: `Task with identifier "${deleteIdentifier}" not found or access denied.` };
-                  } else {
-                    currentToolResult = { success: true, message: `Task "${deletedTask.title}" deleted successfully.` };
-                  }
-                  break;
-
-              case 'get_session_summary':
-                  const summary = {
-                    sessionId: chat.sessionId,
-                    title: chat.title || `Chat started on ${new Date(chat.createdAt).toLocaleDateString()}`,
-                    createdAt: chat.createdAt.toISOString(),
-                    lastActivity: chat.lastActivity.toISOString(),
-                    messageCount: chat.messages.length,
-                    firstUserMessage: chat.messages.find(m => m.sender === 'user')?.message?.substring(0, 100) || null
-                  };
-                  currentToolResult = { success: true, summary: summary };
-                  break;
-
-              case 'give_feedback':
-                  const { messageIndex, rating } = functionArgs;
-                  if (messageIndex < 0 || messageIndex >= chat.messages.length) {
-                     throw new Error(`Invalid message index ${messageIndex}. Session has ${chat.messages.length} messages.`);
-                  }
-                  const targetMessage = chat.messages[messageIndex];
-                  if (!targetMessage || targetMessage.sender !== 'ai') {
-                     throw new Error("Feedback can only be given for AI messages at the specified index.");
-                  }
-                  if (isNaN(parseInt(rating)) || rating < 1 || rating > 5) {
-                     throw new Error("Rating must be an integer between 1 and 5.");
-                  }
-                  targetMessage.feedback = rating;
-                  chat.markModified('messages'); // IMPORTANT: Tell Mongoose the array element changed
-                  currentToolResult = { success: true, message: `Feedback (${rating}) recorded for message at index ${messageIndex}.` };
-                  break;
-
-              default:
-                  logger.warn(`[${requestId}] [Chat ${sessionId}] Unknown tool called: ${functionName}`);
-                  currentToolResult = { success: false, error: `Tool '${functionName}' is not implemented or recognized.` };
-          }
-          // --- End Tool Implementations ---
-          logger.info(`[${requestId}] [Chat ${sessionId}] Tool ${functionName} executed`, { toolCallId, success: currentToolResult?.success });
-
-        } catch (toolError) {
-          logger.error(`[${requestId}] [Chat ${sessionId}] Error executing tool ${functionName}`, { toolCallId, args: functionArgs, error: toolError.message, stack: toolError.stack });
-          currentToolResult = { success: false, error: `Server error executing tool '${functionName}': ${toolError.message}` };
-        }
-
-        // --- Store Tool Result Message ---
-        const toolResultMessage = {
-            sender: 'tool',
-            message: currentToolResult?.message || (currentToolResult?.success ? `Executed ${functionName}` : `Failed to execute ${functionName}`), // User-friendly summary
-            type: 'tool_result',
-            tool_call_id: toolCallId,
-            tool_name: functionName,
-            toolResultData: currentToolResult, // Store the actual result object
-            timestamp: new Date()
-        };
-        chat.messages.push(toolResultMessage);
-        toolResultsForClient.push(currentToolResult); // Also send raw result to client if needed
-
-        // Prepare result object for sending back to AI
-        executedToolResults.push({
-            tool_call_id: toolCallId,
-            name: functionName,
-            result: currentToolResult // Send the full result object back
-        });
-
-      } // --- End of tool call execution loop ---
-
-      // --- 5c. Send Tool Results Back to AI ---
-      // Add the tool result messages to the history for the AI's context
-      executedToolResults.forEach(tr => {
-        followUpHistory.push({
-             role: 'tool',
-             tool_call_id: tr.tool_call_id,
-             name: tr.name,
-             // Content MUST be a string for the OpenAI API
-             content: JSON.stringify(tr.result)
-            });
-      });
-
-      const followUpPayload = {
-          model: aiModel, // Use same model
-          messages: followUpHistory,
-          // Do NOT include 'tools' or 'tool_choice' here unless you expect chained calls
-          referrer: process.env.POLLINATIONS_REFERRER || "DostifyApp-Backend"
-        };
-      logger.info(`[${requestId}] [Chat ${sessionId}] Sending tool results back to AI API`, { url: aiApiUrl });
-
-      let followUpApiResponse;
-      try {
-        followUpApiResponse = await axios.post(aiApiUrl, followUpPayload, { timeout: 120000 });
-        logger.info(`[${requestId}] [Chat ${sessionId}] AI API (Follow-up) response status: ${followUpApiResponse.status}`);
-      } catch (apiError) {
-        const errorDetails = apiError.response ? { status: apiError.response.status, data: apiError.response.data } : { message: apiError.message };
-        logger.error(`[${requestId}] [Chat ${sessionId}] AI API Error (Follow-up Call)`, { error: errorDetails });
-        // Save chat state up to tool results even if follow-up fails
-        try { await chat.save(); } catch (saveErr) { logger.error(`[${requestId}] [Chat ${sessionId}] Failed to save tool results after AI follow-up error`, { saveError: saveErr.message }); }
-        return res.status(502).json({
+    if (outcome.error) {
+      // Save the user message (and any tool results) even if the AI fails
+      stampPersonaVersion(turn, personaContext.personaVersion);
+      try { await saveTurn(chat, turn); } catch (saveErr) { logger.error(`[${requestId}] [Chat ${sessionId}] Failed to save chat after AI error`, { saveError: saveErr.message }); }
+      if (outcome.error.afterTools) {
+        return fail(502, {
             message: 'Executed requested actions, but the AI failed to provide a final response.',
             toolResults: toolResultsForClient, // Let client know what happened
+            rounds: outcome.rounds,
             sessionId: chat.sessionId,
             timestamp: new Date().toISOString()
         });
       }
+      // Provide a user-friendly error message
+      return fail(502, { message: 'Error: The AI service failed to respond. Please try again later.' });
+    }
 
-      // Process the final response from AI after getting tool results
-      // Ensure the final response has content
-      if (!followUpApiResponse.data?.choices?.[0]?.message?.content) {
-        logger.warn(`[${requestId}] [Chat ${sessionId}] AI follow-up response missing content`, { responseData: followUpApiResponse.data });
-        // Decide if this is an error or if AI just had nothing more to say
-        finalAiMessageContent = null; // Indicate no further text response
-        // If you expect text, treat it as an error:
-        // try { await chat.save(); } catch (saveErr) { /* log */ }
-        // return res.status(502).json({
-        //     message: 'Error: Received an unexpected final response format from the AI service after actions.',
-        //     toolResults: toolResultsForClient,
-        //     sessionId: chat.sessionId,
-        //     timestamp: new Date().toISOString()
-        // });
-      } else {
-          finalAiMessageContent = followUpApiResponse.data.choices[0].message.content; // Get the final text response
-          logger.info(`[${requestId}] [Chat ${sessionId}] Received final AI response after tool execution.`);
-      }
-
+    // --- 4. Save Final AI Response (if content exists) ---
+    pushFinalReply(chat, turn, outcome.finalContent, requestId);
+    stampPersonaVersion(turn, personaContext.personaVersion);
 
-    } else {
-      // --- 6. No Tool Call (Direct Response) ---
-      logger.info(`[${requestId}] [Chat ${sessionId}] AI responded directly without tool calls.`);
-      finalAiMessageContent = responseMessage.content; // Already have the content from initial response
-      // Ensure we handle the case where the direct response might be empty/null
-      if (finalAiMessageContent === null || finalAiMessageContent === undefined) {
-          logger.warn(`[${requestId}] [Chat ${sessionId}] AI direct response content is null or undefined.`);
-          finalAiMessageContent = null; // Explicitly set to null if empty
-      }
-    }
+    // --- 5. Final Save and Response to Client ---
+    const savedMessages = await saveTurn(chat, turn); // Persist all changes (user msg, AI requests, tool results, final AI msg)
+    logger.info(`[${requestId}] [Chat ${sessionId}] Chat interaction completed and saved.`, { rounds: outcome.rounds });
+    scheduleSummaryUpdate(chat, { requestId, aiSelection }); // Fold older messages into the rolling summary
 
-    // --- 7. Save Final AI Response (if content exists) ---
-    if (finalAiMessageContent && finalAiMessageContent.trim()) {
-      const aiMessageToSave = {
-          sender: 'ai',
-          message: finalAiMessageContent,
-          type: 'text', // Assuming final response is text
-          timestamp: new Date()
-          // tool_calls: undefined, // Ensure tool_calls isn't accidentally carried over if logic changes
-      };
-      chat.messages.push(aiMessageToSave);
-    } else {
-      // Log if the final content was indeed empty after all processing
-      logger.info(`[${requestId}] [Chat ${sessionId}] Final AI message content was empty or null. Not saving empty AI message.`);
-      // Optionally, save a placeholder if you always want an AI entry after user input:
-      // chat.messages.push({ sender: 'ai', message: "[AI provided no further text response]", type: 'text', timestamp: new Date() });
+    if (streaming) {
+      // Final event: the client can now reconcile its optimistic UI with the persisted message IDs
+      emit('saved', {
+        sessionId: chat.sessionId,
+        messageIds: savedMessages.map(m => m._id),
+        userMessageId: savedMessages[0]?._id,
+        aiMessageId: savedMessages[savedMessages.length - 1]?.sender === 'ai' ? savedMessages[savedMessages.length - 1]._id : undefined,
+        toolResults: toolResultsForClient.length > 0 ? toolResultsForClient : undefined,
+        pendingActions: outcome.pendingActions.length > 0 ? outcome.pendingActions : undefined,
+        rounds: outcome.rounds,
+        provider: outcome.provider,
+        model: outcome.model,
+        persona: personaSummary(personaContext.persona),
+        timestamp: new Date().toISOString()
+      });
+      return res.end();
     }
 
-    // --- 8. Final Save and Response to Client ---
-    chat.lastActivity = new Date();
-    await chat.save(); // Persist all changes (user msg, AI requests, tool results, final AI msg)
-    logger.info(`[${requestId}] [Chat ${sessionId}] Chat interaction completed and saved.`);
-
     // Decide what to send back: just the new messages, or the whole (updated) chat object?
     // Sending recent messages is often better for performance.
-    const messagesToSend = chat.messages.slice(-15); // Send last 15 messages as example
+    const messagesToSend = await loadRecentMessages(chat._id, RECENT_MESSAGES_IN_RESPONSE);
 
     res.json({
       messages: messagesToSend, // Send a slice of recent messages
       // Consider adding the full updated chat._id if client needs it
       // chatId: chat._id,
       toolResults: toolResultsForClient.length > 0 ? toolResultsForClient : undefined, // Include tool results if any
+      pendingActions: outcome.pendingActions.length > 0 ? outcome.pendingActions : undefined, // Actions awaiting the user's confirmation
+      rounds: outcome.rounds, // Number of tool-calling rounds the AI ran
+      provider: outcome.provider, // AI provider/model that produced the reply
+      model: outcome.model,
+      persona: personaSummary(personaContext.persona), // Persona (and version) that answered
       sessionId: chat.sessionId,
       timestamp: new Date().toISOString() // Timestamp of the overall response generation
     });
@@ -639,13 +323,18 @@ router.post('/', auth, validate(chatSchema), async (req, res) => {
     const errorMessage = process.env.NODE_ENV === 'production'
         ? 'An unexpected server error occurred while processing your message.'
         : `Server Error: ${err.message}`;
-    res.status(500).json({ message: errorMessage, error: process.env.NODE_ENV !== 'production' ? err.message : undefined });
+    fail(500, { message: errorMessage, error: process.env.NODE_ENV !== 'production' ? err.message : undefined });
   }
 });
 
 
 // --- Other Chat Session Management Routes ---
 
+// GET /api/chat/providers - List the configured AI providers (in fallback order) and their default models
+router.get('/providers', auth, (req, res) => {
+  res.json({ providers: ai.listProviders() });
+});
+
 // GET /api/chat/sessions - List all chat sessions for the user
 router.get('/sessions', auth, async (req, res) => {
   const userId = req.userId;
@@ -653,7 +342,7 @@ router.get('/sessions', auth, async (req, res) => {
   logger.info(`[${requestId}] GET /api/chat/sessions request received`, { userId });
   try {
     const sessions = await Chat.find({ user: userId })
-      .select('sessionId title createdAt lastActivity messages') // Select messages to get count easily
+      .select('sessionId title createdAt lastActivity messageCount')
       .sort({ lastActivity: -1 }) // Sort by most recent activity
       .lean(); // Use lean for performance as we are just reading and transforming
 
@@ -662,9 +351,7 @@ router.get('/sessions', auth, async (req, res) => {
       title: s.title || `Chat from ${new Date(s.createdAt).toLocaleDateString()}`,
       createdAt: s.createdAt,
       lastActivity: s.lastActivity,
-      messageCount: s.messages?.length || 0, // Calculate message count
-      // Optionally add snippet of last message:
-      // lastMessageSnippet: s.messages?.[s.messages.length - 1]?.message?.substring(0, 50) + '...'
+      messageCount: s.messageCount || 0
     }));
     logger.info(`[${requestId}] GET /api/chat/sessions success`, { userId, count: sessionSummaries.length });
     res.json(sessionSummaries);
@@ -694,7 +381,7 @@ router.get('/sessions/search', auth, async (req, res) => {
         user: userId,
         title: { $regex: trimmedQuery, $options: 'i' } // Case-insensitive regex search
        })
-      .select('sessionId title createdAt lastActivity messages')
+      .select('sessionId title createdAt lastActivity messageCount')
       .sort({ lastActivity: -1 }) // Sort results
       .limit(50) // Limit the number of search results returned
       .lean();
@@ -704,7 +391,7 @@ router.get('/sessions/search', auth, async (req, res) => {
       title: s.title || `Chat from ${new Date(s.createdAt).toLocaleDateString()}`,
       createdAt: s.createdAt,
       lastActivity: s.lastActivity,
-      messageCount: s.messages?.length || 0
+      messageCount: s.messageCount || 0
     }));
     logger.info(`[${requestId}] GET /api/chat/sessions/search success`, { userId, query: trimmedQuery, count: sessionSummaries.length });
     res.json(sessionSummaries);
@@ -757,6 +444,7 @@ router.delete('/sessions/:sessionId', auth, async (req, res) => {
          // If no chat session was found and deleted
          return res.status(404).json({ message: 'Chat session not found or you do not have permission to delete it.' });
      }
+    await Message.deleteMany({ chat: result._id });
     logger.info(`[${requestId}] DELETE /api/chat/sessions/:sessionId success`, { userId, sessionId });
     res.json({ message: 'Session deleted successfully', sessionId: sessionId }); // Confirmation message
   } catch (err) {
@@ -765,114 +453,239 @@ router.delete('/sessions/:sessionId', auth, async (req, res) => {
   }
 });
 
-// GET /api/chat/sessions/:sessionId/export - Export a chat session as JSON
-router.get('/sessions/:sessionId/export', auth, async (req, res) => {
+// GET /api/chat/sessions/:sessionId/export - Export a chat session as JSON or a readable transcript (Markdown, text, PDF)
+router.get('/sessions/:sessionId/export', auth, validate(exportSchema, 'query'), async (req, res) => {
   const userId = req.userId;
   const requestId = req.id;
   const { sessionId } = req.params;
-  logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/export request received`, { userId, sessionId });
+  const format = req.query.format || 'json';
+  const includeTools = String(req.query.includeTools).toLowerCase() !== 'false';
+  logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/export request received`, { userId, sessionId, format, includeTools });
 
   try {
     // Find the chat, exclude user ID and mongo default fields (_id, __v) from export
     const chat = await Chat.findOne({ user: userId, sessionId: sessionId })
-        .select('sessionId title messages createdAt lastActivity -_id -user -__v') // Exclude fields using minus sign
+        .select('sessionId title summary createdAt lastActivity')
         .lean(); // Use lean for plain JavaScript object
 
     if (!chat) {
          return res.status(404).json({ message: 'Session not found or access denied.' });
      }
+    const user = format === 'json' ? null : await User.findById(userId).select('timezone').lean();
+    const messageFilter = { chat: chat._id };
+    if (!includeTools) messageFilter.sender = { $ne: 'tool' };
+    let messages = await Message.find(messageFilter)
+        .select('-chat -user -sessionId -__v')
+        .sort({ seq: 1 })
+        .lean();
 
     // Sanitize filename to prevent issues
-    const safeSessionId = sessionId.replace(/[^a-z0-9_\-]/gi, '_').toLowerCase();
-    const filename = `dostify_chat_${safeSessionId}_${new Date().toISOString().split('T')[0]}.json`;
+    const safeSessionId = safeFileName(sessionId);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `dostify_chat_${safeSessionId}_${new Date().toISOString().split('T')[0]}.${extension}`;
 
     // Set headers for file download
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'application/json');
-    logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/export success`, { userId, sessionId });
-    res.json(chat); // Send the selected chat data as JSON response body
+    res.setHeader('Content-Type', contentType);
+
+    if (format === 'json') {
+      if (!includeTools) {
+        // Drop the AI's tool requests too, keeping any text it sent along with them
+        messages = messages.filter(m => m.type !== 'tool_request' || m.message).map(({ tool_calls, ...m }) => m);
+      }
+      const { _id, ...exported } = chat;
+      exported.messages = messages;
+      logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/export success`, { userId, sessionId, format });
+      return res.json(exported); // Send the selected chat data as JSON response body
+    }
+
+    // Transcripts show times in the user's own timezone
+    const opts = { timeZone: isValidTimezone(user?.timezone) ? user.timezone : 'UTC', includeTools };
+    logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/export success`, { userId, sessionId, format, messageCount: messages.length });
+    if (format === 'pdf') return streamPdf(res, chat, messages, opts);
+    res.send(format === 'md' ? renderMarkdown(chat, messages, opts) : renderText(chat, messages, opts));
   } catch (err) {
-    logger.error(`[${requestId}] GET /api/chat/sessions/:sessionId/export error`, { userId, sessionId, error: err.message, stack: err.stack });
+    logger.error(`[${requestId}] GET /api/chat/sessions/:sessionId/export error`, { userId, sessionId, format, error: err.message, stack: err.stack });
     res.status(500).json({ message: 'Could not export session', error: err.message });
   }
 });
 
+// POST /api/chat/sessions/import - Create a session from an exported JSON file or an OpenAI-style messages array
+router.post('/sessions/import', auth, validate(importSchema), async (req, res) => {
+  const userId = req.userId;
+  const requestId = req.id;
+  const messageCount = Array.isArray(req.body) ? req.body.length : req.body.messages.length;
+  logger.info(`[${requestId}] POST /api/chat/sessions/import request received`, { userId, messageCount });
+
+  try {
+    const result = await importSession(userId, req.body);
+    if (result.errors) {
+      logger.warn(`[${requestId}] POST /api/chat/sessions/import rejected`, { userId, invalidMessages: result.errors.length });
+      return res.status(400).json({ message: 'Some messages are invalid; nothing was imported.', errors: result.errors });
+    }
+
+    const { chat, imported, skipped, renamedFrom } = result;
+    logger.info(`[${requestId}] POST /api/chat/sessions/import success`, { userId, sessionId: chat.sessionId, imported, skipped, renamedFrom });
+    res.status(201).json({
+      sessionId: chat.sessionId,
+      title: chat.title || null,
+      importedMessages: imported,
+      skippedMessages: skipped, // System prompts are not imported
+      renamedFrom: renamedFrom || null // The file's sessionId, if it was already taken
+    });
+  } catch (err) {
+    logger.error(`[${requestId}] POST /api/chat/sessions/import error`, { userId, error: err.message, stack: err.stack });
+    res.status(500).json({ message: 'Could not import session', error: err.message });
+  }
+});
+
+// GET /api/chat/sessions/:sessionId/summary - What the assistant remembers of older messages
+// (the rolling summary it gets instead of history that no longer fits in its context)
+router.get('/sessions/:sessionId/summary', auth, async (req, res) => {
+  const userId = req.userId;
+  const requestId = req.id;
+  const { sessionId } = req.params;
+  logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/summary request received`, { userId, sessionId });
+
+  try {
+    const chat = await Chat.findOne({ user: userId, sessionId: sessionId })
+        .select('sessionId summary messageCount')
+        .lean();
+
+    if (!chat) {
+         return res.status(404).json({ message: 'Chat session not found or access denied.' });
+     }
+    logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/summary success`, { userId, sessionId, hasSummary: !!chat.summary?.text });
+    res.json({
+        sessionId: chat.sessionId,
+        summary: chat.summary?.text || null,
+        summarizedMessages: chat.summary?.messageCount || 0, // Messages from the start of the session covered by the summary
+        totalMessages: chat.messageCount || 0,
+        updatedAt: chat.summary?.updatedAt || null
+     });
+  } catch (err) {
+    logger.error(`[${requestId}] GET /api/chat/sessions/:sessionId/summary error`, { userId, sessionId, error: err.message, stack: err.stack });
+    res.status(500).json({ message: 'Could not fetch session summary', error: err.message });
+  }
+});
+
+// GET /api/chat/sessions/:sessionId/persona - The session's current persona and the persona versions
+// that produced its AI messages (so old sessions show which prompt was used)
+router.get('/sessions/:sessionId/persona', auth, async (req, res) => {
+  const userId = req.userId;
+  const requestId = req.id;
+  const { sessionId } = req.params;
+  logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/persona request received`, { userId, sessionId });
+
+  try {
+    const chat = await Chat.findOne({ user: userId, sessionId: sessionId })
+        .select('sessionId persona')
+        .lean();
+    if (!chat) {
+         return res.status(404).json({ message: 'Chat session not found or access denied.' });
+     }
+    const user = await User.findById(userId).select('defaultPersona').lean();
+    const current = await resolvePersona({ sessionPersona: chat.persona, user });
+
+    const versionIds = await Message.distinct('personaVersion', { chat: chat._id, personaVersion: { $ne: null } });
+    const versions = await PersonaVersion.find({ _id: { $in: versionIds } })
+        .select('persona version name tone instructions allowedTools createdAt')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/persona success`, { userId, sessionId, versions: versionIds.length });
+    res.json({
+        sessionId: chat.sessionId,
+        sessionPersonaId: chat.persona || null, // Explicit choice for this session, if any
+        persona: personaSummary(current), // What the next message will use
+        usedVersions: versions
+     });
+  } catch (err) {
+    logger.error(`[${requestId}] GET /api/chat/sessions/:sessionId/persona error`, { userId, sessionId, error: err.message, stack: err.stack });
+    res.status(500).json({ message: 'Could not fetch session persona', error: err.message });
+  }
+});
+
+// PUT /api/chat/sessions/:sessionId/persona - Pick the persona for a session (null = user's default)
+router.put('/sessions/:sessionId/persona', auth, validate(sessionPersonaSchema), async (req, res) => {
+  const userId = req.userId;
+  const requestId = req.id;
+  const { sessionId } = req.params;
+  const { personaId } = req.body;
+  logger.info(`[${requestId}] PUT /api/chat/sessions/:sessionId/persona request received`, { userId, sessionId, personaId });
+
+  try {
+    const persona = personaId && await findSelectablePersona(personaId);
+    if (personaId && !persona) {
+        return res.status(400).json({ message: 'Unknown or retired persona.' });
+     }
+    const chat = await Chat.findOneAndUpdate(
+        { user: userId, sessionId: sessionId },
+        persona ? { $set: { persona: persona._id } } : { $unset: { persona: 1 } },
+        { new: true }
+      ).select('sessionId persona');
+    if (!chat) {
+         return res.status(404).json({ message: 'Chat session not found or you do not have permission to modify it.' });
+     }
+    logger.info(`[${requestId}] PUT /api/chat/sessions/:sessionId/persona success`, { userId, sessionId, personaId });
+    res.json({ sessionId: chat.sessionId, persona: personaSummary(persona) });
+  } catch (err) {
+    logger.error(`[${requestId}] PUT /api/chat/sessions/:sessionId/persona error`, { userId, sessionId, error: err.message, stack: err.stack });
+    res.status(500).json({ message: 'Could not set session persona', error: err.message });
+  }
+});
+
 // GET /api/chat/sessions/:sessionId/messages - Get messages for a session (paginated)
+// Page 1 holds the newest `limit` messages; each page lists its messages newest first.
+// Pass `before=<index>` instead of `page` to get the `limit` messages older than that index
+// (use `nextCursor` from the previous response); unlike pages, cursors don't shift as messages arrive.
 router.get('/sessions/:sessionId/messages', auth, async (req, res) => {
   const userId = req.userId;
   const requestId = req.id;
   const { sessionId } = req.params;
-  const { page = 1, limit = 20 } = req.query; // Default page 1, limit 20
-  logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/messages request received`, { userId, sessionId, page, limit });
+  const { page = 1, limit = 20, before } = req.query; // Default page 1, limit 20
+  logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/messages request received`, { userId, sessionId, page, limit, before });
 
   try {
     const pageNum = parseInt(page, 10);
     const limitNum = parseInt(limit, 10);
+    const beforeNum = before !== undefined ? parseInt(before, 10) : undefined;
 
     // Validate pagination parameters
     if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1 || limitNum > 100) { // Set a max limit (e.g., 100)
         return res.status(400).json({ message: 'Invalid page or limit parameter. Page must be >= 1, limit must be between 1 and 100.' });
      }
+    if (beforeNum !== undefined && (isNaN(beforeNum) || beforeNum < 0)) {
+        return res.status(400).json({ message: 'Invalid before parameter. It must be a message index >= 0.' });
+     }
 
-    const skip = (pageNum - 1) * limitNum;
-
-    // Method 1: Using find and slice (simpler, potentially less efficient for very large arrays)
-     const chat = await Chat.findOne({ user: userId, sessionId: sessionId })
-         .select('messages sessionId') // Select only messages and sessionId
-         // Project only the needed fields from the messages array
-         .populate({ // Or use projection within find if populate isn't needed
-             path: 'messages',
-             select: 'sender message type imageUrl feedback timestamp tool_calls tool_call_id tool_name toolResultData _id', // Include _id if needed by frontend
-             options: {
-                 sort: { timestamp: -1 }, // Sort messages newest first *before* slicing/skipping if needed
-                 skip: skip,
-                 limit: limitNum
-             }
-         });
-
-
-     // Method 2: Using Aggregation (more complex, potentially more efficient)
-    /*
-    const aggregation = await Chat.aggregate([
-      { $match: { user: new mongoose.Types.ObjectId(userId), sessionId: sessionId } },
-      { $project: {
-          sessionId: 1,
-          totalMessages: { $size: "$messages" },
-          // Slice the messages array for pagination
-          messages: { $slice: ["$messages", skip, limitNum] }
-          // Unwind and re-project if you need to sort messages before slicing, which is more complex
-      }},
-      // Optional: Project specific fields from the sliced messages if needed
-      // { $project: { sessionId: 1, totalMessages: 1, 'messages.sender': 1, ... } }
-    ]);
-
-    if (aggregation.length === 0) {
-        return res.status(404).json({ message: 'Chat session not found or access denied.' });
-    }
-    const chatData = aggregation[0];
-    const total = chatData.totalMessages;
-    const messages = chatData.messages || [];
-    */
-
+    const chat = await Chat.findOne({ user: userId, sessionId: sessionId }).select('messageCount').lean();
     if (!chat) {
         return res.status(404).json({ message: 'Chat session not found or access denied.' });
     }
+    const totalMsgCount = chat.messageCount || 0;
+
+    // Exclusive index of the newest message on this page
+    const end = beforeNum !== undefined ? Math.min(beforeNum, totalMsgCount) : totalMsgCount - (pageNum - 1) * limitNum;
+    let messages = [];
+    if (end > 0) {
+      messages = await Message.find({ chat: chat._id, seq: { $lt: end } })
+          .select('-chat -user -sessionId -__v')
+          .sort({ seq: -1 })
+          .limit(limitNum)
+          .lean();
+      messages = messages.map(({ seq, ...m }) => ({ ...m, index: seq })); // Position in the session, as used by the feedback endpoint
+    }
+    const oldest = messages[messages.length - 1];
 
-    // Need total count separately if using Method 1
-    const total = await Chat.countDocuments({ user: userId, sessionId: sessionId }); // This counts sessions, not messages
-    const totalMessagesResult = await Chat.aggregate([ // Need to count messages in the specific chat
-        { $match: { user: new mongoose.Types.ObjectId(userId), sessionId: sessionId } },
-        { $project: { messageCount: { $size: "$messages" } } }
-    ]);
-    const totalMsgCount = totalMessagesResult.length > 0 ? totalMessagesResult[0].messageCount : 0;
-
-    logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/messages success`, { userId, sessionId, count: chat.messages.length, total: totalMsgCount });
+    logger.info(`[${requestId}] GET /api/chat/sessions/:sessionId/messages success`, { userId, sessionId, count: messages.length, total: totalMsgCount });
     res.json({
-        sessionId: chat.sessionId,
-        messages: chat.messages || [],
+        sessionId: sessionId,
+        messages: messages,
         total: totalMsgCount, // Use the accurate message count
-        page: pageNum,
-        limit: limitNum
+        page: beforeNum !== undefined ? undefined : pageNum,
+        limit: limitNum,
+        nextCursor: oldest && oldest.index > 0 ? oldest.index : null // Pass as `before` for the next (older) batch
      });
   } catch (err) {
     logger.error(`[${requestId}] GET /api/chat/sessions/:sessionId/messages error`, { userId, sessionId, query: req.query, error: err.message, stack: err.stack });
@@ -880,6 +693,62 @@ router.get('/sessions/:sessionId/messages', auth, async (req, res) => {
   }
 });
 
+// GET /api/chat/messages/search - Search message text across all of the user's sessions
+// Every word in `q` must appear in the message (case-insensitive). Each hit links to its page in
+// GET /sessions/:sessionId/messages for the given `pageSize`.
+router.get('/messages/search', auth, validate(messageSearchSchema, 'query'), async (req, res) => {
+  const userId = req.userId;
+  const requestId = req.id;
+  const { q, from, to, sender, limit = 20, pageSize = 20 } = req.query;
+  logger.info(`[${requestId}] GET /api/chat/messages/search request received`, { userId, query: q, from, to, sender });
+
+  try {
+    const terms = searchTerms(q);
+    const filter = {
+      user: userId,
+      $and: terms.map(term => ({ message: { $regex: escapeRegex(term), $options: 'i' } })),
+      sender: sender || { $in: ['user', 'ai'] }
+    };
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+    }
+
+    const hits = await Message.find(filter)
+      .select('chat sessionId seq sender message timestamp')
+      .sort({ timestamp: -1 })
+      .limit(parseInt(limit, 10))
+      .lean();
+    const chats = await Chat.find({ _id: { $in: [...new Set(hits.map(h => h.chat.toString()))] } })
+      .select('title createdAt messageCount')
+      .lean();
+    const chatsById = new Map(chats.map(c => [c._id.toString(), c]));
+
+    const pageSizeNum = parseInt(pageSize, 10);
+    const results = hits.filter(hit => chatsById.has(hit.chat.toString())).map(hit => {
+      const chat = chatsById.get(hit.chat.toString());
+      const { snippet, highlights } = buildSnippet(hit.message, terms);
+      return {
+        sessionId: hit.sessionId,
+        sessionTitle: chat.title || `Chat from ${new Date(chat.createdAt).toLocaleDateString()}`,
+        messageId: hit._id,
+        messageIndex: hit.seq,
+        sender: hit.sender,
+        timestamp: hit.timestamp,
+        snippet,
+        highlights, // [start, end) offsets of the matched words in `snippet`
+        page: Math.floor((chat.messageCount - 1 - hit.seq) / pageSizeNum) + 1 // Page holding this message at `pageSize` messages per page
+      };
+    });
+    logger.info(`[${requestId}] GET /api/chat/messages/search success`, { userId, count: results.length });
+    res.json({ query: q, pageSize: pageSizeNum, results });
+  } catch (err) {
+    logger.error(`[${requestId}] GET /api/chat/messages/search error`, { userId, query: q, error: err.message, stack: err.stack });
+    res.status(500).json({ message: 'Could not search messages', error: err.message });
+  }
+});
+
 
 // POST /api/chat/:sessionId/feedback - Submit feedback for a specific AI message
 router.post('/:sessionId/feedback', auth, validate(feedbackSchema), async (req, res) => {
@@ -894,16 +763,16 @@ router.post('/:sessionId/feedback', auth, validate(feedbackSchema), async (req,
 
   try {
     // Find the chat session
-    const chat = await Chat.findOne({ user: userId, sessionId: sessionId }).select('messages'); // Need messages to find _id by index
+    const chat = await Chat.findOne({ user: userId, sessionId: sessionId }).select('messageCount');
     if (!chat) {
         return res.status(404).json({ message: 'Chat session not found or access denied.' });
     }
 
-    // --- Find message _id using index (if messageId not sent directly) ---
-    if (messageIndex === undefined || messageIndex === null || messageIndex < 0 || messageIndex >= chat.messages.length) {
+    // --- Find the message by its index in the session ---
+    if (messageIndex === undefined || messageIndex === null || messageIndex < 0 || messageIndex >= chat.messageCount) {
         return res.status(400).json({ message: 'Invalid or missing message index provided.' });
     }
-    const targetMessage = chat.messages[messageIndex];
+    const targetMessage = await Message.findOne({ chat: chat._id, seq: messageIndex }).select('sender');
     if (!targetMessage) {
         // Should not happen if index is valid, but check anyway
         return res.status(400).json({ message: `Message at index ${messageIndex} not found.`});
@@ -912,25 +781,10 @@ router.post('/:sessionId/feedback', auth, validate(feedbackSchema), async (req,
         // Ensure feedback is only for AI messages
         return res.status(400).json({ message: 'Feedback can only be provided for AI messages.' });
     }
-    const messageIdToUpdate = targetMessage._id; // Get the actual _id of the subdocument
-    if (!messageIdToUpdate) {
-         logger.error(`[${requestId}] Message at index ${messageIndex} lacks _id in session ${sessionId}`);
-         return res.status(500).json({ message: 'Internal error: Cannot identify message for feedback.' });
-    }
-    // --- End Find message _id ---
-
-    // Use the message's _id to update feedback atomically
-    const updateResult = await Chat.updateOne(
-      {
-          // Match the chat document AND the specific message within the array
-          _id: chat._id, // More specific match using chat's _id
-          "messages._id": messageIdToUpdate // Target the specific message subdocument by its _id
-      },
-      {
-          // Update the feedback field of the matched array element
-          $set: { "messages.$.feedback": feedback } // Use the positional $ operator
-      }
-    );
+    const messageIdToUpdate = targetMessage._id;
+    // --- End Find message ---
+
+    const updateResult = await Message.updateOne({ _id: messageIdToUpdate }, { $set: { feedback: feedback } });
 
     if (updateResult.matchedCount === 0) {
          // This indicates the chat or the specific message wasn't found during the update operation
@@ -962,16 +816,13 @@ router.post('/:sessionId/save-task', auth, validate(saveTaskSchema), async (req,
   logger.info(`[${requestId}] POST /api/chat/:sessionId/save-task request received`, { userId, sessionId, title, description, dueDate });
 
   try {
-    // Create a new Task document associated with the authenticated user
-    const task = new Task({
-        user: userId,
+    // Create the task the same way the planner does
+    const task = await taskService.createTask(userId, {
         title: title,
         description: description,
         // Ensure dueDate is stored as a Date object if provided, otherwise undefined
         dueDate: dueDate ? new Date(dueDate) : undefined
     });
-    // Save the new task to the database
-    await task.save();
     logger.info(`[${requestId}] POST /api/chat/:sessionId/save-task success`, { userId, sessionId, taskId: task._id });
     // Respond with the newly created task object
     res.status(201).json(task); // HTTP 201 Created status
@@ -986,5 +837,116 @@ router.post('/:sessionId/save-task', auth, validate(saveTaskSchema), async (req,
   }
 });
 
+// POST /api/chat/:sessionId/actions/:actionId/confirm - Run an AI action that was awaiting confirmation
+// POST /api/chat/:sessionId/actions/:actionId/reject  - Discard it
+// Either way the decision is recorded in the session and the AI continues the conversation.
+const handleActionDecision = (decision) => async (req, res) => {
+  const userId = req.userId;
+  const requestId = req.id;
+  const { sessionId, actionId } = req.params;
+  logger.info(`[${requestId}] POST /api/chat/:sessionId/actions/:actionId/${decision} request received`, { userId, sessionId, actionId });
+
+  try {
+    const chat = await Chat.findOne({ user: userId, sessionId: sessionId });
+    if (!chat) {
+        return res.status(404).json({ message: 'Chat session not found or access denied.' });
+    }
+    const action = findAction(chat, actionId);
+    if (!action || !tokenMatches(action, req.body.token)) {
+        return res.status(404).json({ message: 'Pending action not found.' });
+    }
+    if (await expireStaleActions(chat)) await chat.save();
+    if (action.status === 'expired') {
+        return res.status(410).json({ message: 'This action has expired. Ask the assistant again if you still want it.', action: { actionId, status: action.status } });
+    }
+    if (action.status !== 'pending') {
+        return res.status(409).json({ message: `This action was already ${action.status}.`, action: { actionId, status: action.status } });
+    }
+    // Claim it in the database first: a concurrent request for the same action must not run it again
+    if (!(await claimAction(chat, action, decision === 'confirm' ? 'confirmed' : 'rejected'))) {
+        return res.status(409).json({ message: 'This action was already decided.', action: { actionId } });
+    }
+
+    const user = await User.findById(userId).select(USER_CONTEXT_FIELDS).lean();
+    const aiSelection = ai.resolveSelection({}, user?.aiPreferences);
+    const description = describeAction(action.toolName, action.arguments);
+    const turn = []; // The decision starts a new turn
+    let actionResult;
+    if (decision === 'confirm') {
+      try {
+        // The session persona's tool restriction still applies when the action finally runs
+        const allowedTools = allowedToolsOf(await resolvePersona({ sessionPersona: chat.persona, user }));
+        actionResult = await toolRegistry.execute(action.toolName, action.arguments, { userId, userRole: user?.role, allowedTools, chat, turn, requestId, sessionId });
+        logger.info(`[${requestId}] [Chat ${sessionId}] Confirmed action ${action.toolName} executed`, { actionId, success: actionResult?.success });
+      } catch (toolError) {
+        logger.error(`[${requestId}] [Chat ${sessionId}] Error executing confirmed action ${action.toolName}`, { actionId, error: toolError.message, stack: toolError.stack });
+        actionResult = { success: false, error: `Server error executing tool '${action.toolName}': ${toolError.message}` };
+      }
+      await resolveAction(chat, action, 'confirmed', actionResult);
+      // Record the decision, then replay the call with its real result so the AI sees what happened
+      const replayCallId = `${action.toolCallId}_confirmed`;
+      turn.push(
+        { sender: 'user', message: `Confirmed: ${description}`, type: 'action_response', timestamp: new Date() },
+        {
+          sender: 'ai',
+          message: null,
+          type: 'tool_request',
+          tool_calls: [{ id: replayCallId, type: 'function', function: { name: action.toolName, arguments: JSON.stringify(action.arguments) } }],
+          timestamp: new Date()
+        },
+        {
+          sender: 'tool',
+          message: actionResult?.message || (actionResult?.success ? `Executed ${action.toolName}` : `Failed to execute ${action.toolName}`),
+          type: 'tool_result',
+          tool_call_id: replayCallId,
+          tool_name: action.toolName,
+          toolResultData: actionResult,
+          timestamp: new Date()
+        }
+      );
+    } else {
+      await resolveAction(chat, action, 'rejected');
+      turn.push({ sender: 'user', message: `Rejected: ${description}`, type: 'action_response', timestamp: new Date() });
+    }
+
+    // Let the AI follow up on the decision
+    const personaContext = await preparePersona({ chat, user, userId, memories: await findRelevantMemories(userId, description) });
+    const outcome = await runConversation({
+      chat,
+      turn,
+      history: buildContext(chat, { history: await loadContextHistory(chat), turn, requestId, systemPrompt: personaContext.systemPrompt }).messages,
+      userId,
+      userRole: user?.role,
+      allowedTools: personaContext.allowedTools,
+      requestId,
+      aiSelection
+    });
+    if (outcome.error) {
+      logger.warn(`[${requestId}] [Chat ${sessionId}] AI failed to follow up on action ${decision}`, { actionId, error: outcome.error.message });
+    } else {
+      pushFinalReply(chat, turn, outcome.finalContent, requestId);
+    }
+    stampPersonaVersion(turn, personaContext.personaVersion);
+    await saveTurn(chat, turn);
+    logger.info(`[${requestId}] POST /api/chat/:sessionId/actions/:actionId/${decision} success`, { userId, sessionId, actionId, rounds: outcome.rounds });
+    scheduleSummaryUpdate(chat, { requestId, aiSelection });
+
+    res.json({
+      action: { actionId, status: action.status, result: actionResult },
+      messages: await loadRecentMessages(chat._id, RECENT_MESSAGES_IN_RESPONSE),
+      toolResults: outcome.toolResults.length > 0 ? outcome.toolResults : undefined,
+      pendingActions: outcome.pendingActions.length > 0 ? outcome.pendingActions : undefined,
+      rounds: outcome.rounds,
+      aiError: outcome.error ? 'The action was recorded, but the AI failed to respond.' : undefined,
+      sessionId: chat.sessionId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error(`[${requestId}] POST /api/chat/:sessionId/actions/:actionId/${decision} error`, { userId, sessionId, actionId, error: err.message, stack: err.stack });
+    res.status(500).json({ message: `Could not ${decision} action`, error: err.message });
+  }
+};
+router.post('/:sessionId/actions/:actionId/confirm', auth, validate(actionDecisionSchema), handleActionDecision('confirm'));
+router.post('/:sessionId/actions/:actionId/reject', auth, validate(actionDecisionSchema), handleActionDecision('reject'));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const DataExport = require('../models/DataExport');
+const auth = require('../middleware/auth');
+const logger = require('../logger');
+const { requestExport, downloadLink, findDownload, openDownloadStream } = require('../services/dataExport');
+
+// "Download my data": an archive of the profile, tasks, mood logs, feedback, memories and chats,
+// built in the background (see services/dataExport.js)
+
+// What the client sees of an export; the link is only included once it's ready
+function exportStatus(dataExport) {
+  const ready = dataExport.status === 'ready';
+  return {
+    id: dataExport._id,
+    status: dataExport.status,
+    requestedAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    size: ready ? dataExport.size : undefined,
+    expiresAt: ready ? dataExport.expiresAt : undefined,
+    downloadUrl: ready ? downloadLink(dataExport) : undefined,
+    error: dataExport.error
+  };
+}
+
+// Request an export (returns the one in progress if there is one)
+router.post('/', auth, async (req, res) => {
+  try {
+    const { dataExport, created } = await requestExport(req.userId);
+    if (created) logger.info('Data export requested', { userId: req.userId, exportId: dataExport._id });
+    res.status(created ? 202 : 200).json(exportStatus(dataExport));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the user's exports, newest first
+router.get('/', auth, async (req, res) => {
+  try {
+    const dataExports = await DataExport.find({ user: req.userId }).sort({ createdAt: -1 }).limit(20);
+    res.json({ exports: dataExports.map(exportStatus) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Status of one export
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Export not found' });
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.userId });
+    if (!dataExport) return res.status(404).json({ message: 'Export not found' });
+    res.json(exportStatus(dataExport));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download the archive through the link from the status (the token in the link authorizes it)
+router.get('/:id/download', async (req, res) => {
+  try {
+    const dataExport = typeof req.query.token === 'string' && await findDownload(req.params.id, req.query.token);
+    if (!dataExport) return res.status(404).json({ message: 'Download link invalid or expired' });
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${dataExport.fileName}"`);
+    if (dataExport.size) res.set('Content-Length', String(dataExport.size));
+    openDownloadStream(dataExport)
+      .on('error', err => {
+        logger.error('Data export download failed', { exportId: dataExport._id, error: err.message });
+        if (!res.headersSent) res.status(500).json({ message: 'Server error' });
+        else res.end();
+      })
+      .pipe(res);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const Memory = require('../models/Memory');
+const auth = require('../middleware/auth');
+const Joi = require('joi');
+const validate = require('../middleware/validate');
+const { rememberFact } = require('../services/memory');
+
+// What the assistant remembers about the current user, so they can review, correct or delete it
+
+const KINDS = ['fact', 'preference', 'goal'];
+
+// List memories (paginated, newest first, optional ?kind=)
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const filter = { user: req.userId };
+    if (KINDS.includes(req.query.kind)) filter.kind = req.query.kind;
+    const [memories, total] = await Promise.all([
+      Memory.find(filter).sort({ updatedAt: -1 }).skip(skip).limit(limit),
+      Memory.countDocuments(filter)
+    ]);
+    res.json({ memories, page, limit, total });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a memory yourself
+const createMemorySchema = Joi.object({
+  content: Joi.string().trim().min(1).max(500).required(),
+  kind: Joi.string().valid(...KINDS).optional()
+});
+router.post('/', auth, validate(createMemorySchema), async (req, res) => {
+  try {
+    const result = await rememberFact(req.userId, { content: req.body.content, kind: req.body.kind, source: 'user' });
+    if (result.error) return res.status(400).json({ message: result.error });
+    res.status(result.created ? 201 : 200).json(result.memory);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const idParamSchema = Joi.object({ id: Joi.string().length(24).hex().required() });
+
+// Edit a memory
+const updateMemorySchema = Joi.object({
+  content: Joi.string().trim().min(1).max(500).optional(),
+  kind: Joi.string().valid(...KINDS).optional()
+}).min(1);
+router.put('/:id', auth, validate(idParamSchema, 'params'), validate(updateMemorySchema), async (req, res) => {
+  try {
+    const memory = await Memory.findOneAndUpdate(
+      { _id: req.params.id, user: req.userId },
+      { $set: { ...req.body, source: 'user' } },
+      { new: true, runValidators: true }
+    );
+    if (!memory) return res.status(404).json({ message: 'Memory not found' });
+    res.json(memory);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete everything that has been remembered
+router.delete('/', auth, async (req, res) => {
+  try {
+    const result = await Memory.deleteMany({ user: req.userId });
+    res.json({ message: 'All memories deleted', deleted: result.deletedCount });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete one memory
+router.delete('/:id', auth, validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const memory = await Memory.findOneAndDelete({ _id: req.params.id, user: req.userId });
+    if (!memory) return res.status(404).json({ message: 'Memory not found' });
+    res.json({ message: 'Memory deleted' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
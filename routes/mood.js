@@ -4,6 +4,8 @@ const MoodLog = require('../models/MoodLog');
 const auth = require('../middleware/auth');
 const Joi = require('joi');
 const validate = require('../middleware/validate');
+const { getMoodStats } = require('../services/moodStats');
+const { MOOD_STATS_MAX_DAYS } = require('../config/constants');
 
 // Log mood
 const moodSchema = Joi.object({
@@ -37,4 +39,21 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Mood statistics (averages, trend, streaks, weekdays, planner activity) for a range of days in the user's timezone
+const statsSchema = Joi.object({
+  from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('"from" must be a date like 2025-05-01'),
+  to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('"to" must be a date like 2025-05-31'),
+  days: Joi.number().integer().min(1).max(MOOD_STATS_MAX_DAYS), // Range length when `from` is left out
+  trendWindow: Joi.number().integer().min(2).max(30) // Days in the moving average
+});
+router.get('/stats', auth, validate(statsSchema, 'query'), async (req, res) => {
+  try {
+    const { value } = statsSchema.validate(req.query);
+    res.json(await getMoodStats(req.userId, value));
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const nodemailer = require('nodemailer');
 const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
 const Joi = require('joi');
 const validate = require('../middleware/validate');
+const { sendMail } = require('../services/mailer');
 
 // Stub: Send notification (email)
 const notificationSchema = Joi.object({
@@ -11,19 +12,10 @@ const notificationSchema = Joi.object({
   subject: Joi.string().required(),
   text: Joi.string().required()
 });
-router.post('/email', auth, validate(notificationSchema), async (req, res) => {
+router.post('/email', auth, requireVerified, validate(notificationSchema), async (req, res) => {
   const { to, subject, text } = req.body;
   try {
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
-    });
-    await transporter.sendMail({
-      from: process.env.EMAIL_USER,
-      to,
-      subject,
-      text
-    });
+    await sendMail({ to, subject, text });
     res.json({ message: 'Notification sent' });
   } catch (err) {
     res.status(500).json({ message: 'Notification failed', error: err.message });
@@ -3,10 +3,12 @@ const router = express.Router();
 const User = require('../models/User');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 const { BACKEND_URL } = require('../config/constants');
-// const rateLimit = require('express-rate-limit'); // Uncomment for production
+const logger = require('../logger');
+const { revokeAllSessions } = require('../services/authSessions');
+const { sendMail } = require('../services/mailer');
+const { checkResetRequest } = require('../services/authThrottle');
 
 const PasswordResetToken = require('../models/PasswordResetToken');
 
@@ -28,24 +30,30 @@ router.post('/request', async (req, res) => {
     return res.status(400).json({ message: 'Invalid email address.' });
   }
   try {
+    // Limited per address whether or not it has an account, so the limit reveals nothing either
+    const throttle = await checkResetRequest(email);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ message: 'Too many reset requests for this address. Please try again later.', retryAfter: throttle.retryAfter });
+    }
     const user = await User.findOne({ email });
     // Always respond with success to prevent user enumeration
     if (!user) {
       return res.json({ message: 'If the email exists, a reset link has been sent.' });
     }
+    // Unverified addresses may not belong to the account holder, so no reset links go there
+    if (!user.emailVerified) {
+      logger.info('Password reset requested for unverified email; no link sent', { userId: user._id });
+      return res.json({ message: 'If the email exists, a reset link has been sent.' });
+    }
     // Generate a cryptographically secure token (JWT + random salt)
     const salt = crypto.randomBytes(16).toString('hex');
     const token = jwt.sign({ userId: user._id, salt }, process.env.JWT_SECRET, { expiresIn: '1h' });
     // Save token in DB (invalidate previous tokens for this user)
     await PasswordResetToken.updateMany({ userId: user._id, used: false }, { used: true });
     await PasswordResetToken.create({ userId: user._id, token, expiresAt: Date.now() + 60 * 60 * 1000 });
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
-    });
     const resetLink = `${BACKEND_URL}/api/password-reset/reset-password/${token}`;
-    await transporter.sendMail({
-      from: process.env.EMAIL_USER,
+    await sendMail({
       to: email,
       subject: 'Dostify Password Reset',
       text: `Reset your password using this link: ${resetLink}`
@@ -53,8 +61,7 @@ router.post('/request', async (req, res) => {
     res.json({ message: 'If the email exists, a reset link has been sent.' });
   } catch (err) {
     // Log error for audit, but never leak details to client
-    const logger = require('../logger');
-logger.error('Password reset request error:', err);
+    logger.error('Password reset request error:', err);
     res.status(500).json({ message: 'Server error. Please try again later.' });
   }
 });
@@ -109,6 +116,7 @@ router.post('/reset/:token', async (req, res) => {
     await User.findByIdAndUpdate(decoded.userId, { password: hashedPassword });
     tokenDoc.used = true;
     await tokenDoc.save();
+    await revokeAllSessions(decoded.userId, { reason: 'password_reset' }); // Sign out every device, including a possible attacker
     if (req.headers['content-type'] && req.headers['content-type'].includes('application/x-www-form-urlencoded')) {
       return res.send('<html><body><p style="color:green">Password reset successful. You may now close this window.</p></body></html>');
     }
@@ -145,6 +153,7 @@ router.post('/reset/:token', async (req, res) => {
     await User.findByIdAndUpdate(decoded.userId, { password: hashedPassword });
     tokenDoc.used = true;
     await tokenDoc.save();
+    await revokeAllSessions(decoded.userId, { reason: 'password_reset' }); // Sign out every device, including a possible attacker
     res.json({ message: 'Password reset successful.' });
   } catch (err) {
     logger.error('Password reset error:', err);
@@ -152,8 +161,4 @@ router.post('/reset/:token', async (req, res) => {
   }
 });
 
-// TODO: Add rate limiting to /request and /reset endpoints for production
-// Example:
-// router.use('/request', rateLimit({ windowMs: 15 * 60 * 1000, max: 5 }));
-
 module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const Persona = require('../models/Persona');
+const PersonaVersion = require('../models/PersonaVersion');
+const auth = require('../middleware/auth');
+const adminOnly = require('../middleware/adminOnly');
+const validate = require('../middleware/validate');
+const toolRegistry = require('../tools');
+const { snapshotPersona } = require('../services/persona');
+const logger = require('../logger');
+
+const personaFields = {
+  name: Joi.string().trim().min(1),
+  description: Joi.string().allow(''),
+  tone: Joi.string().allow(''),
+  instructions: Joi.string().trim().min(1),
+  allowedTools: Joi.array().items(Joi.string()),
+  isDefault: Joi.boolean()
+};
+const createPersonaSchema = Joi.object({
+  ...personaFields,
+  key: Joi.string().trim().pattern(/^[a-z0-9-]+$/).required(),
+  name: personaFields.name.required(),
+  instructions: personaFields.instructions.required()
+});
+const updatePersonaSchema = Joi.object(personaFields).min(1);
+const idParamSchema = Joi.object({ id: Joi.string().length(24).hex().required() });
+
+// Fields that change what the AI is told; editing them creates a new version
+const VERSIONED_FIELDS = ['name', 'tone', 'instructions', 'allowedTools'];
+
+function unknownTools(allowedTools = []) {
+  return allowedTools.filter(name => !toolRegistry.get(name));
+}
+
+// Only one persona can be the default
+async function clearOtherDefaults(personaId) {
+  await Persona.updateMany({ _id: { $ne: personaId }, isDefault: true }, { $set: { isDefault: false } });
+}
+
+/**
+ * @swagger
+ * /api/personas:
+ *   get:
+ *     summary: List the personas users can pick for their chats
+ *     tags: [Personas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active personas
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const personas = await Persona.find({ active: true })
+      .select('key name description tone allowedTools isDefault version')
+      .sort({ name: 1 })
+      .lean();
+    res.json({ personas });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/personas:
+ *   post:
+ *     summary: Create a persona (admin only)
+ *     tags: [Personas]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - key
+ *               - name
+ *               - instructions
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 description: Lowercase slug, e.g. study-coach
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               tone:
+ *                 type: string
+ *               instructions:
+ *                 type: string
+ *                 description: System prompt text
+ *               allowedTools:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: AI tools this persona may use (empty for all)
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Persona created (version 1)
+ *       400:
+ *         description: Validation error, unknown tool or duplicate key
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/', auth, adminOnly, validate(createPersonaSchema), async (req, res) => {
+  try {
+    const invalidTools = unknownTools(req.body.allowedTools);
+    if (invalidTools.length > 0) return res.status(400).json({ message: `Unknown tools: ${invalidTools.join(', ')}` });
+    if (await Persona.exists({ key: req.body.key })) return res.status(400).json({ message: 'A persona with this key already exists' });
+
+    const persona = new Persona({ ...req.body, version: 1, updatedBy: req.userId });
+    await persona.save();
+    await snapshotPersona(persona, req.userId);
+    if (persona.isDefault) await clearOtherDefaults(persona._id);
+    logger.info(`[${req.id}] Persona created`, { personaId: persona._id, key: persona.key, userId: req.userId });
+    res.status(201).json(persona);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/personas/{id}:
+ *   put:
+ *     summary: Update a persona (admin only); changes to name, tone, instructions or tools create a new version
+ *     tags: [Personas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated persona
+ *       400:
+ *         description: Validation error, unknown tool or invalid ID
+ *       404:
+ *         description: Persona not found
+ */
+router.put('/:id', auth, adminOnly, validate(idParamSchema, 'params'), validate(updatePersonaSchema), async (req, res) => {
+  try {
+    const invalidTools = unknownTools(req.body.allowedTools);
+    if (invalidTools.length > 0) return res.status(400).json({ message: `Unknown tools: ${invalidTools.join(', ')}` });
+    const persona = await Persona.findById(req.params.id);
+    if (!persona) return res.status(404).json({ message: 'Persona not found' });
+
+    const versioned = VERSIONED_FIELDS.some(field =>
+      req.body[field] !== undefined && JSON.stringify(req.body[field]) !== JSON.stringify(persona[field]?.toObject?.() ?? persona[field]));
+    persona.set({ ...req.body, updatedBy: req.userId });
+    if (versioned) {
+      persona.version += 1;
+      await snapshotPersona(persona, req.userId);
+    } else {
+      await persona.save();
+    }
+    if (persona.isDefault) await clearOtherDefaults(persona._id);
+    logger.info(`[${req.id}] Persona updated`, { personaId: persona._id, version: persona.version, newVersion: versioned, userId: req.userId });
+    res.json(persona);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/personas/{id}:
+ *   delete:
+ *     summary: Retire a persona (admin only); sessions that used it keep their history
+ *     tags: [Personas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Persona retired
+ *       400:
+ *         description: Invalid ID
+ *       404:
+ *         description: Persona not found
+ */
+router.delete('/:id', auth, adminOnly, validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const persona = await Persona.findByIdAndUpdate(
+      req.params.id,
+      { $set: { active: false, isDefault: false, updatedBy: req.userId } },
+      { new: true }
+    );
+    if (!persona) return res.status(404).json({ message: 'Persona not found' });
+    logger.info(`[${req.id}] Persona retired`, { personaId: persona._id, userId: req.userId });
+    res.json({ message: 'Persona retired', id: persona._id });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/personas/{id}/versions:
+ *   get:
+ *     summary: List every version of a persona, newest first (admin only)
+ *     tags: [Personas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Persona versions
+ *       400:
+ *         description: Invalid ID
+ */
+router.get('/:id/versions', auth, adminOnly, validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const versions = await PersonaVersion.find({ persona: req.params.id }).sort({ version: -1 }).lean();
+    res.json({ versions });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,88 @@
 const express = require('express');
 const router = express.Router();
-const Task = require('../models/Task');
 const auth = require('../middleware/auth');
-const axios = require('axios');
+const ai = require('../services/ai');
 const Joi = require('joi');
 const validate = require('../middleware/validate');
+const taskService = require('../services/taskService');
+const studyPlan = require('../services/studyPlan');
+const schedule = require('../services/schedule');
+const calendar = require('../services/calendar');
+const { STUDY_PLAN_MAX_ITEMS, SCHEDULE_HORIZON_DAYS, CALENDAR_IMPORT_MAX_BODY } = require('../config/constants');
 
-// Get all tasks for user (paginated)
-router.get('/', auth, async (req, res) => {
+const { FREQS, WEEKDAYS } = require('../utils/recurrence');
+
+const idParamSchema = Joi.object({ id: Joi.string().length(24).hex().required() });
+
+// Repeat rule: an object or RRULE text such as "FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10" (checked in utils/recurrence.js)
+const recurrenceSchema = Joi.alternatives().try(
+  Joi.string().trim().max(200),
+  Joi.object({
+    freq: Joi.string().valid(...FREQS).required(),
+    interval: Joi.number().integer().min(1).max(365),
+    weekdays: Joi.array().items(Joi.string().uppercase().valid(...WEEKDAYS)).max(7),
+    until: Joi.date().iso(),
+    count: Joi.number().integer().min(1).max(1000)
+  }).oxor('until', 'count')
+);
+
+// Fields for a task's priority, tags, estimates and steps (subtasks)
+const minutesSchema = Joi.number().integer().min(0).max(100000);
+const subtaskSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  completed: Joi.boolean(),
+  priority: Joi.string().valid(...taskService.PRIORITIES),
+  estimatedMinutes: minutesSchema,
+  actualMinutes: minutesSchema,
+  subtasks: Joi.array().items(Joi.link('#subtask')).max(50) // Nesting depth is checked by the task service
+}).id('subtask');
+const planningFields = {
+  priority: Joi.string().valid(...taskService.PRIORITIES).allow(null),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(40)).max(20),
+  estimatedMinutes: minutesSchema.allow(null),
+  actualMinutes: minutesSchema.allow(null),
+  subtasks: Joi.array().items(subtaskSchema).max(50)
+};
+
+// 'future' also applies the change to later open occurrences of a repeating task
+const scopeSchema = Joi.object({ scope: Joi.string().valid('occurrence', 'future') });
+
+// Completing or skipping an occurrence of a repeating task also returns the occurrence created after it
+function taskResponse(task) {
+  if (task.$locals.nextOccurrence === undefined) return task;
+  return { ...task.toJSON(), nextOccurrence: task.$locals.nextOccurrence };
+}
+
+// Invalid repeat rules are reported by the task service as validation errors
+function taskError(res, err) {
+  if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+  res.status(500).json({ message: 'Server error' });
+}
+
+// Get tasks for user (filtered, sorted, paginated)
+const listSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  completed: Joi.boolean(),
+  dueBefore: Joi.date().iso(),
+  dueAfter: Joi.date().iso(),
+  overdue: Joi.boolean(), // true: open tasks past their due date
+  q: Joi.string().trim().max(200).allow(''), // Words to find in title or description
+  priority: Joi.string().pattern(new RegExp(`^(${taskService.PRIORITIES.join('|')})(,(${taskService.PRIORITIES.join('|')}))*$`)), // Any of these, comma-separated
+  tags: Joi.string().max(400), // All of these, comma-separated
+  minEstimate: Joi.number().integer().min(0),
+  maxEstimate: Joi.number().integer().min(0),
+  hasSubtasks: Joi.boolean(),
+  sort: Joi.string().valid(...taskService.SORT_FIELDS).default('dueDate'),
+  order: Joi.string().valid('asc', 'desc').default('asc')
+});
+router.get('/', auth, validate(listSchema, 'query'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    const [tasks, total] = await Promise.all([
-      Task.find({ user: req.userId }).skip(skip).limit(limit).sort({ dueDate: 1 }),
-      Task.countDocuments({ user: req.userId })
-    ]);
-    res.json({ tasks, page, limit, total });
+    const { value: opts } = listSchema.validate(req.query); // Converted values (numbers, booleans, dates)
+    if (opts.priority) opts.priority = opts.priority.split(',');
+    if (opts.tags) opts.tags = opts.tags.split(',');
+    const { tasks, total } = await taskService.listTasks(req.userId, opts);
+    res.json({ tasks, page: opts.page, limit: opts.limit, total });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -26,40 +92,289 @@ router.get('/', auth, async (req, res) => {
 const taskSchema = Joi.object({
   title: Joi.string().required(),
   description: Joi.string().allow('').optional(),
-  dueDate: Joi.date().optional()
+  dueDate: Joi.date().optional(),
+  recurrence: recurrenceSchema.optional(), // Needs a dueDate (the first occurrence)
+  ...planningFields,
+  priority: planningFields.priority.disallow(null)
 });
 router.post('/', auth, validate(taskSchema), async (req, res) => {
   try {
-    const { title, description, dueDate } = req.body;
-    const task = new Task({ user: req.userId, title, description, dueDate });
-    await task.save();
+    const { title, description, dueDate, recurrence, priority, tags, estimatedMinutes, actualMinutes, subtasks } = req.body;
+    const task = await taskService.createTask(req.userId, { title, description, dueDate, recurrence, priority, tags, estimatedMinutes, actualMinutes, subtasks });
     res.status(201).json(task);
+  } catch (err) {
+    taskError(res, err);
+  }
+});
+
+// Mark tasks as complete (or not) / delete tasks in bulk; IDs that aren't the user's tasks are ignored
+const bulkIdsSchema = Joi.array().items(Joi.string().length(24).hex()).min(1).max(100).required();
+const bulkCompleteSchema = Joi.object({ ids: bulkIdsSchema, completed: Joi.boolean().default(true) });
+router.post('/bulk/complete', auth, validate(bulkCompleteSchema), async (req, res) => {
+  try {
+    const { ids, completed = true } = req.body;
+    const result = await taskService.setTasksCompleted(req.userId, ids, completed);
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const bulkDeleteSchema = Joi.object({ ids: bulkIdsSchema });
+router.post('/bulk/delete', auth, validate(bulkDeleteSchema), async (req, res) => {
+  try {
+    const deleted = await taskService.deleteTasks(req.userId, req.body.ids);
+    res.json({ deleted });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Weekly times the user is free to work on tasks (weekdays, HH:MM in the user's timezone), and the
+// schedule of work blocks the scheduler fits into them (see utils/scheduler.js)
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+const availabilitySchema = Joi.object({
+  windows: Joi.array().items(Joi.object({
+    weekdays: Joi.array().items(Joi.string().uppercase().valid(...WEEKDAYS)).min(1).max(7).unique().required(),
+    start: timeOfDay.required(),
+    end: timeOfDay.required()
+  }).custom((window, helpers) => (window.end > window.start ? window : helpers.message('"end" must be after "start"')))).max(50).required()
+});
+router.get('/availability', auth, async (req, res) => {
+  try {
+    const windows = await schedule.getAvailability(req.userId);
+    if (!windows) return res.status(404).json({ message: 'User not found' });
+    res.json({ windows });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/availability', auth, validate(availabilitySchema), async (req, res) => {
+  try {
+    const { value } = availabilitySchema.validate(req.body); // Upper-cased weekdays
+    const windows = await schedule.setAvailability(req.userId, value.windows);
+    if (!windows) return res.status(404).json({ message: 'User not found' });
+    res.json({ windows });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const scheduleRangeSchema = Joi.object({
+  from: Joi.date().iso(), // Default: now
+  to: Joi.date().iso().greater(Joi.ref('from')) // Default: SCHEDULE_HORIZON_DAYS after `from`
+});
+router.get('/schedule', auth, validate(scheduleRangeSchema, 'query'), async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + SCHEDULE_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+    const blocks = await schedule.listBlocks(req.userId, from, to);
+    res.json({ blocks, from, to });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Run the scheduler: unchanged tasks keep their blocks unless `replan` is set
+const runScheduleSchema = Joi.object({ replan: Joi.boolean() });
+router.post('/schedule', auth, validate(runScheduleSchema), async (req, res) => {
+  try {
+    const result = await schedule.runScheduler(req.userId, { replan: req.body.replan === true });
+    if (!result) return res.status(404).json({ message: 'User not found' });
+    res.json(result);
+  } catch (err) {
+    if (err.code === 'SCHEDULE_RUNNING') return res.status(409).json({ message: err.message });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// iCalendar subscription feed of the user's tasks. The URL's secret token is the only authentication,
+// since calendar apps can't send a bearer token.
+const feedParamsSchema = Joi.object({ token: Joi.string().length(64).hex().required() });
+const feedQuerySchema = Joi.object({ type: Joi.string().valid('event', 'todo') }); // VEVENT (default) or VTODO entries
+router.get('/calendar/:token.ics', validate(feedParamsSchema, 'params'), validate(feedQuerySchema, 'query'), async (req, res) => {
+  try {
+    const user = await calendar.findUserByFeedToken(req.params.token);
+    if (!user) return res.status(404).json({ message: 'Calendar feed not found' });
+    const body = await calendar.buildFeed(user, { type: req.query.type });
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="tasks.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(body);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/calendar/feed', auth, async (req, res) => {
+  try {
+    const status = await calendar.feedStatus(req.userId);
+    if (!status) return res.status(404).json({ message: 'User not found' });
+    res.json(status);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create the feed URL, or replace it: earlier URLs stop working. The URL is only shown in this response.
+router.post('/calendar/feed', auth, async (req, res) => {
+  try {
+    const feed = await calendar.rotateFeedToken(req.userId);
+    if (!feed) return res.status(404).json({ message: 'User not found' });
+    res.status(201).json(feed);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/calendar/feed', auth, async (req, res) => {
+  try {
+    const found = await calendar.disableFeed(req.userId);
+    if (!found) return res.status(404).json({ message: 'User not found' });
+    res.json({ message: 'Calendar feed disabled' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import an .ics file (sent as the raw request body) as tasks
+const calendarBody = express.text({ type: ['text/calendar', 'text/plain', 'application/octet-stream'], limit: CALENDAR_IMPORT_MAX_BODY });
+router.post('/calendar/import', auth, calendarBody, async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ message: 'Send the .ics file as the request body with Content-Type: text/calendar' });
+    }
+    const result = await calendar.importCalendar(req.userId, req.body);
+    res.status(result.imported > 0 ? 201 : 200).json(result);
+  } catch (err) {
+    taskError(res, err);
+  }
+});
+
+// Replace a task (fields left out are cleared: no description, no due date, not completed;
+// a repeat rule and the planning fields are only changed when given)
+const replaceSchema = Joi.object({
+  title: Joi.string().trim().min(1).required(),
+  description: Joi.string().allow('').optional(),
+  dueDate: Joi.date().allow(null).optional(),
+  completed: Joi.boolean().optional(),
+  recurrence: recurrenceSchema.allow(null).optional(),
+  ...planningFields
+});
+router.put('/:id', auth, validate(idParamSchema, 'params'), validate(scopeSchema, 'query'), validate(replaceSchema), async (req, res) => {
+  try {
+    const task = await taskService.replaceTask(req.userId, req.params.id, req.body, { scope: req.query.scope });
+    if (!task) return res.status(404).json({ message: 'Task not found' });
+    res.json(taskResponse(task));
+  } catch (err) {
+    taskError(res, err);
+  }
+});
+
+// Update some of a task's fields (dueDate: null removes the due date, recurrence: null stops repeating)
+const updateSchema = Joi.object({
+  title: Joi.string().trim().min(1),
+  description: Joi.string().allow(''),
+  dueDate: Joi.date().allow(null),
+  completed: Joi.boolean(),
+  recurrence: recurrenceSchema.allow(null),
+  ...planningFields
+}).min(1);
+router.patch('/:id', auth, validate(idParamSchema, 'params'), validate(scopeSchema, 'query'), validate(updateSchema), async (req, res) => {
+  try {
+    const task = await taskService.updateTask(req.userId, req.params.id, req.body, { scope: req.query.scope });
+    if (!task) return res.status(404).json({ message: 'Task not found' });
+    res.json(taskResponse(task));
+  } catch (err) {
+    taskError(res, err);
+  }
+});
+
+// Delete a task
+router.delete('/:id', auth, validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const task = await taskService.deleteTask(req.userId, req.params.id);
+    if (!task) return res.status(404).json({ message: 'Task not found' });
+    res.json({ message: 'Task deleted', id: task._id });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // Mark task as complete
-const completeSchema = Joi.object({ id: Joi.string().length(24).hex().required() });
-router.patch('/:id/complete', auth, validate(completeSchema, 'params'), async (req, res) => {
-  try {
-    const task = await Task.findOneAndUpdate(
-      { _id: req.params.id, user: req.userId },
-      { completed: true },
-      { new: true }
-    );
+router.patch('/:id/complete', auth, validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const task = await taskService.updateTask(req.userId, req.params.id, { completed: true });
     if (!task) return res.status(404).json({ message: 'Task not found' });
-    res.json(task);
+    res.json(taskResponse(task));
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Skip an occurrence of a repeating task (closes it without doing it and creates the next one)
+router.post('/:id/skip', auth, validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const task = await taskService.skipOccurrence(req.userId, req.params.id);
+    if (!task) return res.status(404).json({ message: 'Task not found' });
+    res.json(taskResponse(task));
+  } catch (err) {
+    taskError(res, err);
+  }
+});
+
+// Steps of a task: add (optionally under another step), change, remove. Responses are the whole task
+// with its progress rolled up again.
+const subtaskParamsSchema = Joi.object({
+  id: Joi.string().length(24).hex().required(),
+  subtaskId: Joi.string().length(24).hex().required()
+});
+const addSubtaskSchema = subtaskSchema.keys({ parentId: Joi.string().length(24).hex() }); // Step to add it under
+router.post('/:id/subtasks', auth, validate(idParamSchema, 'params'), validate(addSubtaskSchema), async (req, res) => {
+  try {
+    const { parentId, ...fields } = req.body;
+    const task = await taskService.addSubtask(req.userId, req.params.id, fields, parentId);
+    if (!task) return res.status(404).json({ message: 'Task or parent step not found' });
+    res.status(201).json(task);
+  } catch (err) {
+    taskError(res, err);
+  }
+});
+
+const updateSubtaskSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200),
+  completed: Joi.boolean(), // For a step with steps: applies to all of them
+  priority: Joi.string().valid(...taskService.PRIORITIES).allow(null),
+  estimatedMinutes: minutesSchema.allow(null),
+  actualMinutes: minutesSchema.allow(null)
+}).min(1);
+router.patch('/:id/subtasks/:subtaskId', auth, validate(subtaskParamsSchema, 'params'), validate(updateSubtaskSchema), async (req, res) => {
+  try {
+    const task = await taskService.updateSubtask(req.userId, req.params.id, req.params.subtaskId, req.body);
+    if (!task) return res.status(404).json({ message: 'Task or step not found' });
+    res.json(task);
+  } catch (err) {
+    taskError(res, err);
+  }
+});
+
+router.delete('/:id/subtasks/:subtaskId', auth, validate(subtaskParamsSchema, 'params'), async (req, res) => {
+  try {
+    const task = await taskService.removeSubtask(req.userId, req.params.id, req.params.subtaskId);
+    if (!task) return res.status(404).json({ message: 'Task or step not found' });
+    res.json(task);
+  } catch (err) {
+    taskError(res, err);
+  }
+});
+
 /**
  * @swagger
  * /api/planner/ai:
  *   post:
  *     summary: Generate a personalized study plan using AI
+ *     description: The AI drafts a structured plan (tasks with due dates, estimates and dependencies), which is saved as a draft to preview. Nothing is added to the planner until the plan is committed.
  *     tags: [Planner]
  *     security:
  *       - bearerAuth: []
@@ -76,30 +391,135 @@ router.patch('/:id/complete', auth, validate(completeSchema, 'params'), async (r
  *               timeframe:
  *                 type: string
  *                 description: Time period for the study plan (e.g., '1 week')
+ *               startDate:
+ *                 type: string
+ *                 description: Optional first day of the plan (YYYY-MM-DD, defaults to today in the user's timezone)
+ *               provider:
+ *                 type: string
+ *                 description: Optional AI provider (defaults to the user's preference)
+ *               model:
+ *                 type: string
+ *                 description: Optional AI model (defaults to the user's preference)
  *     responses:
- *       200:
- *         description: AI-generated study plan
+ *       201:
+ *         description: The saved draft plan
+ *       502:
+ *         description: The AI did not return a usable plan
  *       500:
  *         description: AI or server error
  */
 const aiPlannerSchema = Joi.object({
   goals: Joi.string().required(),
-  timeframe: Joi.string().required()
+  timeframe: Joi.string().required(),
+  startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  provider: Joi.string().optional(),
+  model: Joi.string().optional()
 });
+
+// Errors from services/studyPlan.js
+function planError(res, err) {
+  if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+  if (err.name === 'VersionError') return res.status(409).json({ message: 'The plan was changed at the same time, please try again' });
+  if (err.code === 'INVALID_AI_PLAN') return res.status(502).json({ message: 'The AI did not return a usable plan', error: err.message });
+  res.status(500).json({ message: 'AI or server error', error: err.message });
+}
+
 router.post('/ai', auth, validate(aiPlannerSchema), async (req, res) => {
   try {
-    const { goals, timeframe } = req.body;
-    // Compose prompt for AI
-    const prompt = `Create a detailed study plan for: ${goals}. Timeframe: ${timeframe}. Format as a checklist with tasks and deadlines.`;
-    // Call AI API (stub - replace with real integration)
-    const aiResponse = await axios.post(process.env.AI_API_URL, {
-      prompt,
-      apiKey: process.env.AI_API_KEY
-    });
-    // Example: parse response as a list of tasks (customize as needed)
-    res.json({ plan: aiResponse.data.response || 'AI plan (stub)' });
-  } catch (err) {
-    res.status(500).json({ message: 'AI or server error', error: err.message });
+    const { provider } = req.body;
+    if (provider && !ai.hasProvider(provider)) {
+      return res.status(400).json({ message: `Unknown AI provider "${provider}"` });
+    }
+    const plan = await studyPlan.generatePlan(req.userId, req.body);
+    res.status(201).json({ plan, provider: plan.provider, model: plan.model });
+  } catch (err) {
+    planError(res, err);
+  }
+});
+
+// Saved study plans: list, view, tweak, regenerate, commit (add items to the planner) and delete
+router.get('/plans', auth, async (req, res) => {
+  try {
+    const plans = await studyPlan.listPlans(req.userId);
+    res.json({ plans });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/plans/:id', auth, validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const plan = await studyPlan.getPlan(req.userId, req.params.id);
+    if (!plan) return res.status(404).json({ message: 'Plan not found' });
+    res.json(plan);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Items not yet in the planner are replaced by the given list (items without a key get one)
+const planItemSchema = Joi.object({
+  key: Joi.string().trim().min(1).max(50),
+  title: Joi.string().trim().min(1).max(200).required(),
+  description: Joi.string().allow('').max(2000),
+  dueDate: Joi.date().allow(null),
+  estimatedMinutes: minutesSchema,
+  priority: Joi.string().valid(...taskService.PRIORITIES),
+  dependsOn: Joi.array().items(Joi.string().trim().min(1).max(50)).max(100)
+});
+const updatePlanSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200),
+  items: Joi.array().items(planItemSchema).max(STUDY_PLAN_MAX_ITEMS)
+}).min(1);
+router.patch('/plans/:id', auth, validate(idParamSchema, 'params'), validate(updatePlanSchema), async (req, res) => {
+  try {
+    const plan = await studyPlan.updatePlan(req.userId, req.params.id, req.body);
+    if (!plan) return res.status(404).json({ message: 'Plan not found' });
+    res.json(plan);
+  } catch (err) {
+    planError(res, err);
+  }
+});
+
+const regenerateSchema = Joi.object({
+  instructions: Joi.string().trim().max(2000), // e.g. "less on weekends, more practice exams"
+  provider: Joi.string(),
+  model: Joi.string()
+});
+router.post('/plans/:id/regenerate', auth, validate(idParamSchema, 'params'), validate(regenerateSchema), async (req, res) => {
+  try {
+    if (req.body.provider && !ai.hasProvider(req.body.provider)) {
+      return res.status(400).json({ message: `Unknown AI provider "${req.body.provider}"` });
+    }
+    const plan = await studyPlan.regeneratePlan(req.userId, req.params.id, req.body);
+    if (!plan) return res.status(404).json({ message: 'Plan not found' });
+    res.json({ plan, provider: plan.provider, model: plan.model });
+  } catch (err) {
+    planError(res, err);
+  }
+});
+
+const commitPlanSchema = Joi.object({
+  items: Joi.array().items(Joi.string().trim().min(1).max(50)).min(1).max(STUDY_PLAN_MAX_ITEMS) // Keys; default: all not yet added
+});
+router.post('/plans/:id/commit', auth, validate(idParamSchema, 'params'), validate(commitPlanSchema), async (req, res) => {
+  try {
+    const result = await studyPlan.commitPlan(req.userId, req.params.id, req.body.items);
+    if (!result) return res.status(404).json({ message: 'Plan not found' });
+    res.status(201).json(result);
+  } catch (err) {
+    planError(res, err);
+  }
+});
+
+// Tasks already added from the plan stay in the planner
+router.delete('/plans/:id', auth, validate(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const plan = await studyPlan.deletePlan(req.userId, req.params.id);
+    if (!plan) return res.status(404).json({ message: 'Plan not found' });
+    res.json({ message: 'Plan deleted', id: plan._id });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
@@ -0,0 +1,32 @@
+// Mark accounts created before email verification existed as verified. Those documents have no
+// `emailVerified` field, which Mongoose would read as the schema default (false): their owners would
+// get no password reset links and lose access to verified-only features.
+// Safe to re-run: only documents without the field are changed.
+// Usage: node scripts/backfill-email-verified.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`Backfilling emailVerified${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+  // Bypass the schema, so the default doesn't hide missing fields
+  const filter = { emailVerified: { $exists: false } };
+  if (dryRun) {
+    const count = await User.collection.countDocuments(filter);
+    console.log(`Done: ${count} users to mark as verified`);
+    return;
+  }
+  const result = await User.collection.updateMany(filter, { $set: { emailVerified: true } });
+  console.log(`Done: ${result.modifiedCount} users marked as verified`);
+}
+
+main()
+  .catch(err => {
+    console.error('Backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,58 @@
+// Move chat messages from the old embedded `Chat.messages` array into the Message collection.
+// Safe to re-run: a chat that was partly migrated resumes after the messages already copied.
+// Usage: node scripts/migrate-chat-messages.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateChat(chat) {
+  const messages = chat.messages || [];
+  const alreadyCopied = await Message.countDocuments({ chat: chat._id });
+  const remaining = messages.slice(alreadyCopied);
+
+  if (!dryRun) {
+    for (let i = 0; i < remaining.length; i += BATCH_SIZE) {
+      await Message.insertMany(remaining.slice(i, i + BATCH_SIZE).map((m, j) => ({
+        ...m,
+        chat: chat._id,
+        user: chat.user,
+        sessionId: chat.sessionId,
+        seq: alreadyCopied + i + j
+      })));
+    }
+    // Bypass the schema: `messages` is no longer part of it
+    await Chat.collection.updateOne(
+      { _id: chat._id },
+      { $set: { messageCount: messages.length }, $unset: { messages: '' } }
+    );
+  }
+  return remaining.length;
+}
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`Migrating chat messages${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+  let chats = 0;
+  let copied = 0;
+  const cursor = Chat.collection.find({ messages: { $exists: true } });
+  for await (const chat of cursor) {
+    const count = await migrateChat(chat);
+    chats++;
+    copied += count;
+    console.log(`Chat ${chat.sessionId}: ${count} of ${(chat.messages || []).length} messages ${dryRun ? 'to copy' : 'copied'}`);
+  }
+
+  console.log(`Done: ${chats} chats, ${copied} messages ${dryRun ? 'to copy' : 'copied'}`);
+}
+
+main()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
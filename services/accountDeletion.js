@@ -0,0 +1,88 @@
+// Account deletion: a request schedules it after a grace period in which the user can cancel;
+// a periodic job then deletes the account together with everything that belongs to it.
+const User = require('../models/User');
+const Task = require('../models/Task');
+const StudyPlan = require('../models/StudyPlan');
+const ScheduleBlock = require('../models/ScheduleBlock');
+const MoodLog = require('../models/MoodLog');
+const Feedback = require('../models/Feedback');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Memory = require('../models/Memory');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const AuthSession = require('../models/AuthSession');
+const logger = require('../logger');
+const { deleteUserExports } = require('./dataExport');
+const { ACCOUNT_DELETION_GRACE_DAYS, ACCOUNT_DELETION_JOB_INTERVAL_MS } = require('../config/constants');
+
+// Collections holding a user's data, with the field that points at the user
+const USER_DATA = [
+  [Task, 'user'],
+  [StudyPlan, 'user'],
+  [ScheduleBlock, 'user'],
+  [MoodLog, 'user'],
+  [Feedback, 'user'],
+  [Message, 'user'],
+  [Chat, 'user'],
+  [Memory, 'user'],
+  [PasswordResetToken, 'userId'],
+  [EmailVerificationToken, 'userId'],
+  [AuthSession, 'user']
+];
+
+// Resolves to the updated user, or null if deletion was already scheduled
+function scheduleDeletion(userId, now = new Date()) {
+  const scheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  return User.findOneAndUpdate(
+    { _id: userId, deletionScheduledFor: null },
+    { $set: { deletionRequestedAt: now, deletionScheduledFor: scheduledFor } },
+    { new: true }
+  );
+}
+
+// Resolves to true if a scheduled deletion was cancelled
+async function cancelDeletion(userId) {
+  const result = await User.updateOne(
+    { _id: userId, deletionScheduledFor: { $ne: null } },
+    { $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Delete a user and all their data; the user document goes last so an interrupted purge is retried
+async function purgeAccount(userId) {
+  const deleted = {};
+  for (const [Model, field] of USER_DATA) {
+    const result = await Model.deleteMany({ [field]: userId });
+    deleted[Model.modelName] = result.deletedCount;
+  }
+  deleted.DataExport = await deleteUserExports(userId);
+  await User.deleteOne({ _id: userId });
+  return deleted;
+}
+
+// Purge every account whose grace period is over
+async function processDueDeletions(now = new Date()) {
+  const due = await User.find({ deletionScheduledFor: { $lte: now } }).select('_id').lean();
+  for (const { _id } of due) {
+    try {
+      const deleted = await purgeAccount(_id);
+      logger.info('Account deleted after grace period', { userId: _id, deleted });
+    } catch (err) {
+      logger.error('Account deletion failed', { userId: _id, error: err.message });
+    }
+  }
+  return due.length;
+}
+
+// Run processDueDeletions periodically (call once at startup)
+function startAccountDeletionJob() {
+  const timer = setInterval(() => {
+    processDueDeletions().catch(err => logger.error('Account deletion job failed', { error: err.message }));
+  }, ACCOUNT_DELETION_JOB_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { scheduleDeletion, cancelDeletion, purgeAccount, processDueDeletions, startAccountDeletionJob };
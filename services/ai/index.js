@@ -0,0 +1,143 @@
+// AI client: one entry point for chat completions across providers (see providers/),
+// with ordered fallback when a provider is down and per-request / per-user model selection.
+//
+// Providers are configured with AI_PROVIDERS, a comma-separated fallback order, e.g.
+//   AI_PROVIDERS=pollinations,ollama
+// Known providers: pollinations, openai (needs OPENAI_API_KEY), ollama, mock.
+const axios = require('axios');
+const logger = require('../../logger');
+const createOpenAICompatibleProvider = require('./providers/openaiCompatible');
+const createOllamaProvider = require('./providers/ollama');
+const createMockProvider = require('./providers/mock');
+
+// Build the provider list from environment variables, in fallback order
+function buildProviders(env = process.env) {
+  const factories = {
+    pollinations: () => createOpenAICompatibleProvider({
+      name: 'pollinations',
+      url: env.AI_API_URL || 'https://text.pollinations.ai/openai',
+      defaultModel: env.AI_MODEL || 'openai',
+      extraBody: { referrer: env.POLLINATIONS_REFERRER || 'DostifyApp-Backend' }
+    }),
+    openai: () => env.OPENAI_API_KEY && createOpenAICompatibleProvider({
+      name: 'openai',
+      url: env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions',
+      defaultModel: env.OPENAI_MODEL || 'gpt-4o-mini',
+      apiKey: env.OPENAI_API_KEY
+    }),
+    ollama: () => createOllamaProvider({
+      baseUrl: env.OLLAMA_URL || 'http://localhost:11434',
+      defaultModel: env.OLLAMA_MODEL || 'llama3.1'
+    }),
+    mock: () => createMockProvider()
+  };
+  return (env.AI_PROVIDERS || 'pollinations')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      if (!factories[name]) {
+        logger.warn(`Unknown AI provider "${name}" in AI_PROVIDERS, ignoring it`);
+        return null;
+      }
+      const provider = factories[name]();
+      if (!provider) logger.warn(`AI provider "${name}" is not configured, ignoring it`);
+      return provider;
+    })
+    .filter(Boolean);
+}
+
+// Timeouts, connection failures and 5xx responses are worth retrying on the next provider
+function isRetryable(err) {
+  if (axios.isCancel(err)) return false;
+  if (!err.response) return true;
+  return err.response.status >= 500;
+}
+
+/**
+ * Create an AI client over an ordered list of providers.
+ * @param {object} options
+ * @param {Array} options.providers - Provider adapters ({ name, defaultModel, complete })
+ * @param {number} [options.timeout] - Per-request timeout in ms
+ */
+function createAIClient({ providers, timeout = 120000 }) {
+  function hasProvider(name) {
+    return providers.some(p => p.name === name);
+  }
+
+  function listProviders() {
+    return providers.map(p => ({ name: p.name, defaultModel: p.defaultModel }));
+  }
+
+  // The requested provider goes first, the rest keep their configured order as fallbacks
+  function providerChain(preferred) {
+    if (!preferred) return providers;
+    const first = providers.find(p => p.name === preferred);
+    if (!first) {
+      const err = new Error(`AI provider "${preferred}" is not configured`);
+      err.code = 'UNKNOWN_PROVIDER';
+      throw err;
+    }
+    return [first, ...providers.filter(p => p !== first)];
+  }
+
+  /**
+   * Request a chat completion.
+   * @param {object} request
+   * @param {Array} request.messages - OpenAI-format messages
+   * @param {Array} [request.tools] - OpenAI-format tool declarations
+   * @param {string} [request.toolChoice]
+   * @param {object} [request.responseFormat] - e.g. { type: 'json_object' }
+   * @param {string} [request.provider] - Preferred provider name
+   * @param {string} [request.model] - Model for the preferred (or first) provider; fallbacks use their default
+   * @param {boolean} [request.stream] - Stream content deltas to `onDelta`
+   * @param {Function} [request.onDelta]
+   * @param {AbortSignal} [request.signal]
+   * @returns {Promise<{status: number, message: object, finishReason: string, provider: string, model: string}>}
+   */
+  async function complete({ provider, model, ...request }) {
+    const chain = providerChain(provider);
+    if (chain.length === 0) throw new Error('No AI providers are configured');
+
+    for (let i = 0; i < chain.length; i++) {
+      const current = chain[i];
+      const currentModel = (i === 0 && model) ? model : current.defaultModel;
+      let emittedDeltas = false;
+      const onDelta = request.onDelta && ((text) => { emittedDeltas = true; request.onDelta(text); });
+      try {
+        const result = await current.complete({ ...request, model: currentModel, onDelta, timeout });
+        return { ...result, provider: current.name, model: currentModel };
+      } catch (err) {
+        // Can't fall back once the client has seen part of this provider's answer
+        const canFallBack = i < chain.length - 1 && !emittedDeltas && !request.signal?.aborted && isRetryable(err);
+        if (!canFallBack) throw err;
+        logger.warn(`AI provider "${current.name}" failed, falling back to "${chain[i + 1].name}"`, {
+          status: err.response?.status,
+          error: err.message
+        });
+      }
+    }
+  }
+
+  return { complete, hasProvider, listProviders };
+}
+
+/**
+ * Pick the provider/model for a request: explicit request values win over the user's saved
+ * preferences; the saved model only applies when it belongs to the chosen provider.
+ */
+function resolveSelection(requested = {}, preferences = {}) {
+  const provider = requested.provider || preferences.provider || undefined;
+  let model = requested.model;
+  if (!model && preferences.model && (!requested.provider || requested.provider === preferences.provider)) {
+    model = preferences.model;
+  }
+  return { provider, model };
+}
+
+const defaultClient = createAIClient({
+  providers: buildProviders(),
+  timeout: parseInt(process.env.AI_TIMEOUT_MS, 10) || 120000
+});
+
+module.exports = { ...defaultClient, createAIClient, buildProviders, resolveSelection };
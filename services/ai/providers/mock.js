@@ -0,0 +1,46 @@
+// Deterministic provider for tests and local development: no network, same input -> same output.
+//
+// - If the last message is from the user and starts with `/tool <name> <json args>` and that tool
+//   is offered, it returns a tool call for it.
+// - After tool results, it summarizes them: `Done: <tool messages>`.
+// - Otherwise it echoes: `Mock reply to: <last user text>`.
+
+function textOf(content) {
+  if (Array.isArray(content)) return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  return content || '';
+}
+
+function createMockProvider({ name = 'mock', defaultModel = 'mock-1' } = {}) {
+  async function complete({ messages, tools, stream = false, onDelta }) {
+    const last = messages[messages.length - 1] || { role: 'user', content: '' };
+    let message;
+
+    const toolMatch = last.role === 'user' && /^\/tool\s+(\w+)\s*(.*)$/s.exec(textOf(last.content).trim());
+    if (toolMatch && (tools || []).some(t => t.function.name === toolMatch[1])) {
+      message = {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: `mock_call_${messages.length}`, type: 'function', function: { name: toolMatch[1], arguments: toolMatch[2] || '{}' } }]
+      };
+      return { status: 200, message, finishReason: 'tool_calls' };
+    }
+
+    if (last.role === 'tool') {
+      const results = [];
+      for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) results.unshift(messages[i].content);
+      message = { role: 'assistant', content: `Done: ${results.join(' | ')}` };
+    } else {
+      message = { role: 'assistant', content: `Mock reply to: ${textOf(last.content)}` };
+    }
+
+    if (stream && onDelta) {
+      // Emit word by word so streaming clients see several deltas
+      message.content.split(/(?<= )/).forEach(part => onDelta(part));
+    }
+    return { status: 200, message, finishReason: 'stop' };
+  }
+
+  return { name, defaultModel, complete };
+}
+
+module.exports = createMockProvider;
@@ -0,0 +1,99 @@
+// Adapter for a local Ollama server (POST /api/chat)
+const axios = require('axios');
+
+// Ollama takes plain string content; multimodal parts are flattened to their text
+function toOllamaMessage(m) {
+  const content = Array.isArray(m.content)
+    ? m.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+    : (m.content || '');
+  const message = { role: m.role, content };
+  if (m.tool_calls) {
+    // Ollama expects arguments as an object, not a JSON string
+    message.tool_calls = m.tool_calls.map(tc => {
+      let args = tc.function.arguments;
+      try { args = typeof args === 'string' ? JSON.parse(args) : args; } catch (parseError) { args = {}; }
+      return { function: { name: tc.function.name, arguments: args } };
+    });
+  }
+  return message;
+}
+
+// Ollama tool calls have no IDs and carry arguments as objects; normalize to the OpenAI shape
+function toOpenAIToolCalls(toolCalls = [], offset = 0) {
+  return toolCalls.map((tc, i) => ({
+    id: `ollama_call_${offset + i}`,
+    type: 'function',
+    function: {
+      name: tc.function?.name,
+      arguments: typeof tc.function?.arguments === 'string' ? tc.function.arguments : JSON.stringify(tc.function?.arguments || {})
+    }
+  }));
+}
+
+/**
+ * @param {object} config
+ * @param {string} config.baseUrl - e.g. http://localhost:11434
+ * @param {string} config.defaultModel
+ */
+function createOllamaProvider({ name = 'ollama', baseUrl, defaultModel }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/api/chat`;
+
+  async function complete({ model, messages, tools, responseFormat, stream = false, signal, onDelta, timeout }) {
+    const payload = {
+      model,
+      messages: messages.map(toOllamaMessage),
+      tools: tools && tools.length > 0 ? tools : undefined,
+      format: responseFormat?.type === 'json_object' ? 'json' : undefined,
+      stream
+    };
+    // Tool call IDs must be unique within a conversation, so number them after the existing history
+    const idOffset = messages.length;
+
+    if (!stream) {
+      const response = await axios.post(url, payload, { timeout, signal });
+      const data = response.data?.message;
+      if (!data) return { status: response.status, message: undefined, finishReason: undefined };
+      const toolCalls = toOpenAIToolCalls(data.tool_calls, idOffset);
+      return {
+        status: response.status,
+        message: { role: 'assistant', content: data.content || null, tool_calls: toolCalls.length > 0 ? toolCalls : undefined },
+        finishReason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
+      };
+    }
+
+    // Streaming: newline-delimited JSON objects, the last one has `done: true`
+    const response = await axios.post(url, payload, { timeout, signal, responseType: 'stream' });
+    let content = '';
+    let rawToolCalls = [];
+    let buffer = '';
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      let chunk;
+      try { chunk = JSON.parse(line); } catch (parseError) { return; }
+      if (chunk.message?.content) {
+        content += chunk.message.content;
+        if (onDelta) onDelta(chunk.message.content);
+      }
+      if (chunk.message?.tool_calls) rawToolCalls = rawToolCalls.concat(chunk.message.tool_calls);
+    };
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        handleLine(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+      }
+    }
+    handleLine(buffer);
+    const toolCalls = toOpenAIToolCalls(rawToolCalls, idOffset);
+    return {
+      status: response.status,
+      message: { role: 'assistant', content: content || null, tool_calls: toolCalls.length > 0 ? toolCalls : undefined },
+      finishReason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
+    };
+  }
+
+  return { name, defaultModel, complete };
+}
+
+module.exports = createOllamaProvider;
@@ -0,0 +1,66 @@
+// Adapter for OpenAI-compatible chat completion APIs (Pollinations, OpenAI, most hosted gateways)
+const axios = require('axios');
+const { parseSSE } = require('../../../utils/sse');
+
+/**
+ * @param {object} config
+ * @param {string} config.name - Provider name used for selection and logging
+ * @param {string} config.url - Full chat completions URL
+ * @param {string} config.defaultModel
+ * @param {string} [config.apiKey] - Sent as a Bearer token when set
+ * @param {object} [config.extraBody] - Extra fields merged into every payload (e.g. Pollinations `referrer`)
+ */
+function createOpenAICompatibleProvider({ name, url, defaultModel, apiKey, extraBody = {} }) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  async function complete({ model, messages, tools, toolChoice, responseFormat, stream = false, signal, onDelta, timeout }) {
+    const payload = {
+      model,
+      messages,
+      tools: tools && tools.length > 0 ? tools : undefined,
+      tool_choice: tools && tools.length > 0 ? (toolChoice || 'auto') : undefined,
+      response_format: responseFormat,
+      ...extraBody
+    };
+
+    if (!stream) {
+      const response = await axios.post(url, payload, { timeout, signal, headers });
+      const choice = response.data?.choices?.[0];
+      return { status: response.status, message: choice?.message, finishReason: choice?.finish_reason };
+    }
+
+    // Streaming: forward content deltas and reassemble the chunks into a regular message
+    const response = await axios.post(url, { ...payload, stream: true }, { timeout, signal, headers, responseType: 'stream' });
+    const message = { role: 'assistant', content: '', tool_calls: [] };
+    let finishReason = null;
+    for await (const data of parseSSE(response.data)) {
+      let chunk;
+      try { chunk = JSON.parse(data); } catch (parseError) { continue; } // Ignore keep-alive or malformed frames
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+      const delta = choice.delta || {};
+      if (delta.content) {
+        message.content += delta.content;
+        if (onDelta) onDelta(delta.content);
+      }
+      // Tool call deltas arrive in pieces keyed by index; concatenate name/arguments fragments
+      for (const tc of delta.tool_calls || []) {
+        const index = tc.index ?? 0;
+        const target = message.tool_calls[index] || (message.tool_calls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+        if (tc.id) target.id = tc.id;
+        if (tc.type) target.type = tc.type;
+        if (tc.function?.name) target.function.name += tc.function.name;
+        if (tc.function?.arguments) target.function.arguments += tc.function.arguments;
+      }
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+    }
+    message.tool_calls = message.tool_calls.filter(Boolean);
+    if (message.tool_calls.length === 0) delete message.tool_calls;
+    if (!message.content) message.content = null;
+    return { status: response.status, message, finishReason };
+  }
+
+  return { name, defaultModel, complete };
+}
+
+module.exports = createOpenAICompatibleProvider;
@@ -0,0 +1,114 @@
+// Sign-in sessions: short-lived access tokens (JWT with the session ID as `sid`) plus a rotating
+// refresh token per device. Only a hash of the refresh token is stored. Each refresh replaces it;
+// if an already replaced token shows up again it was copied, so the whole session is revoked.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+const logger = require('../logger');
+const { ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_DAYS } = require('../config/constants');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshExpiry(now = new Date()) {
+  return new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Device details shown in the session list
+function clientInfo(req) {
+  return { userAgent: (req.get('user-agent') || '').slice(0, 300), ip: req.ip };
+}
+
+function issueTokens(session, refreshToken) {
+  const token = jwt.sign({ userId: session.user, sid: session._id }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS, sessionId: session._id };
+}
+
+// Start a session for a user who just proved who they are
+async function createSession(userId, req) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const session = await AuthSession.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+  return issueTokens(session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * @returns {Promise<object|null>} Same shape as createSession, or null if the token isn't valid
+ */
+async function refreshSession(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  const now = new Date();
+  const session = await AuthSession.findOne({ refreshTokenHash: hash });
+  if (!session) {
+    const reused = await AuthSession.findOneAndUpdate(
+      { previousTokenHash: hash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+    if (reused) logger.warn('Replaced refresh token presented again; session revoked', { userId: reused.user, sessionId: reused._id });
+    return null;
+  }
+  if (session.revokedAt || session.expiresAt <= now) return null;
+
+  const nextToken = crypto.randomBytes(32).toString('hex');
+  // Conditional on the old hash, so two concurrent refreshes can't both succeed
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    { $set: { refreshTokenHash: hashToken(nextToken), previousTokenHash: hash, lastUsedAt: now, expiresAt: refreshExpiry(now), ...clientInfo(req) } },
+    { new: true }
+  );
+  return rotated ? issueTokens(rotated, nextToken) : null;
+}
+
+// Whether an access token's session is still signed in
+function isSessionActive(sessionId, userId) {
+  return AuthSession.exists({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+}
+
+function listSessions(userId) {
+  return AuthSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+// Revoke one session; resolves to true if it was still active
+async function revokeSession(userId, sessionId, reason = 'revoked') {
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Revoke the session holding this refresh token (logout without a valid access token)
+async function revokeByRefreshToken(refreshToken, reason = 'logout') {
+  const result = await AuthSession.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Revoke all of a user's sessions, optionally keeping one (the caller's own); resolves to the count
+async function revokeAllSessions(userId, { reason = 'revoked', except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const result = await AuthSession.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions
+};
@@ -0,0 +1,138 @@
+// Brute-force protection for login and password reset. Counters live in Mongo (AuthThrottle) so
+// every server instance sees the same state. Failed logins are counted per account (email) and per
+// IP: after a few failures each new attempt has to wait progressively longer, and past a limit the
+// account or IP is locked for a while. Reset requests are limited per email address.
+const AuthThrottle = require('../models/AuthThrottle');
+const logger = require('../logger');
+const { sendMail } = require('./mailer');
+const {
+  APP_NAME,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_DELAY_AFTER_FAILURES,
+  LOGIN_MAX_DELAY_SECONDS,
+  LOGIN_ACCOUNT_MAX_FAILURES,
+  LOGIN_IP_MAX_FAILURES,
+  LOGIN_LOCK_MINUTES,
+  PASSWORD_RESET_REQUESTS_PER_HOUR
+} = require('../config/constants');
+
+const MINUTE = 60 * 1000;
+
+const accountKey = (email) => `login:account:${email.trim().toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+const resetKey = (email) => `reset:${email.trim().toLowerCase()}`;
+
+/**
+ * Count one failure/request for `key` in a single atomic update. The count starts over once the
+ * window has passed; reaching `limit` locks the key for `lockMs`.
+ * @param {object} opts
+ * @param {number} opts.windowMs
+ * @param {boolean} [opts.sliding] - Extend the window on every hit (instead of fixing it at the first)
+ * @param {number} [opts.limit]
+ * @param {number} [opts.lockMs]
+ * @returns {Promise<{counter: object, newlyLocked: boolean}>}
+ */
+async function hit(key, { windowMs, sliding = false, limit, lockMs }, now = new Date()) {
+  const windowEnd = new Date(now.getTime() + windowMs);
+  const lockEnd = lockMs ? new Date(now.getTime() + lockMs) : null;
+  const expired = { $not: [{ $gt: ['$expiresAt', now] }] }; // Also true for a new counter
+  const counter = await AuthThrottle.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          count: { $cond: [expired, 1, { $add: ['$count', 1] }] },
+          lockedUntil: { $cond: [expired, null, '$lockedUntil'] },
+          expiresAt: sliding ? windowEnd : { $cond: [expired, windowEnd, '$expiresAt'] },
+          lastAt: now
+        }
+      },
+      {
+        $set: {
+          lockedUntil: lockEnd
+            ? { $cond: [{ $and: [{ $gte: ['$count', limit] }, { $not: [{ $gt: ['$lockedUntil', now] }] }] }, lockEnd, '$lockedUntil'] }
+            : '$lockedUntil'
+        }
+      },
+      { $set: { expiresAt: { $max: ['$expiresAt', { $ifNull: ['$lockedUntil', '$expiresAt'] }] } } } // Keep it while locked
+    ],
+    { upsert: true, new: true }
+  ).lean();
+  const newlyLocked = !!lockEnd && counter.lockedUntil?.getTime() === lockEnd.getTime();
+  return { counter, newlyLocked };
+}
+
+// Seconds until `counter` accepts another login attempt (0 = now)
+function loginWait(counter, now) {
+  if (!counter || counter.expiresAt <= now) return 0;
+  if (counter.lockedUntil > now) return Math.ceil((counter.lockedUntil - now) / 1000);
+  if (counter.count < LOGIN_DELAY_AFTER_FAILURES) return 0;
+  const delay = Math.min(2 ** (counter.count - LOGIN_DELAY_AFTER_FAILURES), LOGIN_MAX_DELAY_SECONDS) * 1000;
+  return Math.max(0, Math.ceil((counter.lastAt.getTime() + delay - now) / 1000));
+}
+
+/**
+ * Whether a login attempt for this email from this IP may go ahead.
+ * @returns {Promise<{allowed: true}|{allowed: false, retryAfter: number, locked: boolean}>}
+ */
+async function checkLogin(email, ip, now = new Date()) {
+  const counters = await AuthThrottle.find({ key: { $in: [accountKey(email), ipKey(ip)] } }).lean();
+  let retryAfter = 0;
+  let locked = false;
+  for (const counter of counters) {
+    retryAfter = Math.max(retryAfter, loginWait(counter, now));
+    if (counter.lockedUntil > now) locked = true;
+  }
+  return retryAfter > 0 ? { allowed: false, retryAfter, locked } : { allowed: true };
+}
+
+async function sendLockoutNotice(user, lockedUntil) {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `${APP_NAME} account temporarily locked`,
+      text: `There were too many failed attempts to sign in to your ${APP_NAME} account, so sign-in is blocked until ${lockedUntil.toUTCString()}.\n\n` +
+        'If this was you, wait and try again. If not, someone may be guessing your password; consider resetting it once the lock ends.'
+    });
+  } catch (err) {
+    logger.error('Could not send lockout notice', { userId: user._id, error: err.message });
+  }
+}
+
+/**
+ * Record a failed login (wrong password or second factor). Emails the account owner when this
+ * failure locks the account and their address is verified.
+ * @param {object} [user] - The account, if the email belongs to one
+ */
+async function recordLoginFailure(email, ip, user) {
+  const windowMs = LOGIN_FAILURE_WINDOW_MINUTES * MINUTE;
+  const lockMs = LOGIN_LOCK_MINUTES * MINUTE;
+  const [account, byIp] = await Promise.all([
+    hit(accountKey(email), { windowMs, sliding: true, limit: LOGIN_ACCOUNT_MAX_FAILURES, lockMs }),
+    hit(ipKey(ip), { windowMs, sliding: true, limit: LOGIN_IP_MAX_FAILURES, lockMs })
+  ]);
+  if (account.newlyLocked) {
+    logger.warn('Account locked after repeated failed logins', { email, ip, lockedUntil: account.counter.lockedUntil });
+    if (user?.emailVerified) await sendLockoutNotice(user, account.counter.lockedUntil);
+  }
+  if (byIp.newlyLocked) {
+    logger.warn('IP locked after repeated failed logins', { ip, lockedUntil: byIp.counter.lockedUntil });
+  }
+}
+
+// A successful login clears the account's failures (not the IP's, which may be trying many accounts)
+function recordLoginSuccess(email) {
+  return AuthThrottle.deleteOne({ key: accountKey(email) });
+}
+
+/**
+ * Count a password reset request for this address.
+ * @returns {Promise<{allowed: true}|{allowed: false, retryAfter: number}>}
+ */
+async function checkResetRequest(email, now = new Date()) {
+  const { counter } = await hit(resetKey(email), { windowMs: 60 * MINUTE }, now);
+  if (counter.count <= PASSWORD_RESET_REQUESTS_PER_HOUR) return { allowed: true };
+  return { allowed: false, retryAfter: Math.ceil((counter.expiresAt - now) / 1000) };
+}
+
+module.exports = { checkLogin, recordLoginFailure, recordLoginSuccess, checkResetRequest };
@@ -0,0 +1,221 @@
+// Planner tasks in calendar apps: a secret iCalendar feed URL per user (Google Calendar, Apple Calendar
+// and Outlook can subscribe to it), and importing .ics files as tasks.
+//
+// The feed URL carries a random token; only its SHA-256 hash is stored, so a new token (rotation)
+// makes every earlier URL stop working.
+const crypto = require('crypto');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const taskService = require('./taskService');
+const logger = require('../logger');
+const { toWallTime, toRRule } = require('../utils/recurrence');
+const ical = require('../utils/ical');
+const { BACKEND_URL, APP_NAME, CALENDAR_FEED_PAST_DAYS, CALENDAR_IMPORT_MAX_EVENTS } = require('../config/constants');
+
+const UID_DOMAIN = 'dostify';
+const ICAL_PRIORITY = { urgent: 1, high: 3, medium: 5, low: 9 }; // RFC 5545: 1 is the highest
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function feedUrl(token) {
+  return `${BACKEND_URL}/api/planner/calendar/${token}.ics`;
+}
+
+/**
+ * Create the user's feed token, replacing (and so invalidating) any earlier one.
+ * @returns {Promise<{url: string, createdAt: Date}|null>} The URL is only available now; null if the user doesn't exist
+ */
+async function rotateFeedToken(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const createdAt = new Date();
+  const user = await User.findByIdAndUpdate(userId, { $set: { calendarFeed: { tokenHash: hashToken(token), createdAt } } });
+  return user ? { url: feedUrl(token), createdAt } : null;
+}
+
+// Resolves to false if the user doesn't exist
+async function disableFeed(userId) {
+  const user = await User.findByIdAndUpdate(userId, { $unset: { calendarFeed: 1 } });
+  return Boolean(user);
+}
+
+async function feedStatus(userId) {
+  const user = await User.findById(userId).select('calendarFeed').lean();
+  if (!user) return null;
+  return { enabled: Boolean(user.calendarFeed?.tokenHash), createdAt: user.calendarFeed?.createdAt || null };
+}
+
+function findUserByFeedToken(token) {
+  return User.findOne({ 'calendarFeed.tokenHash': hashToken(token) }).select('timezone').lean();
+}
+
+// RRULE for the open occurrence of a repeating task; COUNT is what is left of the series from here
+function recurrenceLines(task, property) {
+  const rule = task.recurrence;
+  const remaining = rule.count ? rule.count - (task.occurrence || 1) + 1 : undefined;
+  const timeZone = rule.timezone || 'UTC';
+  // Local time with TZID, so weekdays and times stay put across daylight saving changes
+  return [
+    `${property};TZID=${timeZone}:${ical.formatWallTime(toWallTime(task.dueDate, timeZone))}`,
+    `RRULE:${toRRule({ ...rule, count: remaining })}`
+  ];
+}
+
+// One task as a VEVENT (a zero-length event at the due time) or a VTODO
+function taskComponent(task, type) {
+  const repeats = task.recurrence && !task.completed;
+  const lines = [
+    type === 'todo' ? 'BEGIN:VTODO' : 'BEGIN:VEVENT',
+    `UID:task-${task._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${ical.formatDateTime(task.updatedAt || task.createdAt || new Date())}`,
+    `SUMMARY:${ical.escapeText(task.title)}`
+  ];
+  if (task.description) lines.push(`DESCRIPTION:${ical.escapeText(task.description)}`);
+  if (type === 'todo') {
+    lines.push(...(repeats ? recurrenceLines(task, 'DUE') : [`DUE:${ical.formatDateTime(task.dueDate)}`]));
+    lines.push(`STATUS:${task.skipped ? 'CANCELLED' : task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (task.priority) lines.push(`PRIORITY:${ICAL_PRIORITY[task.priority]}`);
+    if (task.progress?.total) lines.push(`PERCENT-COMPLETE:${task.progress.percent}`);
+  } else {
+    lines.push(...(repeats ? recurrenceLines(task, 'DTSTART') : [`DTSTART:${ical.formatDateTime(task.dueDate)}`]));
+    if (task.completed) lines.push(`STATUS:${task.skipped ? 'CANCELLED' : 'CONFIRMED'}`);
+  }
+  if (task.tags?.length) lines.push(`CATEGORIES:${task.tags.map(ical.escapeText).join(',')}`);
+  if (task.updatedAt) lines.push(`LAST-MODIFIED:${ical.formatDateTime(task.updatedAt)}`);
+  lines.push(type === 'todo' ? 'END:VTODO' : 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * The iCalendar feed: tasks with a due date, from CALENDAR_FEED_PAST_DAYS ago on.
+ * @param {object} user - { _id }
+ * @param {object} [options]
+ * @param {'event'|'todo'} [options.type] - VEVENTs (shown by all calendar apps) or VTODOs
+ * @param {Date} [options.now]
+ * @returns {Promise<string>}
+ */
+async function buildFeed(user, { type = 'event', now = new Date() } = {}) {
+  const tasks = await Task.find({ user: user._id, dueDate: { $gte: new Date(now.getTime() - CALENDAR_FEED_PAST_DAYS * DAY_MS) } })
+    .sort({ dueDate: 1 })
+    .lean();
+  return ical.formatLines([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${APP_NAME}//Planner//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${ical.escapeText(`${APP_NAME} tasks`)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...tasks.flatMap(task => taskComponent(task, type)),
+    'END:VCALENDAR'
+  ]);
+}
+
+// Events without a UID get one from their title and start, so re-importing them is still recognized
+function eventUid(component, start) {
+  const uid = ical.getProperty(component, 'UID')?.value.trim();
+  if (uid) return uid.slice(0, 500);
+  const summary = ical.getProperty(component, 'SUMMARY')?.value || '';
+  return `generated-${crypto.createHash('sha256').update(`${summary}|${start?.toISOString()}`).digest('hex')}`;
+}
+
+// Task fields for a VEVENT or VTODO, or { error }
+function taskFromComponent(component, timeZone) {
+  const text = name => {
+    const property = ical.getProperty(component, name);
+    return property ? ical.unescapeText(property.value).trim() : undefined;
+  };
+  const startProperty = ical.getProperty(component, component.name === 'VTODO' ? 'DUE' : 'DTSTART') || ical.getProperty(component, 'DTSTART');
+  const start = ical.parseDateTime(startProperty, timeZone);
+  const uid = eventUid(component, start?.date);
+  const title = text('SUMMARY') || '(No title)';
+  const fields = { title: title.slice(0, 200), description: text('DESCRIPTION')?.slice(0, 5000), externalUid: uid };
+  if (!start) {
+    // To-dos don't need a date, events do
+    return component.name === 'VTODO' && !startProperty ? { uid, title, fields } : { uid, title, error: 'Missing or unreadable start date' };
+  }
+
+  // All-day entries are due at the end of their day
+  fields.dueDate = start.allDay ? new Date(start.date.getTime() + DAY_MS - 1) : start.date;
+  const end = ical.parseDateTime(ical.getProperty(component, 'DTEND'), timeZone);
+  const minutes = end ? Math.round((end.date - start.date) / 60000) : ical.parseDuration(ical.getProperty(component, 'DURATION')?.value);
+  if (!start.allDay && minutes > 0) fields.estimatedMinutes = minutes;
+  const rrule = ical.getProperty(component, 'RRULE')?.value;
+  if (rrule) fields.recurrence = rrule;
+  return { uid, title, fields };
+}
+
+/**
+ * Turn the events (and to-dos) of an .ics file into tasks. Entries imported before (same UID),
+ * entries of the user's own feed, and cancelled or completed entries are skipped, so importing a
+ * file again adds nothing new.
+ * Repeat rules the planner can't follow are dropped; such tasks are listed in `warnings`.
+ * An entry that can't be read or saved is listed in `errors` and the rest are still imported.
+ * @param {string} userId
+ * @param {string} text - iCalendar data
+ * @returns {Promise<{imported: number, skipped: number, errors: Array, warnings: Array}>}
+ * @throws {Error} ValidationError if the file can't be parsed or has too many entries
+ */
+async function importCalendar(userId, text) {
+  const calendars = ical.parseCalendar(text);
+  const entries = calendars
+    .flatMap(calendar => (calendar.name === 'VCALENDAR' ? calendar.components : [calendar]))
+    .filter(component => ['VEVENT', 'VTODO'].includes(component.name))
+    // Moved or cancelled instances of a repeating event (RECURRENCE-ID) are left to the series itself
+    .filter(component => !ical.getProperty(component, 'RECURRENCE-ID'));
+  if (entries.length > CALENDAR_IMPORT_MAX_EVENTS) {
+    const err = new Error(`The file has ${entries.length} events; at most ${CALENDAR_IMPORT_MAX_EVENTS} can be imported at once`);
+    err.name = 'ValidationError';
+    throw err;
+  }
+
+  const timeZone = await taskService.userTimezone(userId);
+  const parsed = entries.map(component => ({ component, ...taskFromComponent(component, timeZone) }));
+  const uids = parsed.map(entry => entry.uid);
+  const ownIds = uids.map(uid => /^task-([0-9a-f]{24})@/.exec(uid)?.[1]).filter(Boolean);
+  const [existing, own] = await Promise.all([
+    Task.find({ user: userId, externalUid: { $in: uids } }).select('externalUid').lean(),
+    Task.find({ user: userId, _id: { $in: ownIds } }).select('_id').lean()
+  ]);
+  const known = new Set([...existing.map(task => task.externalUid), ...own.map(task => `task-${task._id}@${UID_DOMAIN}`)]);
+
+  const result = { imported: 0, skipped: 0, errors: [], warnings: [] };
+  for (const entry of parsed) {
+    const status = ical.getProperty(entry.component, 'STATUS')?.value.trim().toUpperCase();
+    if (known.has(entry.uid) || status === 'CANCELLED' || status === 'COMPLETED') {
+      result.skipped++;
+      continue;
+    }
+    if (entry.error) {
+      result.errors.push({ uid: entry.uid, title: entry.title, message: entry.error });
+      continue;
+    }
+    known.add(entry.uid); // The same UID twice in one file
+    try {
+      try {
+        await taskService.createTask(userId, entry.fields);
+      } catch (err) {
+        if (err.name !== 'ValidationError' || !entry.fields.recurrence) throw err;
+        const { recurrence, ...fields } = entry.fields;
+        await taskService.createTask(userId, fields);
+        result.warnings.push({ uid: entry.uid, title: entry.title, message: `Imported without repeating: ${err.message}` });
+      }
+      result.imported++;
+    } catch (err) {
+      if (err.code === 11000) {
+        result.skipped++; // Imported by a concurrent request
+      } else if (err.name === 'ValidationError') {
+        result.errors.push({ uid: entry.uid, title: entry.title, message: err.message });
+      } else {
+        logger.error('Calendar import entry failed', { userId, uid: entry.uid, error: err.message });
+        result.errors.push({ uid: entry.uid, title: entry.title, message: 'The entry could not be imported' });
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = { rotateFeedToken, disableFeed, feedStatus, findUserByFeedToken, buildFeed, importCalendar };
@@ -0,0 +1,185 @@
+// Chat context assembly: decides which messages are sent to the AI within a token budget.
+// The system prompt and the current turn are always sent; older history is added newest first
+// while it fits. Whatever doesn't fit is represented by the session's rolling summary
+// (`chat.summary`), which is refreshed in the background after each turn.
+const Chat = require('../models/Chat');
+const logger = require('../logger');
+const ai = require('./ai');
+const { toOpenAIMessage } = require('./chatRunner');
+const { loadRecentMessages, loadMessageRange } = require('./messageStore');
+const { estimateTokens, estimateMessageTokens, truncateToTokens } = require('../utils/tokens');
+const {
+  CHAT_CONTEXT_TOKENS,
+  CHAT_CONTEXT_MAX_MESSAGES,
+  CHAT_SUMMARY_MIN_MESSAGES,
+  CHAT_SUMMARY_CHUNK_TOKENS
+} = require('../config/constants');
+
+const SYSTEM_PROMPT = 'You are Dostify, a friendly assistant that helps students plan their studies, keep track of tasks and look after their wellbeing. Use the available tools when they help, and keep answers concise.';
+
+const SUMMARY_PROMPT = 'You maintain a running summary of a conversation between a user and Dostify, a study and wellbeing assistant. ' +
+  'Update the summary with the new messages. Keep what the assistant will need later: the user\'s goals, preferences, decisions, ' +
+  'tasks and moods they mentioned, and open questions. Write plain prose, at most 200 words. Reply with the summary only.';
+
+const summariesInProgress = new Set(); // Chat IDs with a summary refresh running in this process
+
+/**
+ * Split messages into groups that must be sent together: an AI tool request and the tool
+ * results answering it stay in one group, since the AI API rejects one without the other.
+ * Tool results without their request (e.g. from very old sessions) are dropped.
+ * @param {Array} stored - Messages in session order
+ * @returns {Array<{start: number, messages: Array, tokens: number}>} `start` is the `seq` of the group's first message
+ */
+function groupMessages(stored, sessionId) {
+  const logPrefix = `[Chat ${sessionId}]`;
+  const groups = [];
+  stored.forEach((m, i) => {
+    const message = toOpenAIMessage(m, logPrefix);
+    if (!message) return;
+    const last = groups[groups.length - 1];
+    if (message.role === 'tool') {
+      if (!last || !last.messages[0].tool_calls) return; // Orphaned tool result
+      last.messages.push(message);
+      last.tokens += estimateMessageTokens(message);
+      return;
+    }
+    groups.push({ start: m.seq ?? i, messages: [message], tokens: estimateMessageTokens(message) });
+  });
+  return groups;
+}
+
+// `seq` of the oldest message that fits in `budget` tokens counting back from the end
+function recentWindowStart(groups, budget, fallback) {
+  let used = 0;
+  let start = fallback;
+  for (let i = groups.length - 1; i >= 0; i--) {
+    if (used + groups[i].tokens > budget) break;
+    used += groups[i].tokens;
+    start = groups[i].start;
+  }
+  return start;
+}
+
+// The saved messages buildContext draws history from
+function loadContextHistory(chat) {
+  return loadRecentMessages(chat._id, CHAT_CONTEXT_MAX_MESSAGES);
+}
+
+/**
+ * Build the OpenAI-format messages for a turn.
+ * @param {object} chat - Chat document
+ * @param {object} opts
+ * @param {Array} opts.history - Saved messages before this turn, oldest first (see loadContextHistory)
+ * @param {Array} opts.turn - New messages of the current turn, not saved yet (always included)
+ * @param {string} opts.requestId
+ * @param {string} [opts.systemPrompt]
+ * @param {number} [opts.budget] - Token budget for all messages
+ * @returns {{messages: Array, windowStart: number, tokens: number, usedSummary: boolean}}
+ *   `windowStart` is the `seq` of the oldest history message included.
+ */
+function buildContext(chat, { history, turn, requestId, systemPrompt = SYSTEM_PROMPT, budget = CHAT_CONTEXT_TOKENS }) {
+  const system = { role: 'system', content: systemPrompt };
+  const earlier = groupMessages(history, chat.sessionId);
+  const current = groupMessages(turn, chat.sessionId).flatMap(g => g.messages);
+  const turnStart = chat.messageCount;
+
+  const fixedTokens = estimateMessageTokens(system) + current.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+  const earlierTokens = earlier.reduce((sum, g) => sum + g.tokens, 0);
+
+  let summary = null;
+  let windowStart = earlier.length > 0 ? earlier[0].start : turnStart;
+  // Older messages than the loaded history also count as not fitting
+  if (fixedTokens + earlierTokens > budget || windowStart > 0) {
+    // Not everything fits: make room for the summary, then fill the rest with the newest history
+    if (chat.summary?.text) {
+      summary = { role: 'system', content: `Summary of the earlier conversation:\n${chat.summary.text}` };
+    }
+    const available = budget - fixedTokens - (summary ? estimateMessageTokens(summary) : 0);
+    windowStart = recentWindowStart(earlier, available, turnStart);
+  }
+
+  const included = earlier.filter(g => g.start >= windowStart).flatMap(g => g.messages);
+  const messages = [system, ...(summary ? [summary] : []), ...included, ...current];
+  const tokens = messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+  if (windowStart > 0) {
+    logger.info(`[${requestId}] [Chat ${chat.sessionId}] Context trimmed to budget`, { budget, tokens, windowStart, usedSummary: !!summary });
+  }
+  if (tokens > budget) {
+    logger.warn(`[${requestId}] [Chat ${chat.sessionId}] Current turn alone exceeds the context budget`, { budget, tokens });
+  }
+  return { messages, windowStart, tokens, usedSummary: !!summary };
+}
+
+// Plain-text transcript line for one stored message, as input for the summarizer
+function transcriptLine(m) {
+  if (m.sender === 'user') return `User: ${m.message || ''}${m.type === 'image' ? ' [image]' : ''}`;
+  if (m.sender === 'tool') return `Tool ${m.tool_name} result: ${truncateToTokens(m.toolResultData ? JSON.stringify(m.toolResultData) : m.message, 200)}`;
+  if (m.tool_calls && m.tool_calls.length > 0) {
+    const calls = m.tool_calls.map(tc => `${tc.function?.name}(${tc.function?.arguments || ''})`).join(', ');
+    return `Assistant${m.message ? `: ${m.message}\nAssistant` : ''} called tools: ${calls}`;
+  }
+  return `Assistant: ${m.message || ''}`;
+}
+
+async function updateSummary(chat, { requestId, aiSelection }) {
+  const chatId = chat._id.toString();
+  const previousCount = chat.summary?.messageCount || 0;
+
+  // Summarize everything older than what fits in half the budget, so the raw history sent on
+  // later turns overlaps the summary instead of leaving a gap
+  const groups = groupMessages(await loadContextHistory(chat), chat.sessionId);
+  const target = recentWindowStart(groups, Math.floor(CHAT_CONTEXT_TOKENS / 2), chat.messageCount);
+  if (target - previousCount < CHAT_SUMMARY_MIN_MESSAGES) return;
+
+  // Catch up in chunks on long sessions
+  const lines = [];
+  let used = 0;
+  let end = previousCount;
+  for (const m of await loadMessageRange(chat._id, previousCount, target, 200)) {
+    const line = transcriptLine(m);
+    if (lines.length > 0 && used + estimateTokens(line) > CHAT_SUMMARY_CHUNK_TOKENS) break;
+    lines.push(line);
+    used += estimateTokens(line);
+    end = m.seq + 1;
+  }
+  if (lines.length === 0) return;
+
+  logger.info(`[${requestId}] [Chat ${chat.sessionId}] Updating rolling summary`, { from: previousCount, to: end });
+  const response = await ai.complete({
+    provider: aiSelection?.provider,
+    model: aiSelection?.model,
+    messages: [
+      { role: 'system', content: SUMMARY_PROMPT },
+      { role: 'user', content: `Current summary:\n${chat.summary?.text || '(none yet)'}\n\nNew messages:\n${lines.join('\n')}` }
+    ]
+  });
+  const text = response.message?.content?.trim();
+  if (!text) {
+    logger.warn(`[${requestId}] [Chat ${chat.sessionId}] Summarizer returned no content`, { provider: response.provider });
+    return;
+  }
+
+  // Only store it if no other refresh got there first
+  const result = await Chat.updateOne(
+    { _id: chatId, 'summary.messageCount': previousCount || { $exists: false } },
+    { $set: { summary: { text, messageCount: end, updatedAt: new Date() } } }
+  );
+  logger.info(`[${requestId}] [Chat ${chat.sessionId}] Rolling summary ${result.modifiedCount ? 'updated' : 'skipped (changed concurrently)'}`, { messageCount: end });
+}
+
+/**
+ * Refresh the session's rolling summary in the background if enough history has moved out of
+ * the recent window. Call after the turn's messages are saved; errors are logged, never thrown.
+ */
+function scheduleSummaryUpdate(chat, { requestId, aiSelection } = {}) {
+  const chatId = chat._id.toString();
+  if (summariesInProgress.has(chatId)) return;
+  summariesInProgress.add(chatId);
+  setImmediate(() => {
+    updateSummary(chat, { requestId, aiSelection })
+      .catch(err => logger.error(`[${requestId}] [Chat ${chat.sessionId}] Rolling summary update failed`, { error: err.message }))
+      .finally(() => summariesInProgress.delete(chatId));
+  });
+}
+
+module.exports = { SYSTEM_PROMPT, loadContextHistory, buildContext, scheduleSummaryUpdate };
@@ -0,0 +1,138 @@
+// Chat import: creates a new session from an exported one (GET /api/chat/sessions/:sessionId/export)
+// or from an OpenAI-style `messages` array. Every message is checked against the Message schema first;
+// if any is invalid nothing is written and the errors are reported per message.
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { appendMessages } = require('./messageStore');
+
+// Exported message fields that are imported; `seq`, IDs and persona versions are assigned anew or dropped
+const EXPORT_FIELDS = ['sender', 'message', 'type', 'imageUrl', 'feedback', 'partial', 'timestamp', 'tool_calls', 'tool_call_id', 'tool_name', 'toolResultData'];
+
+function fromExportMessage(raw) {
+  const msg = {};
+  for (const field of EXPORT_FIELDS) {
+    if (raw[field] !== undefined) msg[field] = raw[field];
+  }
+  return msg;
+}
+
+// OpenAI content is a string, null or a list of parts ({type: 'text'} / {type: 'image_url'})
+function fromOpenAIContent(content) {
+  if (!Array.isArray(content)) return { message: content ?? null };
+  const text = content.filter(part => part?.type === 'text').map(part => part.text).join('\n');
+  const image = content.find(part => part?.type === 'image_url');
+  return image ? { message: text, type: 'image', imageUrl: image.image_url?.url } : { message: text };
+}
+
+// Map an OpenAI chat message to the stored format (null for system prompts, which personas supply)
+function fromOpenAIMessage(raw) {
+  switch (raw.role) {
+    case 'system':
+    case 'developer':
+      return null;
+    case 'user':
+      return { sender: 'user', type: 'text', ...fromOpenAIContent(raw.content) };
+    case 'assistant': {
+      const { message } = fromOpenAIContent(raw.content);
+      if (Array.isArray(raw.tool_calls) && raw.tool_calls.length > 0) {
+        return { sender: 'ai', type: 'tool_request', message, tool_calls: raw.tool_calls };
+      }
+      return { sender: 'ai', type: 'text', message };
+    }
+    case 'tool': {
+      // Tool results are sent to the AI as JSON (see chatRunner); keep the object when it parses
+      const { message } = fromOpenAIContent(raw.content);
+      let result;
+      try {
+        result = JSON.parse(message);
+      } catch (err) {
+        result = undefined;
+      }
+      const data = result && typeof result === 'object' && !Array.isArray(result) ? result : undefined;
+      const summary = data ? (data.message || (data.success === false ? `Failed to execute ${raw.name}` : `Executed ${raw.name}`)) : message;
+      return { sender: 'tool', type: 'tool_result', message: summary, tool_call_id: raw.tool_call_id, tool_name: raw.name, toolResultData: data };
+    }
+    default:
+      return { error: { field: 'role', message: `Unknown role "${raw.role}"` } };
+  }
+}
+
+// Problems the schema can't see: empty messages and tool results that don't answer an earlier tool call
+function checkMessage(msg, callIds) {
+  const errors = [];
+  const hasToolCalls = Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0;
+  if (msg.sender !== 'tool' && !msg.message && !msg.imageUrl && !hasToolCalls) {
+    errors.push({ field: 'message', message: 'Message has no text' });
+  }
+  if (hasToolCalls) {
+    msg.tool_calls.forEach((call, i) => {
+      if (!call?.id || !call.function?.name) errors.push({ field: `tool_calls.${i}`, message: 'Tool call needs an id and a function name' });
+    });
+  }
+  if (msg.sender === 'tool' && !callIds.has(msg.tool_call_id)) {
+    errors.push({ field: 'tool_call_id', message: 'Does not match a tool call in an earlier message' });
+  }
+  return errors;
+}
+
+/**
+ * Import a session for the user. Nothing is stored unless every message is valid.
+ * @param {string} userId
+ * @param {object|Array} body - Exported session ({sessionId, title, messages}) or an OpenAI `messages` array
+ * @returns {Promise<{errors: Array}|{chat: object, imported: number, skipped: number, renamedFrom?: string}>}
+ *   `errors` lists `{index, errors: [{field, message}]}` per invalid message (index into `messages`)
+ */
+async function importSession(userId, body) {
+  const source = Array.isArray(body) ? { messages: body } : body;
+  const placeholder = { chat: new mongoose.Types.ObjectId(), user: userId, sessionId: 'import' };
+  const prepared = [];
+  const errors = [];
+  const callIds = new Set();
+  let skipped = 0;
+
+  source.messages.forEach((raw, index) => {
+    const msg = raw.role !== undefined && raw.sender === undefined ? fromOpenAIMessage(raw) : fromExportMessage(raw);
+    if (msg === null) {
+      skipped++;
+      return;
+    }
+    if (msg.error) {
+      errors.push({ index, errors: [msg.error] });
+      return;
+    }
+    const validationError = new Message({ ...placeholder, ...msg, seq: prepared.length }).validateSync();
+    const messageErrors = validationError
+      ? Object.values(validationError.errors).map(e => ({ field: e.path, message: e.message }))
+      : checkMessage(msg, callIds);
+    if (messageErrors.length > 0) {
+      errors.push({ index, errors: messageErrors });
+      return;
+    }
+    (msg.tool_calls || []).forEach(call => callIds.add(call.id));
+    prepared.push(msg);
+  });
+  if (errors.length > 0) return { errors };
+  if (prepared.length === 0) return { errors: [{ index: null, errors: [{ field: 'messages', message: 'Nothing to import besides system messages' }] }] };
+
+  // Keep the exported session ID unless the user already has a session with it
+  let sessionId = source.sessionId;
+  let renamedFrom;
+  if (!sessionId || await Chat.exists({ user: userId, sessionId })) {
+    renamedFrom = sessionId;
+    sessionId = uuidv4();
+  }
+  const chat = await Chat.create({ user: userId, sessionId, title: source.title || undefined, messageCount: 0 });
+  try {
+    await appendMessages(chat, prepared);
+  } catch (err) {
+    // Don't leave a half-imported session behind
+    await Message.deleteMany({ chat: chat._id });
+    await Chat.deleteOne({ _id: chat._id });
+    throw err;
+  }
+  return { chat, imported: prepared.length, skipped, renamedFrom };
+}
+
+module.exports = { importSession };
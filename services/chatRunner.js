@@ -0,0 +1,224 @@
+// Chat conversation runner: calls the AI and executes the tools it requests
+const logger = require('../logger');
+const ai = require('./ai');
+const toolRegistry = require('../tools');
+const { createPendingAction, toClientAction } = require('./pendingActions');
+const { truncateToTokens } = require('../utils/tokens');
+const { CHAT_MAX_TOOL_ROUNDS, CHAT_TOOL_TIME_BUDGET_MS, CHAT_TOOL_RESULT_MAX_TOKENS } = require('../config/constants');
+
+// Map a stored chat message to the OpenAI message format (null if it can't be mapped)
+function toOpenAIMessage(m, logPrefix) {
+  if (m.sender === 'user') {
+    let content = [{ type: 'text', text: m.message || "" }]; // Ensure text content is always present
+    if (m.type === 'image' && m.imageUrl) {
+      content.push({ type: 'image_url', image_url: { url: m.imageUrl } });
+    }
+    return { role: 'user', content: content };
+  } else if (m.sender === 'ai') {
+    if (m.tool_calls && m.tool_calls.length > 0) {
+      // If the AI message contained tool calls
+      return {
+        role: 'assistant',
+        content: m.message, // Content might be null or text accompanying the tool call
+        tool_calls: m.tool_calls.map(tc => ({ // Map to OpenAI format
+          id: tc.id,
+          type: tc.type || 'function', // Default type if missing
+          function: {
+            name: tc.function.name,
+            arguments: tc.function.arguments // Arguments should be a JSON string
+          }
+        })).filter(tc => tc.id && tc.function?.name && tc.function?.arguments !== undefined) // Basic validation
+      };
+    } else {
+      // Regular AI text message
+      return { role: 'assistant', content: m.message };
+    }
+  } else if (m.sender === 'tool') {
+    // Result of a tool call
+    return {
+      role: 'tool',
+      tool_call_id: m.tool_call_id,
+      name: m.tool_name,
+      content: truncateToTokens( // Long results would crowd out the rest of the context
+        m.toolResultData ? JSON.stringify(m.toolResultData) : (m.message || '{"success":false, "error":"Missing tool result data"}'), // Send structured data back, handle missing data
+        CHAT_TOOL_RESULT_MAX_TOKENS
+      )
+    };
+  }
+  logger.warn(`${logPrefix} Skipping message with unknown sender type in history mapping: ${m.sender}`);
+  return null;
+}
+
+/**
+ * Run the assistant until it replies with plain content, executing the tools it requests between rounds.
+ * The model may chain tool calls (e.g. list tasks, then update some of them) for up to
+ * CHAT_MAX_TOOL_ROUNDS rounds or CHAT_TOOL_TIME_BUDGET_MS; after that it is asked for a final answer without tools.
+ *
+ * Every assistant tool request and tool result is pushed onto `turn` (saved by the caller),
+ * and onto `history` so each round sees the previous ones. Tools that require confirmation are
+ * not run: a pending action is created instead (services/pendingActions.js) and returned.
+ *
+ * @param {object} opts
+ * @param {object} opts.chat - Chat document for the session
+ * @param {Array} opts.history - OpenAI-format messages, ending with the current user turn (see services/chatContext.js)
+ * @param {Array} opts.turn - New messages of this turn, in stored format
+ * @param {string} opts.userId
+ * @param {string} [opts.userRole] - Role of the user; limits which tools are offered
+ * @param {Array} [opts.allowedTools] - Tool names the persona may use (default: all)
+ * @param {string} opts.requestId
+ * @param {object} [opts.aiSelection] - { provider, model } to use (see services/ai resolveSelection)
+ * @param {Function} [opts.emit] - (event, data) callback used for streaming progress
+ * @param {boolean} [opts.stream] - Stream AI output through `emit('delta')`
+ * @param {AbortSignal} [opts.signal] - Aborts the in-flight AI request
+ * @param {Function} [opts.isCancelled] - Returns true once the client has gone away
+ * @returns {Promise<{finalContent: (string|null), toolResults: Array, pendingActions: Array, rounds: number, provider: string, model: string, cancelled: boolean, partialText: string, error: (object|undefined)}>}
+ *   `error` is set when the AI call failed; `error.afterTools` tells whether tools had already run.
+ */
+async function runConversation({ chat, history, turn, userId, userRole = 'user', allowedTools, requestId, aiSelection = {}, emit = () => {}, stream = false, signal, isCancelled = () => false }) {
+  const sessionId = chat.sessionId;
+  const deadline = Date.now() + CHAT_TOOL_TIME_BUDGET_MS;
+  const aiTools = toolRegistry.toOpenAITools({ role: userRole, names: allowedTools });
+  const toolResults = []; // To inform the client what actions were taken
+  const pendingActions = []; // Actions created this turn that need the user's confirmation
+  let rounds = 0; // Number of tool rounds executed
+  let partialText = ''; // Text streamed during the current AI call (saved if the client disconnects)
+
+  let usedProvider; // Provider/model that produced the last response (may differ after a fallback)
+  let usedModel;
+
+  const onDelta = (text) => {
+    partialText += text;
+    emit('delta', { content: text });
+  };
+  const result = (extra) => ({ finalContent: null, toolResults, pendingActions: pendingActions.map(toClientAction), rounds, provider: usedProvider, model: usedModel, cancelled: false, partialText, ...extra });
+
+  while (true) {
+    // Offer tools until the round or time budget runs out, then force a plain answer.
+    // Once an action awaits confirmation, the AI should just ask the user about it.
+    const toolsAllowed = aiTools.length > 0 && rounds < CHAT_MAX_TOOL_ROUNDS && Date.now() < deadline && pendingActions.length === 0;
+    logger.info(`[${requestId}] [Chat ${sessionId}] Calling AI (round ${rounds + 1})`, { provider: aiSelection.provider, model: aiSelection.model, toolsAllowed, streaming: stream });
+    partialText = '';
+    let aiResponse;
+    try {
+      aiResponse = await ai.complete({
+        provider: aiSelection.provider,
+        model: aiSelection.model,
+        messages: history,
+        tools: toolsAllowed ? aiTools : undefined,
+        stream,
+        signal,
+        onDelta
+      });
+      usedProvider = aiResponse.provider;
+      usedModel = aiResponse.model;
+      logger.info(`[${requestId}] [Chat ${sessionId}] AI (round ${rounds + 1}) response status: ${aiResponse.status}`, { provider: usedProvider, model: usedModel });
+    } catch (apiError) {
+      if (isCancelled()) return result({ cancelled: true, partialText });
+      const errorDetails = apiError.response ? { status: apiError.response.status, data: apiError.response.data } : { message: apiError.message };
+      logger.error(`[${requestId}] [Chat ${sessionId}] AI API Error (round ${rounds + 1})`, { error: errorDetails });
+      return result({ error: { afterTools: rounds > 0, message: apiError.message } });
+    }
+
+    if (!aiResponse.message) { // Check structure carefully based on OpenAI spec
+      logger.error(`[${requestId}] [Chat ${sessionId}] Invalid response structure from AI`, { provider: usedProvider });
+      return result({ error: { afterTools: rounds > 0, message: 'Invalid response structure from AI' } });
+    }
+    const responseMessage = aiResponse.message; // {role: 'assistant', content: '...', tool_calls: [...]}
+
+    // --- Plain answer: we're done ---
+    if (!(toolsAllowed && responseMessage.tool_calls && aiResponse.finishReason === 'tool_calls')) {
+      if (responseMessage.content === null || responseMessage.content === undefined) {
+        logger.warn(`[${requestId}] [Chat ${sessionId}] AI final response content is null or undefined.`);
+      } else {
+        logger.info(`[${requestId}] [Chat ${sessionId}] Received final AI response`, { rounds });
+      }
+      return result({ finalContent: responseMessage.content ?? null, partialText: '' });
+    }
+
+    // --- Tool round ---
+    rounds++;
+    logger.info(`[${requestId}] [Chat ${sessionId}] AI requested tool calls (round ${rounds})`, { count: responseMessage.tool_calls.length, calls: responseMessage.tool_calls.map(t => t.function?.name) });
+
+    // Save AI's Tool Call Request Message
+    turn.push({
+      sender: 'ai',
+      message: responseMessage.content, // May be null or contain text like "Okay, I can do that."
+      type: 'tool_request', // Indicate this is the AI's request
+      tool_calls: responseMessage.tool_calls.map(tc => ({ // Store tool call details structurally based on MessageSchema
+        id: tc.id,
+        type: tc.type, // e.g., 'function'
+        function: {
+          name: tc.function.name,
+          arguments: tc.function.arguments // Store the raw arguments JSON string
+        }
+      })),
+      timestamp: new Date()
+    });
+    partialText = ''; // Any streamed text is now stored with the tool request
+    history.push(responseMessage); // Add the assistant's message object itself
+
+    // Execute Tool Calls Sequentially
+    for (const toolCall of responseMessage.tool_calls) {
+      if (toolCall.type !== 'function') {
+        logger.warn(`[${requestId}] [Chat ${sessionId}] Skipping non-function tool call type: ${toolCall.type}`);
+        continue;
+      }
+
+      const functionName = toolCall.function.name;
+      const toolCallId = toolCall.id;
+      let functionArgs;
+      let currentToolResult = null;
+      try {
+        // **Crucially parse arguments string here**
+        functionArgs = JSON.parse(toolCall.function.arguments);
+      } catch (parseError) {
+        logger.error(`[${requestId}] [Chat ${sessionId}] Failed to parse tool arguments for ${functionName}`, { argsString: toolCall.function.arguments, error: parseError.message });
+        currentToolResult = { success: false, error: `Invalid arguments format received from AI for ${functionName}.` };
+      }
+
+      // Mutating tools flagged `requiresConfirmation` are parked until the user confirms them
+      const checked = currentToolResult ? null : toolRegistry.validate(functionName, functionArgs, { userRole, allowedTools });
+      if (checked && !checked.error && checked.tool.requiresConfirmation) {
+        const { action, toolResult } = createPendingAction(chat, turn, { toolCallId, toolName: functionName, args: checked.args });
+        logger.info(`[${requestId}] [Chat ${sessionId}] Tool ${functionName} awaiting user confirmation`, { toolCallId, actionId: action.actionId });
+        pendingActions.push(action);
+        emit('action_pending', toClientAction(action));
+        history.push({ role: 'tool', tool_call_id: toolCallId, name: functionName, content: JSON.stringify(toolResult) });
+        continue;
+      }
+
+      if (!currentToolResult) {
+        logger.info(`[${requestId}] [Chat ${sessionId}] Executing tool: ${functionName}`, { toolCallId, args: functionArgs });
+        emit('tool_call_started', { id: toolCallId, name: functionName, arguments: functionArgs });
+        try {
+          currentToolResult = await toolRegistry.execute(functionName, functionArgs, { userId, userRole, allowedTools, chat, turn, requestId, sessionId });
+          logger.info(`[${requestId}] [Chat ${sessionId}] Tool ${functionName} executed`, { toolCallId, success: currentToolResult?.success });
+        } catch (toolError) {
+          logger.error(`[${requestId}] [Chat ${sessionId}] Error executing tool ${functionName}`, { toolCallId, args: functionArgs, error: toolError.message, stack: toolError.stack });
+          currentToolResult = { success: false, error: `Server error executing tool '${functionName}': ${toolError.message}` };
+        }
+      }
+
+      // Store Tool Result Message
+      turn.push({
+        sender: 'tool',
+        message: currentToolResult?.message || (currentToolResult?.success ? `Executed ${functionName}` : `Failed to execute ${functionName}`), // User-friendly summary
+        type: 'tool_result',
+        tool_call_id: toolCallId,
+        tool_name: functionName,
+        toolResultData: currentToolResult, // Store the actual result object
+        timestamp: new Date()
+      });
+      toolResults.push(currentToolResult);
+      emit('tool_call_finished', { id: toolCallId, name: functionName, result: currentToolResult });
+
+      // Content MUST be a string for the OpenAI API
+      history.push({ role: 'tool', tool_call_id: toolCallId, name: functionName, content: truncateToTokens(JSON.stringify(currentToolResult), CHAT_TOOL_RESULT_MAX_TOKENS) });
+    }
+
+    // Tools already ran; keep their results even though nobody is listening anymore
+    if (isCancelled()) return result({ cancelled: true, partialText: '' });
+  }
+}
+
+module.exports = { toOpenAIMessage, runConversation };
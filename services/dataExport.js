@@ -0,0 +1,220 @@
+// "Download my data": builds a zip archive of everything stored about a user in the background,
+// keeps it in GridFS (shared by all server instances) and serves it through an expiring link.
+const archiver = require('archiver');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const StudyPlan = require('../models/StudyPlan');
+const ScheduleBlock = require('../models/ScheduleBlock');
+const MoodLog = require('../models/MoodLog');
+const Feedback = require('../models/Feedback');
+const Memory = require('../models/Memory');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const logger = require('../logger');
+const { toCsv } = require('../utils/csv');
+const { safeFileName } = require('../utils/text');
+const { BACKEND_URL, APP_NAME, DATA_EXPORT_TTL_HOURS, DATA_EXPORT_JOB_INTERVAL_MS } = require('../config/constants');
+
+const LINK_PURPOSE = 'data_export';
+const STALE_PROCESSING_MS = 60 * 60 * 1000; // A job running this long died with its server
+
+const README = `${APP_NAME} data export
+
+profile.json         Your account details
+tasks.json / .csv    Planner tasks
+study_plans.json     AI study plans with their items
+schedule_blocks.json / .csv Time the scheduler set aside for tasks
+mood_logs.json / .csv
+feedback.json / .csv Feedback you sent about the app
+memories.json / .csv What the assistant remembers about you
+chats.csv            One row per chat session
+chats/<session>.json Each chat session with all of its messages
+`;
+
+function bucket() {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'exports' });
+}
+
+// Everything but credentials and two-factor secrets
+function loadProfile(userId) {
+  return User.findById(userId)
+    .select('-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -twoFactor.lastUsedStep -calendarFeed.tokenHash -__v')
+    .lean();
+}
+
+// Add a collection's documents as JSON and CSV
+function appendTable(archive, name, rows, columns) {
+  archive.append(JSON.stringify(rows, null, 2), { name: `${name}.json` });
+  archive.append(toCsv(rows, columns), { name: `${name}.csv` });
+}
+
+async function writeArchive(archive, userId) {
+  archive.append(README, { name: 'README.txt' });
+  archive.append(JSON.stringify(await loadProfile(userId), null, 2), { name: 'profile.json' });
+
+  const [tasks, plans, blocks, moods, feedback, memories] = await Promise.all([
+    Task.find({ user: userId }).select('-user -__v').sort({ createdAt: 1 }).lean(),
+    StudyPlan.find({ user: userId }).select('-user -__v').sort({ createdAt: 1 }).lean(),
+    ScheduleBlock.find({ user: userId }).select('-user -fingerprint -__v').sort({ start: 1 }).lean(),
+    MoodLog.find({ user: userId }).select('-user -__v').sort({ createdAt: 1 }).lean(),
+    Feedback.find({ user: userId }).select('-user -__v').sort({ createdAt: 1 }).lean(),
+    Memory.find({ user: userId }).select('-user -__v').sort({ createdAt: 1 }).lean()
+  ]);
+  appendTable(archive, 'tasks', tasks, ['_id', 'title', 'description', 'dueDate', 'completed', 'completedAt', 'priority', 'tags', 'estimatedMinutes', 'actualMinutes', 'createdAt', 'updatedAt']);
+  archive.append(JSON.stringify(plans, null, 2), { name: 'study_plans.json' }); // Nested items don't fit a CSV table
+  appendTable(archive, 'schedule_blocks', blocks, ['_id', 'task', 'start', 'end']);
+  appendTable(archive, 'mood_logs', moods, ['_id', 'mood', 'note', 'createdAt']);
+  appendTable(archive, 'feedback', feedback, ['_id', 'rating', 'comment', 'createdAt']);
+  appendTable(archive, 'memories', memories, ['_id', 'kind', 'content', 'source', 'sessionId', 'createdAt', 'updatedAt']);
+
+  // One session at a time, so long histories never sit in memory all at once
+  const chats = await Chat.find({ user: userId }).select('sessionId title summary createdAt lastActivity messageCount').sort({ createdAt: 1 }).lean();
+  const fileNames = new Set(); // Session IDs are client-supplied: sanitized names can collide
+  for (const chat of chats) {
+    const messages = await Message.find({ chat: chat._id }).select('-chat -user -sessionId -__v').sort({ seq: 1 }).lean();
+    const { _id, ...session } = chat;
+    let fileName = safeFileName(chat.sessionId);
+    for (let n = 2; fileNames.has(fileName); n++) fileName = `${safeFileName(chat.sessionId)}_${n}`;
+    fileNames.add(fileName);
+    archive.append(JSON.stringify({ ...session, messages }, null, 2), { name: `chats/${fileName}.json` });
+  }
+  archive.append(toCsv(chats, ['sessionId', 'title', 'messageCount', 'createdAt', 'lastActivity']), { name: 'chats.csv' });
+}
+
+// Build the archive for an export and store it; the job is claimed first so it only runs once
+async function runExport(exportId) {
+  const job = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!job) return;
+
+  const fileName = `${APP_NAME.toLowerCase()}-data-${job.createdAt.toISOString().slice(0, 10)}.zip`;
+  const upload = bucket().openUploadStream(fileName, { metadata: { user: job.user, exportId: job._id } });
+  try {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const stored = new Promise((resolve, reject) => {
+      upload.on('finish', resolve);
+      upload.on('error', reject);
+      archive.on('error', reject);
+    });
+    archive.on('warning', err => logger.warn('Data export archive warning', { exportId: job._id, error: err.message }));
+    archive.pipe(upload);
+    await writeArchive(archive, job.user);
+    await archive.finalize();
+    await stored;
+
+    const now = new Date();
+    await DataExport.updateOne({ _id: job._id }, {
+      $set: {
+        status: 'ready',
+        completedAt: now,
+        fileId: upload.id,
+        fileName,
+        size: archive.pointer(),
+        expiresAt: new Date(now.getTime() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000)
+      }
+    });
+    logger.info('Data export ready', { exportId: job._id, userId: job.user, size: archive.pointer() });
+  } catch (err) {
+    logger.error('Data export failed', { exportId: job._id, userId: job.user, error: err.message });
+    await bucket().delete(upload.id).catch(() => {}); // Drop a partial upload
+    await DataExport.updateOne({ _id: job._id }, { $set: { status: 'failed', completedAt: new Date(), error: 'The export could not be created. Please try again.' } });
+  }
+}
+
+function scheduleExport(exportId) {
+  setImmediate(() => {
+    runExport(exportId).catch(err => logger.error('Data export job crashed', { exportId, error: err.message }));
+  });
+}
+
+/**
+ * Start an export for the user, unless one is already pending or running.
+ * @returns {Promise<{dataExport: object, created: boolean}>}
+ */
+async function requestExport(userId) {
+  const active = await DataExport.findOne({ user: userId, status: { $in: ['pending', 'processing'] } });
+  if (active) return { dataExport: active, created: false };
+  const dataExport = await DataExport.create({ user: userId });
+  scheduleExport(dataExport._id);
+  return { dataExport, created: true };
+}
+
+// Signed link valid until the export expires (no Authorization header needed, so browsers can open it)
+function downloadLink(dataExport) {
+  const expiresIn = Math.max(1, Math.floor((dataExport.expiresAt - Date.now()) / 1000));
+  const token = jwt.sign({ exportId: dataExport._id, userId: dataExport.user, purpose: LINK_PURPOSE }, process.env.JWT_SECRET, { expiresIn });
+  return `${BACKEND_URL}/api/export/${dataExport._id}/download?token=${token}`;
+}
+
+// Resolves to the ready export a download token points at, or null
+async function findDownload(exportId, token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.purpose !== LINK_PURPOSE || decoded.exportId !== exportId) return null;
+  return DataExport.findOne({ _id: exportId, user: decoded.userId, status: 'ready', expiresAt: { $gt: new Date() } });
+}
+
+function openDownloadStream(dataExport) {
+  return bucket().openDownloadStream(dataExport.fileId);
+}
+
+async function deleteArchive(dataExport) {
+  if (!dataExport.fileId) return;
+  try {
+    await bucket().delete(dataExport.fileId);
+  } catch (err) {
+    logger.warn('Could not delete data export archive', { exportId: dataExport._id, error: err.message });
+  }
+}
+
+// Remove a user's exports and their archives (account deletion)
+async function deleteUserExports(userId) {
+  const userExports = await DataExport.find({ user: userId }).select('fileId').lean();
+  for (const dataExport of userExports) await deleteArchive(dataExport);
+  const result = await DataExport.deleteMany({ user: userId });
+  return result.deletedCount;
+}
+
+// Periodic upkeep: expire old archives, fail jobs whose server died, pick up jobs never started
+async function processExports(now = new Date()) {
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } }).select('fileId').lean();
+  for (const dataExport of expired) {
+    await deleteArchive(dataExport);
+    await DataExport.updateOne({ _id: dataExport._id }, { $set: { status: 'expired' }, $unset: { fileId: 1 } });
+  }
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lte: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+    { $set: { status: 'failed', completedAt: now, error: 'The export was interrupted. Please try again.' } }
+  );
+  const pending = await DataExport.find({ status: 'pending', createdAt: { $lte: new Date(now.getTime() - DATA_EXPORT_JOB_INTERVAL_MS) } }).select('_id').lean();
+  for (const { _id } of pending) await runExport(_id);
+}
+
+// Run processExports periodically (call once at startup)
+function startDataExportJob() {
+  const timer = setInterval(() => {
+    processExports().catch(err => logger.error('Data export job failed', { error: err.message }));
+  }, DATA_EXPORT_JOB_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  requestExport,
+  downloadLink,
+  findDownload,
+  openDownloadStream,
+  deleteUserExports,
+  processExports,
+  startDataExportJob
+};
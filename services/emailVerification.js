@@ -0,0 +1,46 @@
+// Email verification: single-use links, modeled on the password reset tokens
+const crypto = require('crypto');
+const User = require('../models/User');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const { sendMail } = require('./mailer');
+const { BACKEND_URL, APP_NAME, EMAIL_VERIFICATION_TTL_HOURS } = require('../config/constants');
+
+// Send a fresh verification link (earlier links stop working)
+async function sendVerificationEmail(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await EmailVerificationToken.updateMany({ userId: user._id, used: false }, { used: true });
+  await EmailVerificationToken.create({
+    userId: user._id,
+    token,
+    email: user.email,
+    expiresAt: Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  });
+  const link = `${BACKEND_URL}/api/auth/verify-email/${token}`;
+  await sendMail({
+    to: user.email,
+    subject: `Verify your ${APP_NAME} email address`,
+    text: `Confirm your email address using this link: ${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. If you didn't create an account, ignore this email.`
+  });
+}
+
+/**
+ * Mark the token's user as verified.
+ * @returns {Promise<{user: object}|{error: string}>}
+ */
+async function verifyEmailToken(token) {
+  const tokenDoc = await EmailVerificationToken.findOne({ token });
+  if (!tokenDoc || tokenDoc.used || tokenDoc.expiresAt < Date.now()) {
+    return { error: 'Verification link already used or expired.' };
+  }
+  tokenDoc.used = true;
+  await tokenDoc.save();
+  const user = await User.findOneAndUpdate(
+    { _id: tokenDoc.userId, email: tokenDoc.email }, // The address may have changed since the link was sent
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+    { new: true }
+  );
+  if (!user) return { error: 'Invalid verification link.' };
+  return { user };
+}
+
+module.exports = { sendVerificationEmail, verifyEmailToken };
@@ -0,0 +1,20 @@
+// Outgoing email through the Gmail account in EMAIL_USER / EMAIL_PASS
+const nodemailer = require('nodemailer');
+
+let transporter;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+    });
+  }
+  return transporter;
+}
+
+function sendMail({ to, subject, text }) {
+  return getTransporter().sendMail({ from: process.env.EMAIL_USER, to, subject, text });
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,68 @@
+// Long-term user memory: storing facts the assistant learns and picking the ones worth
+// putting into the prompt for a given message.
+const Memory = require('../models/Memory');
+const logger = require('../logger');
+const { escapeRegex } = require('../utils/text');
+const { MEMORY_MAX_PER_USER, MEMORY_PROMPT_LIMIT } = require('../config/constants');
+
+/**
+ * Save a memory, or refresh an identical one instead of duplicating it.
+ * @returns {Promise<{memory: object, created: boolean}|{error: string}>}
+ */
+async function rememberFact(userId, { content, kind = 'fact', source = 'assistant', sessionId }) {
+  const text = content.trim();
+  const existing = await Memory.findOne({ user: userId, content: { $regex: `^${escapeRegex(text)}$`, $options: 'i' } });
+  if (existing) {
+    existing.kind = kind;
+    existing.sessionId = sessionId || existing.sessionId;
+    existing.markModified('content'); // Bump updatedAt even if nothing else changed
+    await existing.save();
+    return { memory: existing, created: false };
+  }
+  if (await Memory.countDocuments({ user: userId }) >= MEMORY_MAX_PER_USER) {
+    return { error: `Memory is full (${MEMORY_MAX_PER_USER} items). Forget something first.` };
+  }
+  const memory = await Memory.create({ user: userId, kind, content: text, source, sessionId });
+  return { memory, created: true };
+}
+
+/**
+ * Memories relevant to `query`: text-search matches first, topped up with the most recently
+ * updated ones so stable preferences and goals are always available.
+ */
+async function findRelevantMemories(userId, query, limit = MEMORY_PROMPT_LIMIT) {
+  let matches = [];
+  if (query && query.trim()) {
+    try {
+      matches = await Memory.find({ user: userId, $text: { $search: query } }, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean();
+    } catch (err) {
+      // The text index may still be building on a fresh database
+      logger.warn('Memory text search failed, falling back to recent memories', { error: err.message });
+    }
+  }
+  if (matches.length < limit) {
+    const recent = await Memory.find({ user: userId, _id: { $nin: matches.map(m => m._id) } })
+      .sort({ updatedAt: -1 })
+      .limit(limit - matches.length)
+      .lean();
+    matches = matches.concat(recent);
+  }
+  return matches;
+}
+
+// Note when memories were last put into a prompt (fire and forget)
+function markMemoriesUsed(memories) {
+  if (memories.length === 0) return;
+  Memory.updateMany({ _id: { $in: memories.map(m => m._id) } }, { $set: { lastUsedAt: new Date() } }, { timestamps: false })
+    .catch(err => logger.warn('Could not update memory usage', { error: err.message }));
+}
+
+// Prompt lines for the system message; IDs let the assistant call forget_fact
+function formatMemories(memories) {
+  return memories.map(m => `- [${m._id}] (${m.kind}) ${m.content}`);
+}
+
+module.exports = { rememberFact, findRelevantMemories, markMemoriesUsed, formatMemories };
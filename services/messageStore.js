@@ -0,0 +1,60 @@
+// Chat message storage: messages are separate documents (models/Message.js) numbered per session
+// by `seq`. A turn collects its new messages in memory and appends them in one go; the `seq` range
+// is reserved with an atomic `$inc` on `Chat.messageCount`, so concurrent turns never collide.
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+
+// Fetch the user's session, creating it atomically if it doesn't exist yet
+function findOrCreateChat(userId, sessionId) {
+  return Chat.findOneAndUpdate(
+    { user: userId, sessionId },
+    { $setOnInsert: { user: userId, sessionId, messageCount: 0, lastActivity: new Date() } },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Append messages to a session. Updates `chat.messageCount` / `chat.lastActivity` in memory too.
+ * @param {object} chat - Chat document
+ * @param {Array} messages - Plain message objects (sender, message, type, ...)
+ * @returns {Promise<Array>} The saved Message documents, in order
+ */
+async function appendMessages(chat, messages) {
+  const now = new Date();
+  const updated = await Chat.findOneAndUpdate(
+    { _id: chat._id },
+    { $inc: { messageCount: messages.length }, $set: { lastActivity: now } },
+    { new: true, projection: { messageCount: 1 } }
+  );
+  if (!updated) throw new Error(`Chat ${chat.sessionId} no longer exists`);
+  chat.messageCount = updated.messageCount;
+  chat.lastActivity = now;
+  if (chat.unmarkModified) {
+    // Already stored; a later chat.save() must never write back a stale count
+    chat.unmarkModified('messageCount');
+    chat.unmarkModified('lastActivity');
+  }
+  if (messages.length === 0) return [];
+
+  const firstSeq = updated.messageCount - messages.length;
+  return Message.insertMany(messages.map((m, i) => ({
+    ...m,
+    chat: chat._id,
+    user: chat.user,
+    sessionId: chat.sessionId,
+    seq: firstSeq + i
+  })));
+}
+
+// The newest `limit` messages of a session, oldest first
+async function loadRecentMessages(chatId, limit) {
+  const messages = await Message.find({ chat: chatId }).sort({ seq: -1 }).limit(limit).lean();
+  return messages.reverse();
+}
+
+// Messages with seq in [fromSeq, toSeq), oldest first
+function loadMessageRange(chatId, fromSeq, toSeq, limit) {
+  return Message.find({ chat: chatId, seq: { $gte: fromSeq, $lt: toSeq } }).sort({ seq: 1 }).limit(limit).lean();
+}
+
+module.exports = { findOrCreateChat, appendMessages, loadRecentMessages, loadMessageRange };
@@ -0,0 +1,60 @@
+// Mood analytics for GET /api/mood/stats and the get_mood_history chat tool. Loads the user's mood
+// logs and planner tasks for a date range; the statistics themselves come from utils/moodStats.js.
+const MoodLog = require('../models/MoodLog');
+const Task = require('../models/Task');
+const taskService = require('./taskService');
+const { dayKey, startOfDay, addDays, daysBetween, summarizeMood } = require('../utils/moodStats');
+const { MOOD_STATS_DEFAULT_DAYS, MOOD_STATS_MAX_DAYS, MOOD_TREND_WINDOW_DAYS } = require('../config/constants');
+
+function invalid(message) {
+  const err = new Error(message);
+  err.name = 'ValidationError';
+  return err;
+}
+
+// A real calendar day in 'YYYY-MM-DD' form (not e.g. 2025-02-30)
+function isDay(key) {
+  const date = new Date(`${key}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === key;
+}
+
+/**
+ * Mood statistics for a range of days in the user's timezone.
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.from] - First day, 'YYYY-MM-DD' (default: `days` days up to `to`)
+ * @param {string} [options.to] - Last day, 'YYYY-MM-DD' (default: today)
+ * @param {number} [options.days] - Length of the range when `from` isn't given
+ * @param {number} [options.trendWindow] - Days in the moving average
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} See summarizeMood in utils/moodStats.js
+ * @throws {Error} ValidationError for an invalid date, if `from` is after `to` or the range is longer than MOOD_STATS_MAX_DAYS
+ */
+async function getMoodStats(userId, { from, to, days = MOOD_STATS_DEFAULT_DAYS, trendWindow = MOOD_TREND_WINDOW_DAYS, now = new Date() } = {}) {
+  const timeZone = await taskService.userTimezone(userId);
+  const lastDay = to || dayKey(now, timeZone);
+  const firstDay = from || addDays(lastDay, -(days - 1));
+  for (const day of [firstDay, lastDay]) {
+    if (!isDay(day)) throw invalid(`${day} is not a valid date`);
+  }
+  if (firstDay > lastDay) throw invalid('"from" must not be after "to"');
+  if (daysBetween(firstDay, lastDay) > MOOD_STATS_MAX_DAYS) throw invalid(`The range can be at most ${MOOD_STATS_MAX_DAYS} days`);
+
+  const start = startOfDay(firstDay, timeZone);
+  const end = startOfDay(addDays(lastDay, 1), timeZone);
+  const [logs, tasks] = await Promise.all([
+    MoodLog.find({ user: userId, createdAt: { $gte: start, $lt: end } }).select('mood createdAt').lean(),
+    // Completed in the range, or open past their due date at some point in it
+    Task.find({
+      user: userId,
+      $or: [
+        { completed: false, dueDate: { $lt: end } },
+        { completedAt: { $gte: start } },
+        { completed: true, completedAt: { $exists: false }, updatedAt: { $gte: start } } // Closed before completedAt was recorded
+      ]
+    }).select('dueDate completed completedAt skipped updatedAt').lean()
+  ]);
+  return summarizeMood({ logs, tasks, from: firstDay, to: lastDay, timeZone, trendWindow });
+}
+
+module.exports = { getMoodStats };
@@ -0,0 +1,152 @@
+// Pending AI actions: mutating tool calls that wait for the user to confirm or reject them.
+// Actions live on the Chat document (`pendingActions`). The placeholder tool message that answered
+// the original tool call is updated as the action's status changes; a confirmed call is then
+// replayed after the user's decision (see routes/chat.js) so the history stays in order.
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { PENDING_ACTION_TTL_MS } = require('../config/constants');
+
+// Short human-readable description of what the action will do
+function describeAction(toolName, args = {}) {
+  switch (toolName) {
+    case 'delete_task':
+      return `Delete task "${args.identifier}"`;
+    case 'update_task': {
+      const changes = [];
+      if (args.newTitle) changes.push(`rename to "${args.newTitle}"`);
+      if (args.newDescription !== undefined) changes.push('change description');
+      if (args.newDueDate) changes.push(`set due date to ${args.newDueDate}`);
+      if (args.markCompleted !== undefined) changes.push(args.markCompleted ? 'mark completed' : 'mark not completed');
+      return `Update task "${args.identifier}"${changes.length ? ': ' + changes.join(', ') : ''}`;
+    }
+    case 'forget_fact':
+      return `Forget memory ${args.memoryId}`;
+    default:
+      return `Run ${toolName}`;
+  }
+}
+
+// What the client gets back; the token is only ever sent in the response that created the action
+function toClientAction(action) {
+  return {
+    actionId: action.actionId,
+    token: action.token,
+    toolName: action.toolName,
+    arguments: action.arguments,
+    description: describeAction(action.toolName, action.arguments),
+    status: action.status,
+    expiresAt: action.expiresAt
+  };
+}
+
+// Reflect the action's status in the saved tool message that answered the original tool call
+function recordStatus(chat, action, resultData, summary) {
+  return Message.updateOne(
+    { chat: chat._id, sender: 'tool', tool_call_id: action.toolCallId },
+    { $set: { message: summary, toolResultData: { ...resultData, actionId: action.actionId, status: action.status } } }
+  );
+}
+
+/**
+ * Create a pending action for a tool call and push the placeholder tool message onto the turn's
+ * new messages (`turn`, saved by the caller).
+ * Returns { action, toolResult } where toolResult is what the AI sees for this call.
+ */
+function createPendingAction(chat, turn, { toolCallId, toolName, args }) {
+  const action = {
+    actionId: uuidv4(),
+    token: crypto.randomBytes(24).toString('hex'),
+    toolCallId,
+    toolName,
+    arguments: args,
+    status: 'pending',
+    expiresAt: new Date(Date.now() + PENDING_ACTION_TTL_MS)
+  };
+  chat.pendingActions.push(action);
+  const description = describeAction(toolName, args);
+  const toolResult = {
+    success: false,
+    pending: true,
+    actionId: action.actionId,
+    status: 'pending',
+    message: `Awaiting user confirmation: ${description}. Ask the user to confirm or cancel; do not call this tool again.`
+  };
+  turn.push({
+    sender: 'tool',
+    message: `Awaiting confirmation: ${description}`,
+    type: 'tool_pending',
+    tool_call_id: toolCallId,
+    tool_name: toolName,
+    toolResultData: toolResult,
+    timestamp: new Date()
+  });
+  return { action, toolResult };
+}
+
+// Mark pending actions past their expiry as expired (the chat itself is saved by the caller).
+// Resolves to true if anything changed.
+async function expireStaleActions(chat, now = new Date()) {
+  let changed = false;
+  for (const action of chat.pendingActions || []) {
+    if (action.status === 'pending' && action.expiresAt <= now) {
+      action.status = 'expired';
+      action.resolvedAt = now;
+      await recordStatus(chat, action, { success: false, message: 'The user did not confirm this action in time; it was not run.' }, `Expired: ${describeAction(action.toolName, action.arguments)}`);
+      changed = true;
+    }
+  }
+  if (changed) chat.markModified('pendingActions');
+  return changed;
+}
+
+function findAction(chat, actionId) {
+  return (chat.pendingActions || []).find(a => a.actionId === actionId);
+}
+
+// Constant-time token comparison
+function tokenMatches(action, token) {
+  if (typeof token !== 'string') return false;
+  const expected = Buffer.from(action.token);
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Atomically move a pending action to `status`, so concurrent confirm/reject requests can't both act on it.
+ * @returns {Promise<boolean>} false if the action was no longer pending (decided or expired meanwhile)
+ */
+async function claimAction(chat, action, status, now = new Date()) {
+  const claimed = await Chat.findOneAndUpdate(
+    { _id: chat._id, pendingActions: { $elemMatch: { actionId: action.actionId, status: 'pending', expiresAt: { $gt: now } } } },
+    { $set: { 'pendingActions.$.status': status, 'pendingActions.$.resolvedAt': now } },
+    { projection: { _id: 1 } }
+  );
+  return Boolean(claimed);
+}
+
+// Resolve an action as confirmed (with the tool's result) or rejected
+async function resolveAction(chat, action, status, result) {
+  action.status = status;
+  action.resolvedAt = new Date();
+  const description = describeAction(action.toolName, action.arguments);
+  if (status === 'confirmed') {
+    action.result = result;
+    await recordStatus(chat, action, { success: false, message: 'The user confirmed this action; it was run afterwards.' }, `Confirmed: ${description}`);
+  } else {
+    await recordStatus(chat, action, { success: false, message: 'The user declined this action; it was not run.' }, `Rejected: ${description}`);
+  }
+  chat.markModified('pendingActions');
+}
+
+module.exports = {
+  describeAction,
+  toClientAction,
+  createPendingAction,
+  expireStaleActions,
+  findAction,
+  tokenMatches,
+  claimAction,
+  resolveAction
+};
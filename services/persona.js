@@ -0,0 +1,88 @@
+// Personas: which assistant persona applies to a chat turn, and the system message built from it.
+// Precedence: the session's persona, then the user's default, then the persona flagged `isDefault`,
+// then the built-in prompt. Retired (inactive) personas are skipped.
+const Persona = require('../models/Persona');
+const PersonaVersion = require('../models/PersonaVersion');
+const Task = require('../models/Task');
+const { SYSTEM_PROMPT } = require('./chatContext');
+const { formatMemories } = require('./memory');
+
+// Record the persona's current state as a new version (call after bumping `version`)
+async function snapshotPersona(persona, userId) {
+  const snapshot = await PersonaVersion.create({
+    persona: persona._id,
+    version: persona.version,
+    name: persona.name,
+    tone: persona.tone,
+    instructions: persona.instructions,
+    allowedTools: persona.allowedTools,
+    createdBy: userId
+  });
+  persona.currentVersion = snapshot._id;
+  await persona.save();
+  return snapshot;
+}
+
+async function resolvePersona({ sessionPersona, user }) {
+  for (const id of [sessionPersona, user?.defaultPersona]) {
+    if (!id) continue;
+    const persona = await Persona.findOne({ _id: id, active: true }).lean();
+    if (persona) return persona;
+  }
+  return Persona.findOne({ isDefault: true, active: true }).lean();
+}
+
+// "Monday, May 6, 2024", in the user's timezone (falls back to UTC for unknown zones)
+function formatToday(now, timeZone) {
+  const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+  try {
+    return now.toLocaleDateString('en-US', { ...options, timeZone });
+  } catch (err) {
+    return now.toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+  }
+}
+
+// Tool names the persona restricts the session to, or undefined for all tools
+function allowedToolsOf(persona) {
+  return persona?.allowedTools?.length ? persona.allowedTools : undefined;
+}
+
+/**
+ * Resolve the persona for a turn and build its system message with dynamic context
+ * (user's name, today's date, timezone, open tasks) and the user's relevant long-term memories.
+ * @param {object} opts
+ * @param {object} opts.chat - Chat document (its `persona` is the session choice)
+ * @param {object} opts.user - User with name, timezone and defaultPersona
+ * @param {string} opts.userId
+ * @param {Array} [opts.memories] - Memory documents to include (see services/memory.js)
+ * @returns {Promise<{systemPrompt: string, persona: (object|null), personaVersion: (ObjectId|undefined), allowedTools: (Array|undefined)}>}
+ *   `allowedTools` is undefined when the persona doesn't restrict tools.
+ */
+async function preparePersona({ chat, user, userId, memories = [], now = new Date() }) {
+  const persona = await resolvePersona({ sessionPersona: chat.persona, user });
+  const openTasks = await Task.countDocuments({ user: userId, completed: false });
+  const timeZone = user?.timezone || 'UTC';
+
+  const lines = [persona?.instructions || SYSTEM_PROMPT];
+  if (persona?.tone) lines.push(`Tone: ${persona.tone}.`);
+  lines.push(
+    '',
+    'Context:',
+    `- User's name: ${user?.name || 'unknown'}`,
+    `- Today's date: ${formatToday(now, timeZone)}`,
+    `- User's timezone: ${timeZone}`,
+    `- Open tasks in the planner: ${openTasks}`
+  );
+  if (memories.length > 0) {
+    lines.push('', 'What you remember about the user from earlier conversations:', ...formatMemories(memories));
+  }
+
+  return {
+    systemPrompt: lines.join('\n'),
+    persona,
+    personaVersion: persona?.currentVersion,
+    allowedTools: allowedToolsOf(persona)
+  };
+}
+
+module.exports = { snapshotPersona, resolvePersona, preparePersona, allowedToolsOf };
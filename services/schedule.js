@@ -0,0 +1,104 @@
+// Smart scheduling: places the user's open planner tasks into their availability windows as
+// ScheduleBlocks. Where blocks go is decided by utils/scheduler.js; this module loads its inputs
+// and saves the blocks it adds and removes.
+const ScheduleBlock = require('../models/ScheduleBlock');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const taskService = require('./taskService');
+const { planSchedule } = require('../utils/scheduler');
+const { SCHEDULE_HORIZON_DAYS, SCHEDULE_DEFAULT_TASK_MINUTES, SCHEDULE_MIN_BLOCK_MINUTES } = require('../config/constants');
+
+const runsInProgress = new Set(); // User IDs, so one user's runs don't overlap on this instance
+
+// Resolves to the windows, or null if the user doesn't exist
+async function getAvailability(userId) {
+  const user = await User.findById(userId).select('availability').lean();
+  return user ? user.availability || [] : null;
+}
+
+async function setAvailability(userId, windows) {
+  const user = await User.findByIdAndUpdate(userId, { $set: { availability: windows } }, { new: true }).select('availability').lean();
+  return user ? user.availability : null;
+}
+
+// A block as the API shows it, with the task's title
+function toBlock(block, title) {
+  return { _id: block._id, task: block.task, title, start: block.start, end: block.end };
+}
+
+/**
+ * Schedule the user's open tasks. Existing blocks of tasks that haven't changed stay where they are.
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {boolean} [options.replan] - Place all upcoming blocks again
+ * @param {Date} [options.now]
+ * @returns {Promise<object|null>} { blocks, unscheduled, changes: { kept, added, removed } }, or null if the user doesn't exist
+ * @throws {Error} code SCHEDULE_RUNNING while another run for the user is in progress
+ */
+async function runScheduler(userId, { replan = false, now = new Date() } = {}) {
+  const key = String(userId);
+  if (runsInProgress.has(key)) {
+    const err = new Error('The schedule is already being updated');
+    err.code = 'SCHEDULE_RUNNING';
+    throw err;
+  }
+  runsInProgress.add(key);
+  try {
+    const [user, timeZone, tasks, blocks] = await Promise.all([
+      User.findById(userId).select('availability').lean(),
+      taskService.userTimezone(userId),
+      Task.find({ user: userId, completed: false })
+        .select('title dueDate priority priorityRank estimatedMinutes actualMinutes progress')
+        .lean(),
+      ScheduleBlock.find({ user: userId, end: { $gt: now } }).lean()
+    ]);
+    if (!user) return null;
+
+    const plan = planSchedule({
+      tasks,
+      windows: user.availability || [],
+      blocks,
+      now,
+      timeZone,
+      horizonDays: SCHEDULE_HORIZON_DAYS,
+      defaultMinutes: SCHEDULE_DEFAULT_TASK_MINUTES,
+      minBlockMinutes: SCHEDULE_MIN_BLOCK_MINUTES,
+      replan
+    });
+    if (plan.remove.length > 0) {
+      await ScheduleBlock.deleteMany({ _id: { $in: plan.remove.map(block => block._id) }, user: userId });
+    }
+    const added = plan.add.length > 0
+      ? await ScheduleBlock.insertMany(plan.add.map(block => ({ ...block, user: userId })))
+      : [];
+
+    const titles = new Map(tasks.map(task => [String(task._id), task.title]));
+    const schedule = [...plan.keep, ...added]
+      .filter(block => titles.has(String(block.task)))
+      .sort((a, b) => a.start - b.start)
+      .map(block => toBlock(block, titles.get(String(block.task))));
+    return {
+      blocks: schedule,
+      unscheduled: plan.unscheduled,
+      changes: { kept: plan.keep.length, added: added.length, removed: plan.remove.length }
+    };
+  } finally {
+    runsInProgress.delete(key);
+  }
+}
+
+/**
+ * Blocks overlapping [from, to), oldest first; blocks of deleted tasks are left out.
+ * @param {string} userId
+ * @param {Date} from
+ * @param {Date} to
+ */
+async function listBlocks(userId, from, to) {
+  const blocks = await ScheduleBlock.find({ user: userId, end: { $gt: from }, start: { $lt: to } })
+    .populate('task', 'title')
+    .sort({ start: 1 })
+    .lean();
+  return blocks.filter(block => block.task).map(block => toBlock({ ...block, task: block.task._id }, block.task.title));
+}
+
+module.exports = { getAvailability, setAvailability, runScheduler, listBlocks };
@@ -0,0 +1,22 @@
+// Runtime app settings stored in the Setting collection, with defaults for keys never set
+const Setting = require('../models/Setting');
+
+const DEFAULTS = {
+  requireAdminTwoFactor: false // Admin endpoints refuse admins without two-factor authentication
+};
+
+async function getSetting(key) {
+  const setting = await Setting.findOne({ key }).lean();
+  return setting ? setting.value : DEFAULTS[key];
+}
+
+async function getSettings() {
+  const stored = await Setting.find({ key: { $in: Object.keys(DEFAULTS) } }).lean();
+  return { ...DEFAULTS, ...Object.fromEntries(stored.map(s => [s.key, s.value])) };
+}
+
+function setSetting(key, value, userId) {
+  return Setting.findOneAndUpdate({ key }, { $set: { value, updatedBy: userId } }, { upsert: true, new: true });
+}
+
+module.exports = { DEFAULTS, getSetting, getSettings, setSetting };
@@ -0,0 +1,401 @@
+// AI study plans: the AI drafts a plan as JSON, which is checked and saved as a StudyPlan for the user
+// to preview, tweak or regenerate. Committing adds the chosen items to the planner as tasks in one
+// transaction, so either all of them are added (and marked as added in the plan) or none are.
+//
+// Transactions need MongoDB to run as a replica set (a single-node replica set is enough).
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const StudyPlan = require('../models/StudyPlan');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const ai = require('./ai');
+const taskService = require('./taskService');
+const logger = require('../logger');
+const { toWallTime, fromWallTime } = require('../utils/recurrence');
+const { STUDY_PLAN_MAX_ITEMS } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PLAN_DAYS = 365;
+const AI_ATTEMPTS = 2; // An unusable reply is sent back to the AI once, with what was wrong with it
+
+const SYSTEM_PROMPT = `You are a study planning assistant for students. Reply with a JSON object only, in this shape:
+{
+  "title": "Short name for the plan",
+  "summary": "One or two sentences on the approach",
+  "tasks": [
+    {
+      "id": "t1",
+      "title": "What to do",
+      "description": "How to go about it, resources to use",
+      "dueDay": 0,
+      "estimatedMinutes": 60,
+      "priority": "low | medium | high | urgent",
+      "dependsOn": ["ids of tasks to finish first"]
+    }
+  ]
+}
+"dueDay" counts days from the start of the plan (0 is the first day) and stays within the timeframe.
+A task is due no earlier than the tasks it depends on. Keep tasks concrete and use at most ${STUDY_PLAN_MAX_ITEMS} of them.`;
+
+// The AI's reply, before it is turned into plan items
+const idSchema = Joi.alternatives().try(Joi.string().trim().min(1).max(50), Joi.number().integer());
+const aiPlanSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  summary: Joi.string().trim().max(2000).allow(''),
+  tasks: Joi.array().min(1).max(STUDY_PLAN_MAX_ITEMS).items(Joi.object({
+    id: idSchema.required(),
+    title: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().trim().max(2000).allow(''),
+    dueDay: Joi.number().integer().min(0).required(),
+    estimatedMinutes: Joi.number().integer().min(0).max(100000),
+    priority: Joi.string().lowercase().valid(...taskService.PRIORITIES),
+    dependsOn: Joi.array().items(idSchema).default([])
+  }).unknown(true)).required()
+}).unknown(true);
+
+// Same name as Mongoose's validation errors, so callers answer both with 400
+function invalid(message) {
+  const err = new Error(message);
+  err.name = 'ValidationError';
+  return err;
+}
+
+// Length of a timeframe such as "2 weeks" or "next month" in days, or null if it can't be read
+function timeframeDays(timeframe) {
+  const match = /(?:(\d+)[\s-]*)?(day|week|month|year)s?\b/i.exec(timeframe);
+  if (!match) return null;
+  const unitDays = { day: 1, week: 7, month: 30, year: 365 }[match[2].toLowerCase()];
+  return Math.min(Number(match[1] || 1) * unitDays, MAX_PLAN_DAYS);
+}
+
+function today(timeZone, now = new Date()) {
+  return toWallTime(now, timeZone).toISOString().slice(0, 10);
+}
+
+// Day `dueDay` of a plan starting on `startDate` (YYYY-MM-DD), at the end of that day in `timeZone`
+function dueDateFor(startDate, dueDay, timeZone) {
+  return fromWallTime(new Date(Date.parse(`${startDate}T23:59:59.999Z`) + dueDay * DAY_MS), timeZone);
+}
+
+function dueDayOf(startDate, dueDate, timeZone) {
+  return Math.floor((toWallTime(new Date(dueDate), timeZone).getTime() - Date.parse(`${startDate}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Check that item keys are unique and dependencies point at other items without going round in circles.
+ * @param {Array<object>} items - { key, title, dependsOn }
+ * @returns {string|null} What is wrong, or null
+ */
+function checkDependencies(items) {
+  const byKey = new Map();
+  for (const item of items) {
+    if (byKey.has(item.key)) return `Task id "${item.key}" is used twice`;
+    byKey.set(item.key, item);
+  }
+  for (const item of items) {
+    const unknown = item.dependsOn.find(key => !byKey.has(key));
+    if (unknown !== undefined) return `"${item.title}" depends on unknown task id "${unknown}"`;
+  }
+  const state = new Map(); // key -> 'visiting' | 'done'
+  const visit = (item) => {
+    if (state.get(item.key) === 'done') return null;
+    if (state.get(item.key) === 'visiting') return item;
+    state.set(item.key, 'visiting');
+    for (const key of item.dependsOn) {
+      const cycle = visit(byKey.get(key));
+      if (cycle) return cycle;
+    }
+    state.set(item.key, 'done');
+    return null;
+  };
+  for (const item of items) {
+    const cycle = visit(item);
+    if (cycle) return `Dependencies go round in a circle at "${cycle.title}"`;
+  }
+  return null;
+}
+
+// Replies sometimes wrap the JSON in a Markdown code fence or a sentence
+function extractJson(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  return start === -1 ? content : content.slice(start, end + 1);
+}
+
+/**
+ * Turn the AI's reply into plan items (with `dueDay` still relative), or say what is wrong with it.
+ * @param {string} content - The AI's reply
+ * @param {object} context
+ * @param {number|null} context.days - Length of the timeframe in days, if known
+ * @param {Array<object>} [context.existing] - Items already added to the planner, which new items may depend on
+ * @returns {{plan: object}|{error: string}}
+ */
+function parsePlan(content, { days, existing = [] }) {
+  let data;
+  try {
+    data = JSON.parse(extractJson(content || ''));
+  } catch (err) {
+    return { error: 'the reply is not a JSON object' };
+  }
+  const { value, error } = aiPlanSchema.validate(data);
+  if (error) return { error: error.message };
+
+  const items = value.tasks.map(task => ({
+    key: String(task.id),
+    title: task.title,
+    description: task.description || undefined,
+    dueDay: task.dueDay,
+    estimatedMinutes: task.estimatedMinutes,
+    priority: task.priority,
+    dependsOn: [...new Set(task.dependsOn.map(String))]
+  }));
+  const taken = items.find(item => existing.some(other => other.key === item.key));
+  if (taken) return { error: `task id "${taken.key}" is already used by a task in the planner` };
+  const problem = checkDependencies([...existing, ...items]);
+  if (problem) return { error: problem };
+  const late = days && items.find(item => item.dueDay >= days);
+  if (late) return { error: `"${late.title}" is due on day ${late.dueDay}, but the timeframe only has days 0 to ${days - 1}` };
+  const dueDays = new Map(items.map(item => [item.key, item.dueDay]));
+  const early = items.find(item => item.dependsOn.some(key => dueDays.get(key) > item.dueDay));
+  if (early) return { error: `"${early.title}" is due before a task it depends on` };
+  return { plan: { title: value.title, summary: value.summary || undefined, items } };
+}
+
+// Ask the AI for a plan; an unusable reply is sent back once with what was wrong with it
+async function draftPlan(messages, selection, context) {
+  let error;
+  for (let attempt = 1; attempt <= AI_ATTEMPTS; attempt++) {
+    const response = await ai.complete({ ...selection, responseFormat: { type: 'json_object' }, messages });
+    const content = response.message?.content || '';
+    const result = parsePlan(content, context);
+    if (result.plan) return { ...result.plan, provider: response.provider, model: response.model };
+    error = result.error;
+    logger.warn('AI study plan rejected', { attempt, provider: response.provider, model: response.model, error });
+    messages = [
+      ...messages,
+      { role: 'assistant', content },
+      { role: 'user', content: `That plan can't be used: ${error}. Reply with the corrected JSON object only.` }
+    ];
+  }
+  const err = new Error(`The AI did not return a usable plan: ${error}`);
+  err.code = 'INVALID_AI_PLAN';
+  throw err;
+}
+
+// Items already in the planner may depend on items that aren't yet (their tasks are linked once both are
+// added, see commitPlan). When those items are removed or replaced, the dependencies are dropped.
+function pruneDependencies(added, keys) {
+  for (const item of added) item.dependsOn = item.dependsOn.filter(key => keys.has(key));
+}
+
+function planStatus(items) {
+  const added = items.filter(item => item.task).length;
+  if (added === 0) return 'draft';
+  return added === items.length ? 'committed' : 'partial';
+}
+
+function describeTimeframe(plan, days) {
+  const weekday = new Date(`${plan.startDate}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+  return `Timeframe: ${plan.timeframe}${days ? ` (${days} days, day 0 to ${days - 1})` : ''}. Day 0 is ${weekday}, ${plan.startDate}.`;
+}
+
+// Items as the AI sees them, with due dates as days into the plan
+function itemsForPrompt(plan, items) {
+  return items.map(item => ({
+    id: item.key,
+    title: item.title,
+    description: item.description,
+    dueDay: item.dueDate ? dueDayOf(plan.startDate, item.dueDate, plan.timezone) : undefined,
+    estimatedMinutes: item.estimatedMinutes,
+    priority: item.priority,
+    dependsOn: item.dependsOn
+  }));
+}
+
+function toPlanItems(items, startDate, timeZone) {
+  return items.map(({ dueDay, ...item }) => ({ ...item, dueDate: dueDateFor(startDate, dueDay, timeZone) }));
+}
+
+async function aiSettings(userId, requested) {
+  const [user, timezone] = await Promise.all([
+    User.findById(userId).select('aiPreferences').lean(),
+    taskService.userTimezone(userId)
+  ]);
+  return { selection: ai.resolveSelection(requested, user?.aiPreferences), timezone };
+}
+
+/**
+ * Have the AI draft a plan and save it (nothing is added to the planner yet).
+ * @param {string} userId
+ * @param {object} input - { goals, timeframe, startDate (YYYY-MM-DD, default today), provider, model }
+ * @returns {Promise<object>} The saved StudyPlan
+ * @throws {Error} code INVALID_AI_PLAN if the AI's replies can't be used
+ */
+async function generatePlan(userId, { goals, timeframe, startDate, provider, model }) {
+  const { selection, timezone } = await aiSettings(userId, { provider, model });
+  const plan = { goals, timeframe, startDate: startDate || today(timezone), timezone };
+  const days = timeframeDays(timeframe);
+  const draft = await draftPlan([
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `Create a study plan for: ${goals}\n${describeTimeframe(plan, days)}` }
+  ], selection, { days });
+  return StudyPlan.create({
+    ...plan,
+    user: userId,
+    title: draft.title,
+    summary: draft.summary,
+    items: toPlanItems(draft.items, plan.startDate, timezone),
+    provider: draft.provider,
+    model: draft.model
+  });
+}
+
+/**
+ * Have the AI redo the items that aren't in the planner yet, optionally following the user's instructions.
+ * Dependencies of items already in the planner on the replaced items are dropped.
+ * @param {string} userId
+ * @param {string} planId
+ * @param {object} [input] - { instructions, provider, model }
+ * @returns {Promise<object|null>} The updated plan, or null if it doesn't exist
+ * @throws {Error} code INVALID_AI_PLAN if the AI's replies can't be used
+ */
+async function regeneratePlan(userId, planId, { instructions, provider, model } = {}) {
+  const plan = await StudyPlan.findOne({ _id: planId, user: userId });
+  if (!plan) return null;
+  const { selection } = await aiSettings(userId, { provider, model });
+  const days = timeframeDays(plan.timeframe);
+  const added = plan.items.filter(item => item.task);
+  const pending = plan.items.filter(item => !item.task);
+  // The pending items are all replaced, and new items reusing their ids may mean something else
+  pruneDependencies(added, new Set(added.map(item => item.key)));
+
+  let request = instructions ? `Change the plan as follows: ${instructions}` : 'Suggest a different plan for the same goals.';
+  if (added.length > 0) {
+    request += `\nThese tasks are already in the planner. Leave them out of your reply and don't reuse their ids, but tasks may depend on them:\n${JSON.stringify(itemsForPrompt(plan, added))}`;
+  }
+  const draft = await draftPlan([
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `Create a study plan for: ${plan.goals}\n${describeTimeframe(plan, days)}` },
+    { role: 'assistant', content: JSON.stringify({ title: plan.title, summary: plan.summary, tasks: itemsForPrompt(plan, pending) }) },
+    { role: 'user', content: request }
+  ], selection, { days, existing: added.map(item => ({ key: item.key, title: item.title, dependsOn: item.dependsOn })) });
+
+  plan.set({
+    title: draft.title,
+    summary: draft.summary,
+    items: [...added, ...toPlanItems(draft.items, plan.startDate, plan.timezone)],
+    revision: plan.revision + 1,
+    provider: draft.provider,
+    model: draft.model
+  });
+  plan.status = planStatus(plan.items);
+  return plan.save();
+}
+
+/**
+ * Tweak a plan by hand: rename it or replace the items that aren't in the planner yet.
+ * Items already in the planner are kept as they are, also when they are sent along, except that
+ * their dependencies on items left out are dropped.
+ * @param {string} userId
+ * @param {string} planId
+ * @param {object} changes - { title, items: [{ key, title, description, dueDate, estimatedMinutes, priority, dependsOn }] }
+ * @returns {Promise<object|null>}
+ * @throws {Error} ValidationError for dependencies on unknown items or in a circle
+ */
+async function updatePlan(userId, planId, { title, items }) {
+  const plan = await StudyPlan.findOne({ _id: planId, user: userId });
+  if (!plan) return null;
+  if (title !== undefined) plan.title = title;
+  if (items) {
+    const added = plan.items.filter(item => item.task);
+    const keys = new Set(plan.items.map(item => item.key));
+    let next = plan.items.length;
+    const pending = items
+      .filter(item => !added.some(other => other.key === item.key))
+      .map(({ key, dependsOn = [], ...item }) => {
+        if (!key) {
+          do { key = `t${++next}`; } while (keys.has(key));
+          keys.add(key);
+        }
+        return { ...item, key, dependsOn: [...new Set(dependsOn)] };
+      });
+    pruneDependencies(added, new Set([...added, ...pending].map(item => item.key)));
+    const problem = checkDependencies([...added, ...pending]);
+    if (problem) throw invalid(problem);
+    plan.items = [...added, ...pending];
+    plan.status = planStatus(plan.items);
+  }
+  return plan.save();
+}
+
+/**
+ * Add plan items to the planner as tasks, all in one transaction. Dependencies become the tasks'
+ * `dependsOn` once both items are in the planner.
+ * @param {string} userId
+ * @param {string} planId
+ * @param {Array<string>} [keys] - Items to add; default: all that aren't in the planner yet
+ * @returns {Promise<{plan: object, tasks: Array<object>}|null>} null if the plan doesn't exist
+ * @throws {Error} ValidationError for unknown keys or when there is nothing left to add
+ */
+async function commitPlan(userId, planId, keys) {
+  const session = await mongoose.startSession();
+  try {
+    let result = null;
+    // The callback may run again if the transaction hits a conflict, so it starts from a fresh copy of the plan
+    await session.withTransaction(async () => {
+      const plan = await StudyPlan.findOne({ _id: planId, user: userId }).session(session);
+      if (!plan) return;
+      const unknown = (keys || []).filter(key => !plan.items.some(item => item.key === key));
+      if (unknown.length > 0) throw invalid(`Unknown plan items: ${unknown.join(', ')}`);
+      const selected = plan.items.filter(item => !item.task && (!keys || keys.includes(item.key)));
+      if (selected.length === 0) throw invalid('These items are already in the planner');
+
+      for (const item of selected) item.task = new mongoose.Types.ObjectId();
+      const taskIds = new Map(plan.items.filter(item => item.task).map(item => [item.key, item.task]));
+      const tasks = await taskService.createTasks(userId, selected.map(item => ({
+        _id: item.task,
+        plan: plan._id,
+        title: item.title,
+        description: item.description,
+        dueDate: item.dueDate,
+        estimatedMinutes: item.estimatedMinutes,
+        priority: item.priority,
+        dependsOn: item.dependsOn.map(key => taskIds.get(key)).filter(Boolean)
+      })), { session });
+      // Tasks added earlier that depend on the new ones
+      for (const item of plan.items.filter(other => other.task && !selected.includes(other))) {
+        const ids = item.dependsOn.filter(key => selected.some(other => other.key === key)).map(key => taskIds.get(key));
+        if (ids.length > 0) await Task.updateOne({ _id: item.task, user: userId }, { $addToSet: { dependsOn: { $each: ids } } }, { session });
+      }
+      plan.status = planStatus(plan.items);
+      await plan.save({ session });
+      result = { plan, tasks };
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+function listPlans(userId) {
+  return StudyPlan.find({ user: userId }).select('-items').sort({ updatedAt: -1 }).lean();
+}
+
+function getPlan(userId, planId) {
+  return StudyPlan.findOne({ _id: planId, user: userId });
+}
+
+// Tasks already added from the plan stay in the planner
+function deletePlan(userId, planId) {
+  return StudyPlan.findOneAndDelete({ _id: planId, user: userId });
+}
+
+module.exports = {
+  generatePlan,
+  regeneratePlan,
+  updatePlan,
+  commitPlan,
+  listPlans,
+  getPlan,
+  deletePlan
+};
@@ -0,0 +1,457 @@
+// Planner task logic shared by the REST routes (routes/planner.js) and the chat tools (tools/tasks.js),
+// so both paths filter, update and delete tasks the same way.
+//
+// Repeating tasks are stored as one task per occurrence, linked by `seriesId`. Only the current
+// occurrence exists ahead of time; completing or skipping it creates the next one from its rule.
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const ScheduleBlock = require('../models/ScheduleBlock');
+const User = require('../models/User');
+const { escapeRegex, searchTerms } = require('../utils/text');
+const { normalizeRule, nextOccurrence } = require('../utils/recurrence');
+const { isValidTimezone } = require('../utils/timezone');
+const { TASK_MAX_SUBTASK_DEPTH } = require('../config/constants');
+
+const PRIORITIES = Task.schema.path('priority').enumValues; // Least to most urgent
+const SORT_FIELDS = ['dueDate', 'createdAt', 'updatedAt', 'title', 'priority', 'estimatedMinutes'];
+const SORT_PATHS = { priority: 'priorityRank' }; // Priorities sort by urgency, not alphabetically
+
+// Tasks can be referenced by MongoDB ID or by exact title (the chat tools use titles)
+function taskQuery(userId, identifier) {
+  return mongoose.Types.ObjectId.isValid(identifier)
+    ? { _id: new mongoose.Types.ObjectId(identifier), user: userId }
+    : { title: identifier, user: userId };
+}
+
+/**
+ * Build the Mongo filter for a task listing.
+ * @param {string} userId
+ * @param {object} [filters]
+ * @param {boolean} [filters.completed]
+ * @param {Date} [filters.dueBefore] - Due at or before this time
+ * @param {Date} [filters.dueAfter] - Due at or after this time
+ * @param {boolean} [filters.overdue] - true: open tasks past their due date; false: everything else
+ * @param {string} [filters.q] - Words that must all appear in the title or description
+ * @param {Array<string>} [filters.priority] - Any of these priorities
+ * @param {Array<string>} [filters.tags] - All of these tags
+ * @param {number} [filters.minEstimate] - Estimated minutes at least / at most
+ * @param {number} [filters.maxEstimate]
+ * @param {boolean} [filters.hasSubtasks]
+ * @param {Date} [now]
+ */
+function buildFilter(userId, { completed, dueBefore, dueAfter, overdue, q, priority, tags, minEstimate, maxEstimate, hasSubtasks } = {}, now = new Date()) {
+  const filter = { user: userId };
+  const and = [];
+  if (typeof completed === 'boolean') filter.completed = completed;
+  if (dueBefore || dueAfter) {
+    filter.dueDate = {};
+    if (dueBefore) filter.dueDate.$lte = new Date(dueBefore);
+    if (dueAfter) filter.dueDate.$gte = new Date(dueAfter);
+  }
+  if (overdue === true) {
+    and.push({ completed: false, dueDate: { $lt: now } });
+  } else if (overdue === false) {
+    and.push({ $or: [{ completed: true }, { dueDate: null }, { dueDate: { $gte: now } }] });
+  }
+  if (q) {
+    for (const term of searchTerms(q)) {
+      const pattern = { $regex: escapeRegex(term), $options: 'i' };
+      and.push({ $or: [{ title: pattern }, { description: pattern }] });
+    }
+  }
+  if (priority?.length) filter.priority = { $in: priority };
+  if (tags?.length) filter.tags = { $all: normalizeTags(tags) };
+  if (minEstimate !== undefined || maxEstimate !== undefined) {
+    filter.estimatedMinutes = {};
+    if (minEstimate !== undefined) filter.estimatedMinutes.$gte = minEstimate;
+    if (maxEstimate !== undefined) filter.estimatedMinutes.$lte = maxEstimate;
+  }
+  if (typeof hasSubtasks === 'boolean') filter['subtasks.0'] = { $exists: hasSubtasks };
+  if (and.length > 0) filter.$and = and;
+  return filter;
+}
+
+/**
+ * List a user's tasks.
+ * @param {string} userId
+ * @param {object} [opts] - Filters (see buildFilter) plus paging and sorting
+ * @param {string} [opts.sort='dueDate'] - One of SORT_FIELDS
+ * @param {string} [opts.order='asc'] - 'asc' or 'desc'
+ * @param {number} [opts.page=1]
+ * @param {number} [opts.limit=10]
+ * @returns {Promise<{tasks: Array, total: number}>}
+ */
+async function listTasks(userId, { sort = 'dueDate', order = 'asc', page = 1, limit = 10, ...filters } = {}) {
+  const filter = buildFilter(userId, filters);
+  const direction = order === 'desc' ? -1 : 1;
+  const field = SORT_FIELDS.includes(sort) ? sort : 'dueDate';
+  const sortSpec = { [SORT_PATHS[field] || field]: direction };
+  if (!sortSpec.createdAt) sortSpec.createdAt = -1; // Stable order for ties
+  const [tasks, total] = await Promise.all([
+    Task.find(filter).sort(sortSpec).skip((page - 1) * limit).limit(limit),
+    Task.countDocuments(filter)
+  ]);
+  return { tasks, total };
+}
+
+// Same name as Mongoose's validation errors, so callers answer both with 400
+function invalid(message) {
+  const err = new Error(message);
+  err.name = 'ValidationError';
+  return err;
+}
+
+async function userTimezone(userId) {
+  const user = await User.findById(userId).select('timezone').lean();
+  return user?.timezone && isValidTimezone(user.timezone) ? user.timezone : 'UTC'; // Unknown names fall back to UTC
+}
+
+// Trimmed, lowercase, no duplicates
+function normalizeTags(tags) {
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+function subtaskDepth(subtasks) {
+  return subtasks?.length ? 1 + Math.max(...subtasks.map(step => subtaskDepth(step.subtasks))) : 0;
+}
+
+// Totals over the innermost steps; a step with steps of its own counts as done once all of them are
+function rollUp(subtasks) {
+  const totals = { total: 0, completed: 0, estimatedMinutes: 0, actualMinutes: 0 };
+  for (const step of subtasks) {
+    if (step.subtasks?.length) {
+      const inner = rollUp(step.subtasks);
+      step.completed = inner.completed === inner.total;
+      for (const key of Object.keys(totals)) totals[key] += inner[key];
+    } else {
+      totals.total++;
+      if (step.completed) totals.completed++;
+      totals.estimatedMinutes += step.estimatedMinutes || 0;
+      totals.actualMinutes += step.actualMinutes || 0;
+    }
+  }
+  return totals;
+}
+
+// The task's `progress`, or undefined without subtasks
+function progressOf(subtasks) {
+  if (!subtasks?.length) return undefined;
+  const totals = rollUp(subtasks);
+  return { ...totals, percent: Math.round((100 * totals.completed) / totals.total) };
+}
+
+function checkSubtaskDepth(subtasks, depth = 0) {
+  if (depth + subtaskDepth(subtasks) > TASK_MAX_SUBTASK_DEPTH) {
+    throw invalid(`Subtasks can be nested at most ${TASK_MAX_SUBTASK_DEPTH} levels deep`);
+  }
+}
+
+// Fresh copies of the steps for a new occurrence: same plan, nothing done yet
+function resetSubtasks(subtasks = []) {
+  return subtasks.map(({ title, priority, estimatedMinutes, subtasks: steps }) => ({
+    title, priority, estimatedMinutes, subtasks: resetSubtasks(steps)
+  }));
+}
+
+// Find a step anywhere in the tree: { step, siblings (the array holding it), depth (1 = top level) }
+function findSubtask(subtasks, id, depth = 1) {
+  for (const step of subtasks) {
+    if (String(step._id) === String(id)) return { step, siblings: subtasks, depth };
+    const found = findSubtask(step.subtasks || [], id, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+async function buildRule(userId, recurrence, start, timeZone) {
+  const { rule, error } = normalizeRule(recurrence, start, timeZone || await userTimezone(userId));
+  if (error) throw invalid(error);
+  return rule;
+}
+
+// Fields of a new (non-repeating) task
+function taskFields(userId, { title, description, dueDate, priority, tags, estimatedMinutes, actualMinutes, subtasks, externalUid }) {
+  const fields = { user: userId, title, description, dueDate, estimatedMinutes, actualMinutes, externalUid };
+  if (priority) Object.assign(fields, { priority, priorityRank: PRIORITIES.indexOf(priority) });
+  if (tags) fields.tags = normalizeTags(tags);
+  if (subtasks?.length) {
+    checkSubtaskDepth(subtasks);
+    fields.subtasks = subtasks;
+    fields.progress = progressOf(subtasks);
+  }
+  return fields;
+}
+
+/**
+ * @param {string} userId
+ * @param {object} fields - { title, description, dueDate, recurrence, priority, tags, estimatedMinutes, actualMinutes, subtasks, externalUid }
+ *   `recurrence` is { freq, interval, weekdays, until, count } or RRULE text and needs a due date.
+ *   `subtasks` is a list of { title, priority, estimatedMinutes, actualMinutes, completed, subtasks }.
+ * @returns {Promise<object>} The task (the first occurrence, for a repeating task)
+ * @throws {Error} ValidationError for an invalid recurrence rule or subtasks nested too deeply
+ */
+async function createTask(userId, { recurrence, ...input }) {
+  const fields = taskFields(userId, input);
+  if (!recurrence) return Task.create(fields);
+  const _id = new mongoose.Types.ObjectId();
+  const rule = await buildRule(userId, recurrence, input.dueDate);
+  return Task.create({ ...fields, _id, recurrence: rule, seriesId: _id, occurrence: 1 });
+}
+
+/**
+ * Create several non-repeating tasks at once, e.g. inside a transaction (services/studyPlan.js).
+ * @param {string} userId
+ * @param {Array<object>} items - Task fields as for createTask (without recurrence), plus `_id`, `plan` and `dependsOn`
+ * @param {object} [options]
+ * @param {object} [options.session] - Mongoose session to insert in
+ * @returns {Promise<Array<object>>}
+ */
+function createTasks(userId, items, { session } = {}) {
+  const docs = items.map(({ _id, plan, dependsOn, ...input }) => ({ ...taskFields(userId, input), _id, plan, dependsOn }));
+  return Task.insertMany(docs, { session });
+}
+
+/**
+ * Create the occurrence after `task` unless its series has ended. Safe to call more than once.
+ * @returns {Promise<object|null>} The next occurrence, or null if there is none
+ */
+async function ensureNextOccurrence(task) {
+  if (!task.recurrence || !task.dueDate) return null;
+  const dueDate = nextOccurrence(task.recurrence, task.dueDate, task.occurrence);
+  if (!dueDate) return null;
+  try {
+    const subtasks = resetSubtasks(task.subtasks);
+    return await Task.create({
+      user: task.user,
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      priorityRank: task.priorityRank,
+      tags: task.tags,
+      estimatedMinutes: task.estimatedMinutes,
+      subtasks,
+      progress: progressOf(subtasks),
+      dueDate,
+      recurrence: task.recurrence,
+      seriesId: task.seriesId,
+      occurrence: task.occurrence + 1
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return Task.findOne({ seriesId: task.seriesId, occurrence: task.occurrence + 1 }); // Created already
+  }
+}
+
+// Field changes as accepted by updateTask; null clears `dueDate`, `priority` and the minute fields,
+// `subtasks` replaces all steps
+function toUpdate({ title, description, dueDate, completed, priority, tags, estimatedMinutes, actualMinutes, subtasks }) {
+  const update = { $set: {}, $unset: {} };
+  if (priority === null) Object.assign(update.$unset, { priority: 1, priorityRank: 1 });
+  else if (priority !== undefined) Object.assign(update.$set, { priority, priorityRank: PRIORITIES.indexOf(priority) });
+  if (tags !== undefined) update.$set.tags = normalizeTags(tags);
+  for (const [field, value] of Object.entries({ estimatedMinutes, actualMinutes })) {
+    if (value === null) update.$unset[field] = 1;
+    else if (value !== undefined) update.$set[field] = value;
+  }
+  if (subtasks !== undefined) {
+    checkSubtaskDepth(subtasks);
+    update.$set.subtasks = subtasks;
+    const progress = progressOf(subtasks);
+    if (progress) update.$set.progress = progress;
+    else update.$unset.progress = 1;
+  }
+  if (title !== undefined) update.$set.title = title;
+  if (description !== undefined) update.$set.description = description;
+  if (completed !== undefined) {
+    update.$set.completed = completed;
+    update.$unset.skipped = 1; // Done or reopened, no longer skipped
+    if (completed) update.$set.completedAt = new Date();
+    else update.$unset.completedAt = 1;
+  }
+  if (dueDate === null) update.$unset.dueDate = 1;
+  else if (dueDate !== undefined) update.$set.dueDate = dueDate;
+  if (Object.keys(update.$unset).length === 0) delete update.$unset;
+  return update;
+}
+
+/**
+ * Change a task's fields (see toUpdate), completion or recurrence.
+ * Completing an occurrence of a repeating task creates the next one, available afterwards as
+ * `task.$locals.nextOccurrence`.
+ * @param {string} userId
+ * @param {string} identifier - Task ID or exact title
+ * @param {object} changes - { title, description, dueDate, completed, priority, tags, estimatedMinutes,
+ *   actualMinutes, subtasks, recurrence (rule, or null to stop repeating) }
+ * @param {object} [opts]
+ * @param {string} [opts.scope='occurrence'] - 'future' also applies title, description, priority, tag and estimate changes to the later
+ *   open occurrences and re-anchors the rule on a new due date. Changing `recurrence` always affects the series.
+ * @returns {Promise<object|null>} The updated task, or null if not found
+ * @throws {Error} ValidationError for an invalid recurrence rule or subtasks nested too deeply
+ */
+async function updateTask(userId, identifier, changes, { scope = 'occurrence' } = {}) {
+  const { recurrence, ...fields } = changes;
+  const current = await Task.findOne(taskQuery(userId, identifier));
+  if (!current) return null;
+
+  if (fields.dueDate === null && current.recurrence && recurrence !== null) throw invalid('A repeating task needs a due date');
+  const update = toUpdate(fields);
+  if (fields.completed === true && current.completed && !current.skipped) delete update.$set.completedAt; // Done already
+  if (recurrence === null) {
+    update.$unset = { ...update.$unset, recurrence: 1 }; // Stop repeating after this occurrence
+  } else if (recurrence !== undefined) {
+    const dueDate = fields.dueDate !== undefined ? fields.dueDate : current.dueDate;
+    update.$set.recurrence = await buildRule(userId, recurrence, dueDate, current.recurrence?.timezone);
+    if (!current.seriesId) Object.assign(update.$set, { seriesId: current._id, occurrence: 1 });
+  } else if (scope === 'future' && current.recurrence && fields.dueDate) {
+    update.$set['recurrence.start'] = fields.dueDate;
+  }
+  const task = await Task.findOneAndUpdate({ _id: current._id }, update, { new: true, runValidators: true });
+
+  // Later occurrences that are still open (e.g. the next one, after this one was reopened)
+  if (current.seriesId && (scope === 'future' || recurrence !== undefined)) {
+    const { title, description, priority, tags, estimatedMinutes } = fields;
+    const seriesUpdate = toUpdate({ title, description, priority, tags, estimatedMinutes });
+    if (recurrence === null) seriesUpdate.$unset = { ...seriesUpdate.$unset, recurrence: 1 };
+    else if (update.$set.recurrence) seriesUpdate.$set.recurrence = update.$set.recurrence;
+    else if (update.$set['recurrence.start']) seriesUpdate.$set['recurrence.start'] = update.$set['recurrence.start'];
+    if (Object.keys(seriesUpdate.$set).length > 0 || seriesUpdate.$unset) {
+      await Task.updateMany({ user: userId, seriesId: current.seriesId, occurrence: { $gt: current.occurrence }, completed: false }, seriesUpdate);
+    }
+  }
+
+  if (task && fields.completed === true && !current.completed) {
+    task.$locals.nextOccurrence = await ensureNextOccurrence(task);
+  }
+  return task;
+}
+
+/**
+ * Close an occurrence of a repeating task without doing it, and create the next one.
+ * @returns {Promise<object|null>} The skipped task (next occurrence in `task.$locals.nextOccurrence`), or null if not found
+ * @throws {Error} ValidationError if the task doesn't repeat
+ */
+async function skipOccurrence(userId, identifier) {
+  const current = await Task.findOne(taskQuery(userId, identifier));
+  if (!current) return null;
+  if (!current.recurrence) throw invalid('Only occurrences of a repeating task can be skipped');
+  const task = await Task.findOneAndUpdate({ _id: current._id }, { $set: { completed: true, skipped: true } }, { new: true });
+  task.$locals.nextOccurrence = await ensureNextOccurrence(task);
+  return task;
+}
+
+// Load a task, change its steps with `edit` and store it with the progress rolled up again.
+// Resolves to the task, or null if the task (or the step `edit` looks for) doesn't exist.
+async function editSubtasks(userId, taskId, edit) {
+  const task = await Task.findOne({ _id: taskId, user: userId });
+  if (!task) return null;
+  if (edit(task) === null) return null;
+  task.progress = progressOf(task.subtasks);
+  await task.save();
+  return task;
+}
+
+/**
+ * Add a step to a task, or to one of its steps.
+ * @param {string} userId
+ * @param {string} taskId
+ * @param {object} fields - { title, priority, estimatedMinutes, actualMinutes, completed, subtasks }
+ * @param {string} [parentId] - Step to add it under (default: top level)
+ * @returns {Promise<object|null>} The task, or null if the task or parent step doesn't exist
+ * @throws {Error} ValidationError if this would nest steps too deeply
+ */
+function addSubtask(userId, taskId, fields, parentId) {
+  return editSubtasks(userId, taskId, task => {
+    let siblings = task.subtasks;
+    let depth = 0;
+    if (parentId) {
+      const parent = findSubtask(task.subtasks, parentId);
+      if (!parent) return null;
+      siblings = parent.step.subtasks;
+      depth = parent.depth;
+    }
+    checkSubtaskDepth([fields], depth);
+    siblings.push(fields);
+  });
+}
+
+/**
+ * Change a step. Completing (or reopening) a step with steps of its own does the same to all of them.
+ * @param {object} changes - { title, completed, priority, estimatedMinutes, actualMinutes } (null clears the last three)
+ * @returns {Promise<object|null>} The task, or null if the task or step doesn't exist
+ */
+function updateSubtask(userId, taskId, subtaskId, changes) {
+  const setCompleted = (step, completed) => {
+    step.completed = completed;
+    for (const inner of step.subtasks || []) setCompleted(inner, completed);
+  };
+  return editSubtasks(userId, taskId, task => {
+    const found = findSubtask(task.subtasks, subtaskId);
+    if (!found) return null;
+    for (const field of ['title', 'priority', 'estimatedMinutes', 'actualMinutes']) {
+      if (changes[field] !== undefined) found.step[field] = changes[field] === null ? undefined : changes[field];
+    }
+    if (changes.completed !== undefined) setCompleted(found.step, changes.completed);
+  });
+}
+
+// Remove a step (and its steps). Resolves to the task, or null if the task or step doesn't exist.
+function removeSubtask(userId, taskId, subtaskId) {
+  return editSubtasks(userId, taskId, task => {
+    const found = findSubtask(task.subtasks, subtaskId);
+    if (!found) return null;
+    found.siblings.pull(found.step._id);
+  });
+}
+
+// Replace all editable fields (PUT): fields left out go back to their defaults.
+// The recurrence rule and the planning fields (priority, tags, estimates, subtasks) are only changed when given.
+function replaceTask(userId, id, { title, description = '', dueDate = null, completed = false, ...rest }, opts) {
+  return updateTask(userId, id, { ...rest, title, description, dueDate, completed }, opts);
+}
+
+// Resolves to the deleted task, or null if not found
+// Deleting tasks also deletes their scheduled work blocks
+async function deleteTask(userId, identifier) {
+  const task = await Task.findOneAndDelete(taskQuery(userId, identifier));
+  if (task) await ScheduleBlock.deleteMany({ user: userId, task: task._id });
+  return task;
+}
+
+// Bulk operations take task IDs; IDs of other users' tasks are ignored
+async function setTasksCompleted(userId, ids, completed = true) {
+  // Repeating tasks completed by this call get their next occurrence
+  const newlyDone = completed
+    ? await Task.find({ _id: { $in: ids }, user: userId, completed: false, recurrence: { $exists: true } })
+    : [];
+  if (completed) {
+    await Task.updateMany({ _id: { $in: ids }, user: userId, $or: [{ completed: false }, { skipped: true }] }, { $set: { completedAt: new Date() } });
+  }
+  const unset = completed ? { skipped: 1 } : { skipped: 1, completedAt: 1 };
+  const result = await Task.updateMany({ _id: { $in: ids }, user: userId }, { $set: { completed }, $unset: unset });
+  for (const task of newlyDone) await ensureNextOccurrence(task);
+  return { matched: result.matchedCount, modified: result.modifiedCount };
+}
+
+async function deleteTasks(userId, ids) {
+  const result = await Task.deleteMany({ _id: { $in: ids }, user: userId });
+  await ScheduleBlock.deleteMany({ user: userId, task: { $in: ids } });
+  return result.deletedCount;
+}
+
+module.exports = {
+  PRIORITIES,
+  SORT_FIELDS,
+  listTasks,
+  createTask,
+  createTasks,
+  updateTask,
+  replaceTask,
+  skipOccurrence,
+  addSubtask,
+  updateSubtask,
+  removeSubtask,
+  deleteTask,
+  setTasksCompleted,
+  deleteTasks,
+  userTimezone
+};
@@ -0,0 +1,146 @@
+// Readable chat transcripts (Markdown, plain text, PDF) for sharing a session with someone else.
+// Internal fields (tool_calls, toolResultData, ...) are left out; tool messages become one short line.
+const PDFDocument = require('pdfkit');
+const { APP_NAME } = require('../config/constants');
+
+const TOOL_LINE_MAX_CHARS = 200;
+
+const SPEAKERS = { user: 'You', ai: APP_NAME, tool: 'Tool' };
+
+// e.g. "May 1, 2024, 2:05 PM" (ICU puts a narrow no-break space before AM/PM; use a plain one)
+function formatTimestamp(date, timeZone) {
+  const options = { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+  let text;
+  try {
+    text = new Date(date).toLocaleString('en-US', { ...options, timeZone });
+  } catch (err) {
+    text = new Date(date).toLocaleString('en-US', { ...options, timeZone: 'UTC' });
+  }
+  return text.replace(/\u202f/g, ' ');
+}
+
+// "create_task" -> "Create task"
+function humanizeToolName(name = 'tool') {
+  const words = name.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// One line per tool message, e.g. "Create task: Task "Revise" created." or "List tasks: 4 results"
+function describeToolMessage(msg) {
+  const result = msg.toolResultData || {};
+  let text = msg.message || '';
+  if (!result.message) {
+    const list = Object.values(result).find(Array.isArray);
+    if (list) text = `${list.length} result${list.length === 1 ? '' : 's'}`;
+  }
+  text = text.replace(/\s+/g, ' ').trim();
+  if (text.length > TOOL_LINE_MAX_CHARS) text = `${text.slice(0, TOOL_LINE_MAX_CHARS - 1)}…`;
+  return `${humanizeToolName(msg.tool_name)}: ${text}`;
+}
+
+/**
+ * Turn stored messages into transcript entries.
+ * AI messages that only requested tools (no text) are skipped.
+ * @param {Array<object>} messages - Message documents in session order
+ * @param {object} opts
+ * @param {string} opts.timeZone - IANA timezone for timestamps
+ * @param {boolean} [opts.includeTools=true] - Include tool result lines
+ * @returns {Array<{speaker: string, time: string, text: string, tool: boolean}>}
+ */
+function buildEntries(messages, { timeZone, includeTools = true }) {
+  const entries = [];
+  for (const msg of messages) {
+    const tool = msg.sender === 'tool';
+    if (tool && !includeTools) continue;
+    if (!tool && !msg.message && !msg.imageUrl) continue;
+    let text = tool ? describeToolMessage(msg) : (msg.message || '');
+    if (msg.imageUrl) text = text ? `${text}\n[Image: ${msg.imageUrl}]` : `[Image: ${msg.imageUrl}]`;
+    if (msg.partial) text += '\n[Response cut short]';
+    entries.push({ speaker: SPEAKERS[msg.sender] || msg.sender, time: formatTimestamp(msg.timestamp, timeZone), text, tool });
+  }
+  return entries;
+}
+
+function headerLines(chat, timeZone) {
+  return {
+    title: chat.title || 'Chat session',
+    details: [
+      `Started: ${formatTimestamp(chat.createdAt, timeZone)}`,
+      `Exported: ${formatTimestamp(new Date(), timeZone)}`,
+      `Times shown in ${timeZone}`
+    ]
+  };
+}
+
+/**
+ * @param {object} chat - Chat with title and createdAt
+ * @param {Array<object>} messages
+ * @param {object} opts - See buildEntries
+ * @returns {string}
+ */
+function renderMarkdown(chat, messages, opts) {
+  const { title, details } = headerLines(chat, opts.timeZone);
+  const lines = [`# ${title}`, '', ...details.map(line => `- ${line}`), ''];
+  for (const entry of buildEntries(messages, opts)) {
+    if (entry.tool) {
+      lines.push(`> _${entry.time}_ · ${entry.text}`, '');
+    } else {
+      lines.push(`**${entry.speaker}** · _${entry.time}_`, '', entry.text, '');
+    }
+  }
+  return lines.join('\n');
+}
+
+function renderText(chat, messages, opts) {
+  const { title, details } = headerLines(chat, opts.timeZone);
+  const lines = [title, '='.repeat(title.length), ...details, ''];
+  for (const entry of buildEntries(messages, opts)) {
+    if (entry.tool) {
+      lines.push(`[${entry.time}] (${entry.text})`, '');
+    } else {
+      lines.push(`[${entry.time}] ${entry.speaker}:`, entry.text, '');
+    }
+  }
+  return lines.join('\n');
+}
+
+// The built-in PDF fonts only cover Latin-1; replace what they can't draw instead of printing garbage
+function pdfSafe(text) {
+  return text
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/[^\n\x20-\x7e\xa0-\xff]/gu, '');
+}
+
+/**
+ * Write the transcript as a PDF to a writable stream (e.g. the response).
+ * @param {import('stream').Writable} out
+ * @param {object} chat
+ * @param {Array<object>} messages
+ * @param {object} opts - See buildEntries
+ */
+function streamPdf(out, chat, messages, opts) {
+  const { title, details } = headerLines(chat, opts.timeZone);
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: pdfSafe(title), Creator: APP_NAME } });
+  doc.pipe(out);
+
+  doc.font('Helvetica-Bold').fontSize(18).text(pdfSafe(title));
+  doc.font('Helvetica').fontSize(9).fillColor('#666666').text(details.join('  |  '));
+  doc.moveDown();
+
+  for (const entry of buildEntries(messages, opts)) {
+    if (entry.tool) {
+      doc.font('Helvetica-Oblique').fontSize(9).fillColor('#666666').text(pdfSafe(`${entry.time}  ${entry.text}`));
+    } else {
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#000000').text(pdfSafe(entry.speaker), { continued: true })
+        .font('Helvetica').fillColor('#666666').text(`  ${pdfSafe(entry.time)}`);
+      doc.font('Helvetica').fontSize(11).fillColor('#000000').text(pdfSafe(entry.text));
+    }
+    doc.moveDown(0.6);
+  }
+  doc.end();
+}
+
+module.exports = { renderMarkdown, renderText, streamPdf };
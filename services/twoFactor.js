@@ -0,0 +1,108 @@
+// Two-factor authentication: TOTP enrollment, second-factor checks at login, recovery codes,
+// and the short-lived challenge token that links the two login steps.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { APP_NAME, TWO_FACTOR_CHALLENGE_TTL_SECONDS, TWO_FACTOR_RECOVERY_CODES } = require('../config/constants');
+
+const CHALLENGE_PURPOSE = '2fa_challenge';
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code.toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+}
+
+// Plain recovery codes (shown to the user once) and the hashes to store
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: TWO_FACTOR_RECOVERY_CODES }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+}
+
+// Start (or restart) enrollment; the secret only takes effect after confirmSetup
+async function beginSetup(user) {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+  return { secret, otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: APP_NAME }) };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app.
+ * @returns {Promise<{recoveryCodes: string[]}|{error: string}>}
+ */
+async function confirmSetup(user, code) {
+  const secret = user.twoFactor?.pendingSecret;
+  if (!secret) return { error: 'Start two-factor setup first.' };
+  const step = verifyCode(secret, code);
+  if (step === null) return { error: 'Invalid code.' };
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.enabled': true, 'twoFactor.secret': secret, 'twoFactor.recoveryCodes': hashes, 'twoFactor.lastUsedStep': step, 'twoFactor.enabledAt': new Date() },
+    $unset: { 'twoFactor.pendingSecret': 1 }
+  });
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Check the second factor at login: an authenticator code, or a recovery code (used up on success).
+ * Updates are conditional, so the same code can't be accepted twice by concurrent requests.
+ * @returns {Promise<{method: string}|null>}
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.twoFactor?.enabled) return null;
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code);
+    if (step === null) return null;
+    const result = await User.updateOne(
+      { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }] },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0 ? { method: 'totp' } : null;
+  }
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hashCode(recoveryCode) },
+      { $pull: { 'twoFactor.recoveryCodes': hashCode(recoveryCode) } }
+    );
+    return result.modifiedCount > 0 ? { method: 'recovery_code' } : null;
+  }
+  return null;
+}
+
+// Replace the recovery codes; returns the new plain codes
+async function regenerateRecoveryCodes(user) {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+  return codes;
+}
+
+function disableTwoFactor(user) {
+  return User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+}
+
+// Token proving the password step passed; only accepted by POST /api/auth/login/2fa
+function createChallengeToken(user) {
+  return jwt.sign({ userId: user._id, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS });
+}
+
+// Resolves to the user ID of a valid challenge token, or null
+function readChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.userId : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  beginSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  readChallengeToken
+};
@@ -0,0 +1,68 @@
+// Calendar import: an entry that fails to save is reported on its own instead of failing the upload
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const logger = require('../logger');
+const taskService = require('../services/taskService');
+const { importCalendar } = require('../services/calendar');
+
+afterEach(() => mock.restoreAll());
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+function calendarFile(...titles) {
+  const events = titles.map((title, i) => [
+    'BEGIN:VEVENT',
+    `UID:event-${i}@example.com`,
+    `SUMMARY:${title}`,
+    'DTSTART:20250501T090000Z',
+    'END:VEVENT'
+  ].join('\r\n'));
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events, 'END:VCALENDAR', ''].join('\r\n');
+}
+
+function stubImport(createTask) {
+  mock.method(taskService, 'userTimezone', async () => 'UTC');
+  mock.method(Task, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+  return mock.method(taskService, 'createTask', createTask);
+}
+
+test('a task that fails validation is listed in errors and the other entries are imported', async () => {
+  const createTask = stubImport(async (id, fields) => {
+    if (fields.title !== 'Broken') return { _id: new mongoose.Types.ObjectId(), ...fields };
+    const err = new Error('Title is too long');
+    err.name = 'ValidationError';
+    throw err;
+  });
+
+  const result = await importCalendar(userId, calendarFile('Lecture', 'Broken', 'Lab'));
+
+  assert.strictEqual(createTask.mock.callCount(), 3);
+  assert.strictEqual(result.imported, 2);
+  assert.deepStrictEqual(result.errors, [{ uid: 'event-1@example.com', title: 'Broken', message: 'Title is too long' }]);
+});
+
+test('an unexpected failure is logged and reported without its details', async () => {
+  stubImport(async (id, fields) => {
+    if (fields.title === 'Broken') throw new Error('connection reset');
+    return { _id: new mongoose.Types.ObjectId(), ...fields };
+  });
+  const logged = mock.method(logger, 'error', () => {});
+
+  const result = await importCalendar(userId, calendarFile('Broken', 'Lab'));
+
+  assert.strictEqual(result.imported, 1);
+  assert.deepStrictEqual(result.errors, [{ uid: 'event-0@example.com', title: 'Broken', message: 'The entry could not be imported' }]);
+  assert.strictEqual(logged.mock.callCount(), 1);
+});
+
+test('a task created by a concurrent import is skipped', async () => {
+  stubImport(async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+
+  const result = await importCalendar(userId, calendarFile('Lecture'));
+
+  assert.deepStrictEqual(result, { imported: 0, skipped: 1, errors: [], warnings: [] });
+});
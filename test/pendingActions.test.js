@@ -0,0 +1,22 @@
+// Claiming a pending action: only a request that still finds it pending may act on it
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Chat = require('../models/Chat');
+const { claimAction } = require('../services/pendingActions');
+
+afterEach(() => mock.restoreAll());
+
+test('claimAction updates the action only while it is pending and not expired', async () => {
+  const now = new Date('2025-05-01T10:00:00Z');
+  const update = mock.method(Chat, 'findOneAndUpdate', async () => ({ _id: 'c1' }));
+  assert.strictEqual(await claimAction({ _id: 'c1' }, { actionId: 'a1' }, 'confirmed', now), true);
+
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { _id: 'c1', pendingActions: { $elemMatch: { actionId: 'a1', status: 'pending', expiresAt: { $gt: now } } } });
+  assert.deepStrictEqual(change, { $set: { 'pendingActions.$.status': 'confirmed', 'pendingActions.$.resolvedAt': now } });
+});
+
+test('claimAction reports a lost race', async () => {
+  mock.method(Chat, 'findOneAndUpdate', async () => null);
+  assert.strictEqual(await claimAction({ _id: 'c1' }, { actionId: 'a1' }, 'rejected'), false);
+});
@@ -0,0 +1,105 @@
+// The scheduler is pure: these run planSchedule directly on fixed tasks, windows and times
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { planSchedule, expandWindows } = require('../utils/scheduler');
+
+const EVENINGS = [{ weekdays: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'], start: '18:00', end: '21:00' }];
+const MONDAY_NOON = new Date('2025-05-05T12:00:00Z');
+
+function run(tasks, { blocks = [], now = MONDAY_NOON, windows = EVENINGS, replan = false } = {}) {
+  return planSchedule({ tasks, windows, blocks, now, timeZone: 'UTC', horizonDays: 7, defaultMinutes: 30, minBlockMinutes: 15, replan });
+}
+
+// The blocks saved after a run, with IDs as the database would give them
+let nextId = 0;
+function saved(plan) {
+  return [...plan.keep, ...plan.add.map(block => ({ _id: `b${++nextId}`, ...block }))].sort((a, b) => a.start - b.start);
+}
+
+const times = blocks => blocks.map(block => [block.task, block.start.toISOString().slice(5, 16), block.end.toISOString().slice(11, 16)]);
+
+test('expandWindows turns weekly windows into concrete intervals in the timezone', () => {
+  const intervals = expandWindows([{ weekdays: ['MO'], start: '18:00', end: '20:00' }], MONDAY_NOON, new Date('2025-05-13T00:00:00Z'), 'Europe/Berlin');
+  assert.deepStrictEqual(intervals.map(i => [i.start.toISOString(), i.end.toISOString()]), [
+    ['2025-05-05T16:00:00.000Z', '2025-05-05T18:00:00.000Z'],
+    ['2025-05-12T16:00:00.000Z', '2025-05-12T18:00:00.000Z']
+  ]);
+});
+
+test('places tasks by due day, then priority, before their due date', () => {
+  const tasks = [
+    { _id: 'later', dueDate: new Date('2025-05-09T12:00:00Z'), estimatedMinutes: 60 },
+    { _id: 'low', dueDate: new Date('2025-05-06T23:00:00Z'), estimatedMinutes: 60, priority: 'low', priorityRank: 0 },
+    { _id: 'urgent', dueDate: new Date('2025-05-06T23:00:00Z'), estimatedMinutes: 90, priority: 'urgent', priorityRank: 3 }
+  ];
+  const plan = run(tasks);
+  assert.deepStrictEqual(times(plan.add), [
+    ['urgent', '05-05T18:00', '19:30'],
+    ['low', '05-05T19:30', '20:30'],
+    ['later', '05-05T20:30', '21:00'],
+    ['later', '05-06T18:00', '18:30']
+  ]);
+  assert.deepStrictEqual(plan.unscheduled, []);
+});
+
+test('is deterministic and stable: a re-run keeps every block', () => {
+  const tasks = [
+    { _id: 'a', dueDate: new Date('2025-05-07T12:00:00Z'), estimatedMinutes: 120 },
+    { _id: 'b', dueDate: new Date('2025-05-08T12:00:00Z'), estimatedMinutes: 45 }
+  ];
+  const first = run(tasks);
+  assert.deepStrictEqual(times(run(tasks).add), times(first.add));
+
+  const again = run(tasks, { blocks: saved(first), now: new Date('2025-05-05T13:00:00Z') });
+  assert.strictEqual(again.add.length, 0);
+  assert.strictEqual(again.remove.length, 0);
+  assert.strictEqual(again.keep.length, first.add.length);
+});
+
+test('a changed task moves only its own blocks', () => {
+  const tasks = [
+    { _id: 'a', dueDate: new Date('2025-05-07T12:00:00Z'), estimatedMinutes: 60 },
+    { _id: 'b', dueDate: new Date('2025-05-09T12:00:00Z'), estimatedMinutes: 60 }
+  ];
+  const blocks = saved(run(tasks));
+  const changed = [tasks[0], { ...tasks[1], estimatedMinutes: 30 }];
+  const plan = run(changed, { blocks });
+  assert.deepStrictEqual(plan.keep.map(block => block.task), ['a']);
+  assert.deepStrictEqual(plan.remove.map(block => block.task), ['b']);
+  assert.deepStrictEqual(times(plan.add), [['b', '05-05T19:00', '19:30']]);
+});
+
+test('a block in progress counts for its task: re-running mid-block adds nothing', () => {
+  const task = { _id: 'essay', dueDate: new Date('2025-05-05T22:00:00Z'), estimatedMinutes: 90 };
+  const blocks = saved(run([task]));
+  assert.deepStrictEqual(times(blocks), [['essay', '05-05T18:00', '19:30']]);
+
+  const plan = run([task], { blocks, now: new Date('2025-05-05T18:30:00Z') });
+  assert.deepStrictEqual(plan.add, []);
+  assert.deepStrictEqual(plan.remove, []);
+  assert.deepStrictEqual(plan.unscheduled, []);
+  assert.strictEqual(plan.keep.length, 1);
+});
+
+test('reports tasks that are past due or do not fit', () => {
+  const tasks = [
+    { _id: 'missed', title: 'Missed', dueDate: new Date('2025-05-05T08:00:00Z'), estimatedMinutes: 30 },
+    { _id: 'huge', title: 'Huge', dueDate: new Date('2025-05-05T23:00:00Z'), estimatedMinutes: 240 },
+    { _id: 'small', title: 'Small', dueDate: new Date('2025-05-05T23:00:00Z'), estimatedMinutes: 60, priorityRank: 0 }
+  ];
+  const plan = run(tasks);
+  // The task that can't make it anyway doesn't crowd out the one that can
+  assert.deepStrictEqual(times(plan.add), [['small', '05-05T18:00', '19:00'], ['huge', '05-05T19:00', '21:00']]);
+  assert.deepStrictEqual(plan.unscheduled.map(({ task, reason, missingMinutes }) => ({ task, reason, missingMinutes })), [
+    { task: 'missed', reason: 'past_due', missingMinutes: 30 },
+    { task: 'huge', reason: 'not_enough_time', missingMinutes: 120 }
+  ]);
+});
+
+test('replan places every upcoming block again', () => {
+  const tasks = [{ _id: 'a', dueDate: new Date('2025-05-09T12:00:00Z'), estimatedMinutes: 60 }];
+  const blocks = saved(run(tasks));
+  const plan = run(tasks, { blocks, replan: true });
+  assert.strictEqual(plan.remove.length, 1);
+  assert.strictEqual(plan.add.length, 1);
+});
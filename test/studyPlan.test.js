@@ -0,0 +1,61 @@
+// Study plans after a partial commit: items in the planner may depend on items that aren't yet
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const StudyPlan = require('../models/StudyPlan');
+const User = require('../models/User');
+const ai = require('../services/ai');
+const taskService = require('../services/taskService');
+const studyPlan = require('../services/studyPlan');
+
+afterEach(() => mock.restoreAll());
+
+function partialPlan() {
+  const plan = new StudyPlan({
+    user: new mongoose.Types.ObjectId(),
+    title: 'Exam prep',
+    goals: 'Pass the physics exam',
+    timeframe: '2 weeks',
+    startDate: '2025-05-01',
+    timezone: 'UTC',
+    status: 'partial',
+    items: [
+      { key: 't1', title: 'Review notes', dueDate: new Date('2025-05-03T23:59:59Z'), dependsOn: ['t2'], task: new mongoose.Types.ObjectId() },
+      { key: 't2', title: 'Collect past papers', dueDate: new Date('2025-05-02T23:59:59Z'), dependsOn: [] }
+    ]
+  });
+  plan.save = async function () { return this; };
+  mock.method(StudyPlan, 'findOne', async () => plan);
+  return plan;
+}
+
+test('regenerating drops dependencies on the replaced items instead of rejecting the new draft', async () => {
+  const plan = partialPlan();
+  mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => ({}) }) }));
+  mock.method(taskService, 'userTimezone', async () => 'UTC');
+  const complete = mock.method(ai, 'complete', async () => ({
+    provider: 'mock',
+    model: 'test',
+    message: { content: JSON.stringify({ title: 'Exam prep v2', tasks: [{ id: 'p1', title: 'Practice problems', dueDay: 5, estimatedMinutes: 60, dependsOn: ['t1'] }] }) }
+  }));
+
+  const result = await studyPlan.regeneratePlan(plan.user, plan._id);
+  assert.strictEqual(complete.mock.callCount(), 1);
+  assert.deepStrictEqual(result.items.map(item => [item.key, [...item.dependsOn]]), [['t1', []], ['p1', ['t1']]]);
+});
+
+test('tweaking drops dependencies on items that are left out, and keeps the others', async () => {
+  let plan = partialPlan();
+  let result = await studyPlan.updatePlan(plan.user, plan._id, { items: [{ title: 'Flashcards', dependsOn: ['t1'] }] });
+  assert.deepStrictEqual([...result.items[0].dependsOn], []);
+  assert.deepStrictEqual(result.items.map(item => item.key), ['t1', 't3']);
+
+  plan = partialPlan();
+  result = await studyPlan.updatePlan(plan.user, plan._id, { items: [{ key: 't2', title: 'Collect past papers (2020-2024)' }] });
+  assert.deepStrictEqual([...result.items[0].dependsOn], ['t2']);
+});
+
+test('tweaking still rejects dependencies on unknown items', async () => {
+  const plan = partialPlan();
+  await assert.rejects(studyPlan.updatePlan(plan.user, plan._id, { items: [{ title: 'Flashcards', dependsOn: ['nope'] }] }), /unknown task id "nope"/);
+});
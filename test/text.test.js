@@ -0,0 +1,9 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { safeFileName } = require('../utils/text');
+
+test('safeFileName keeps IDs from escaping their directory', () => {
+  assert.strictEqual(safeFileName('../../etc/passwd'), '______etc_passwd');
+  assert.strictEqual(safeFileName('Session-1_a'), 'session-1_a');
+  assert.ok(!safeFileName('a/b\\c..d').match(/[/\\.]/));
+});
@@ -0,0 +1,88 @@
+// Chat tools, each run on its own: the registry, argument validation and the session tools
+// (Message queries are stubbed, no database needed).
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createRegistry } = require('../tools/registry');
+const validateArgs = require('../tools/validateArgs');
+const Message = require('../models/Message');
+const [getSessionSummary, giveFeedback] = require('../tools/session');
+
+afterEach(() => mock.restoreAll());
+
+// Stand-in for a Mongoose query: chainable, resolves to `result`
+function query(result) {
+  const chain = { sort: () => chain, select: () => chain, lean: async () => result, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  return chain;
+}
+
+function echoTool(overrides = {}) {
+  return {
+    name: 'echo',
+    parameters: { type: 'object', properties: { count: { type: 'integer', minimum: 1 } }, required: ['count'] },
+    handler: async (args, ctx) => ({ success: true, args, userId: ctx.userId }),
+    ...overrides
+  };
+}
+
+test('registry runs a tool with coerced arguments', async () => {
+  const registry = createRegistry().register(echoTool());
+  const result = await registry.execute('echo', { count: '3' }, { userId: 'u1' });
+  assert.deepStrictEqual(result, { success: true, args: { count: 3 }, userId: 'u1' });
+});
+
+test('registry rejects unknown tools, invalid arguments, roles and tools outside allowedTools', async () => {
+  const registry = createRegistry().register(echoTool()).register(echoTool({ name: 'admin_only', requiredRole: 'admin' }));
+  assert.match((await registry.execute('missing', {})).error, /not implemented/);
+  assert.match((await registry.execute('echo', { count: 0 })).error, /Invalid arguments/);
+  assert.match((await registry.execute('admin_only', { count: 1 }, { userRole: 'user' })).error, /not available for your account/);
+  assert.strictEqual((await registry.execute('admin_only', { count: 1 }, { userRole: 'admin' })).success, true);
+  assert.match((await registry.execute('echo', { count: 1 }, { allowedTools: ['other'] })).error, /not available in this conversation/);
+  assert.deepStrictEqual(registry.list({ role: 'user' }).map(tool => tool.name), ['echo']);
+});
+
+test('registry refuses tools registered twice', () => {
+  const registry = createRegistry().register(echoTool());
+  assert.throws(() => registry.register(echoTool()), /already registered/);
+});
+
+test('validateArgs checks required fields, enums and unknown properties', () => {
+  const schema = {
+    type: 'object',
+    properties: { mood: { type: 'integer', minimum: 1, maximum: 10 }, kind: { type: 'string', enum: ['a', 'b'] } },
+    required: ['mood'],
+    additionalProperties: false
+  };
+  assert.deepStrictEqual(validateArgs(schema, { mood: '7', kind: 'a' }), { value: { mood: 7, kind: 'a' }, errors: [] });
+  assert.ok(validateArgs(schema, {}).errors.length > 0);
+  assert.ok(validateArgs(schema, { mood: 11 }).errors.length > 0);
+  assert.ok(validateArgs(schema, { mood: 5, kind: 'c' }).errors.length > 0);
+  assert.ok(validateArgs(schema, { mood: 5, extra: true }).errors.length > 0);
+});
+
+test('get_session_summary works on a session created this turn', async () => {
+  mock.method(Message, 'findOne', () => query(null));
+  const chat = { _id: 'c1', sessionId: 's1', lastActivity: new Date('2025-05-01T10:00:00Z'), messageCount: 0 };
+  const turn = [{ sender: 'user', message: 'Help me plan my week' }];
+  const { success, summary } = await getSessionSummary.handler({ sessionId: 'other' }, { chat, turn });
+  assert.strictEqual(success, true);
+  assert.strictEqual(summary.sessionId, 's1');
+  assert.strictEqual(summary.messageCount, 1);
+  assert.strictEqual(summary.firstUserMessage, 'Help me plan my week');
+  assert.ok(!isNaN(Date.parse(summary.createdAt)));
+});
+
+test('give_feedback rates saved and unsaved AI messages only', async () => {
+  const update = mock.method(Message, 'updateOne', async () => ({}));
+  mock.method(Message, 'findOne', ({ seq }) => query(seq === 1 ? { _id: 'm1', sender: 'ai' } : { _id: 'm0', sender: 'user' }));
+  const chat = { _id: 'c1', messageCount: 2 };
+  const turn = [{ sender: 'user', message: 'Thanks' }, { sender: 'ai', message: 'You are welcome' }];
+
+  await giveFeedback.handler({ messageIndex: 1, rating: 5 }, { chat, turn });
+  assert.deepStrictEqual(update.mock.calls[0].arguments, [{ _id: 'm1' }, { $set: { feedback: 5 } }]);
+
+  await giveFeedback.handler({ messageIndex: 3, rating: 4 }, { chat, turn });
+  assert.strictEqual(turn[1].feedback, 4);
+
+  await assert.rejects(giveFeedback.handler({ messageIndex: 0, rating: 5 }, { chat, turn }), /only be given for AI messages/);
+  await assert.rejects(giveFeedback.handler({ messageIndex: 9, rating: 5 }, { chat, turn }), /Invalid message index/);
+});
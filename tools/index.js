@@ -0,0 +1,15 @@
+// Default tool registry with all built-in AI tools.
+// To add a domain tool, create a module exporting an array of tool definitions
+// (see tools/registry.js for the shape) and register it here.
+const { createRegistry } = require('./registry');
+
+const registry = createRegistry();
+
+[
+  ...require('./mood'),
+  ...require('./tasks'),
+  ...require('./session'),
+  ...require('./memory')
+].forEach(tool => registry.register(tool));
+
+module.exports = registry;
@@ -0,0 +1,77 @@
+// Long-term memory tools: facts, preferences and goals kept across chat sessions
+const mongoose = require('mongoose');
+const Memory = require('../models/Memory');
+const { rememberFact, findRelevantMemories } = require('../services/memory');
+
+const KINDS = ['fact', 'preference', 'goal'];
+
+const rememberFactTool = {
+  name: 'remember_fact',
+  description: 'Remember a lasting fact, preference or goal about the user for future conversations (e.g. exam dates, study habits). Do not store passwords or other secrets.',
+  parameters: {
+    type: 'object',
+    properties: {
+      content: { type: 'string', minLength: 1, maxLength: 500, description: 'The fact to remember, as a short self-contained sentence' },
+      kind: { type: 'string', enum: KINDS, description: 'Optional category (default: fact)' }
+    },
+    required: ['content']
+  },
+  readOnly: false,
+  handler: async ({ content, kind }, { userId, sessionId }) => {
+    const result = await rememberFact(userId, { content, kind, sessionId });
+    if (result.error) return { success: false, error: result.error };
+    return {
+      success: true,
+      message: result.created ? 'Remembered.' : 'Already remembered; updated it.',
+      memoryId: result.memory._id.toString()
+    };
+  }
+};
+
+const recallFacts = {
+  name: 'recall_facts',
+  description: 'Look up what has been remembered about the user, optionally matching a search query or category',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Optional words to search for (default: most recent memories)' },
+      kind: { type: 'string', enum: KINDS, description: 'Optional category filter' }
+    },
+    required: []
+  },
+  readOnly: true,
+  handler: async ({ query, kind }, { userId }) => {
+    let memories = await findRelevantMemories(userId, query, 20);
+    if (kind) memories = memories.filter(m => m.kind === kind);
+    if (memories.length === 0) {
+      return { success: true, message: 'Nothing remembered matching that.' };
+    }
+    return { success: true, memories: memories.map(m => ({ id: m._id.toString(), kind: m.kind, content: m.content, updated: m.updatedAt?.toISOString().split('T')[0] })) };
+  }
+};
+
+const forgetFact = {
+  name: 'forget_fact',
+  description: 'Forget something remembered about the user, by memory ID (from recall_facts or the prompt)',
+  parameters: {
+    type: 'object',
+    properties: {
+      memoryId: { type: 'string', minLength: 1, description: 'ID of the memory to forget' }
+    },
+    required: ['memoryId']
+  },
+  readOnly: false,
+  requiresConfirmation: true, // Deletes user data
+  handler: async ({ memoryId }, { userId }) => {
+    if (!mongoose.Types.ObjectId.isValid(memoryId)) {
+      return { success: false, error: `"${memoryId}" is not a valid memory ID.` };
+    }
+    const deleted = await Memory.findOneAndDelete({ _id: memoryId, user: userId });
+    if (!deleted) {
+      return { success: false, error: `Memory ${memoryId} not found.` };
+    }
+    return { success: true, message: `Forgot: "${deleted.content}"` };
+  }
+};
+
+module.exports = [rememberFactTool, recallFacts, forgetFact];
@@ -0,0 +1,65 @@
+// Mood tools
+const MoodLog = require('../models/MoodLog');
+const { getMoodStats } = require('../services/moodStats');
+const { MOOD_STATS_MAX_DAYS } = require('../config/constants');
+
+const logMood = {
+  name: 'log_mood',
+  description: 'Log a mood entry for the current user',
+  parameters: {
+    type: 'object',
+    properties: {
+      mood: { type: 'integer', minimum: 1, maximum: 10, description: 'Mood value from 1 (very negative) to 10 (very positive)' },
+      note: { type: 'string', description: 'Optional short note about the mood or context' }
+    },
+    required: ['mood']
+  },
+  readOnly: false,
+  handler: async ({ mood, note }, { userId }) => {
+    const moodDoc = new MoodLog({ user: userId, mood, note });
+    await moodDoc.save();
+    return { success: true, message: `Mood (${mood}) logged successfully.` };
+  }
+};
+
+// The stats as the model sees them: patterns, without the per-day rows
+function describeStats(stats) {
+  const { daily, trend, weekly, ...summary } = stats;
+  return {
+    ...summary,
+    trend: { direction: trend.direction, changePerWeek: trend.changePerWeek, window: trend.window },
+    weekly: weekly.slice(-8)
+  };
+}
+
+const getMoodHistory = {
+  name: 'get_mood_history',
+  description: 'Get the recent mood log history for the current user, or (summary: true) statistics about it: average, trend, volatility, logging streaks, best and worst weekdays, and how mood relates to planner tasks completed or overdue. Use the summary to talk about patterns.',
+  parameters: {
+    type: 'object',
+    properties: {
+      days: { type: 'integer', minimum: 1, maximum: MOOD_STATS_MAX_DAYS, description: 'Optional number of past days to retrieve history for (default: 30)' },
+      summary: { type: 'boolean', description: 'Optional: return statistics and patterns instead of the individual logs' }
+    },
+    required: []
+  },
+  readOnly: true,
+  handler: async ({ days = 30, summary = false }, { userId }) => {
+    if (summary) {
+      const stats = await getMoodStats(userId, { days });
+      if (stats.count === 0) {
+        return { success: true, message: `No mood logs found in the last ${days} days.` };
+      }
+      return { success: true, summary: describeStats(stats) };
+    }
+    const sinceDate = new Date();
+    sinceDate.setDate(sinceDate.getDate() - days);
+    const moods = await MoodLog.find({ user: userId, createdAt: { $gte: sinceDate } }).select('mood note createdAt').sort({ createdAt: -1 }).limit(50);
+    if (moods.length === 0) {
+      return { success: true, message: `No mood logs found in the last ${days} days.` };
+    }
+    return { success: true, moods: moods.map(m => ({ mood: m.mood, note: m.note || 'N/A', date: m.createdAt.toISOString().split('T')[0] })) };
+  }
+};
+
+module.exports = [logMood, getMoodHistory];
@@ -0,0 +1,98 @@
+// AI tool registry: tools are declared with a JSON schema, a handler and metadata,
+// then exposed to the model (OpenAI `tools` format) and executed by name.
+const validateArgs = require('./validateArgs');
+
+const ROLES = ['user', 'admin']; // Ordered from least to most privileged
+
+function hasRole(userRole, requiredRole) {
+  return ROLES.indexOf(userRole || 'user') >= ROLES.indexOf(requiredRole || 'user');
+}
+
+/**
+ * Create an empty tool registry.
+ *
+ * A tool definition looks like:
+ *   {
+ *     name: 'log_mood',
+ *     description: 'Log a mood entry for the current user',
+ *     parameters: { type: 'object', properties: { ... }, required: [...] }, // JSON schema
+ *     readOnly: false,        // true if the tool never changes user data
+ *     requiredRole: 'user',   // minimum role allowed to use it ('user' or 'admin')
+ *     requiresConfirmation: false, // true if the user must approve the call before it runs
+ *     handler: async (args, ctx) => ({ success: true, ... })
+ *   }
+ *
+ * Handlers receive validated arguments and a context of { userId, userRole, chat, turn, sessionId, requestId },
+ * where `turn` holds the current turn's messages that aren't saved yet.
+ * A context may also carry `allowedTools` (names) to restrict which tools can run, e.g. per persona.
+ */
+function createRegistry() {
+  const tools = new Map();
+
+  function register(tool) {
+    if (!tool || !tool.name || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs at least a name and a handler');
+    }
+    if (tools.has(tool.name)) throw new Error(`Tool '${tool.name}' is already registered`);
+    tools.set(tool.name, {
+      readOnly: false,
+      requiredRole: 'user',
+      requiresConfirmation: false,
+      parameters: { type: 'object', properties: {}, required: [] },
+      ...tool
+    });
+    return registry;
+  }
+
+  function get(name) {
+    return tools.get(name);
+  }
+
+  // Tools available to a role, optionally restricted to a list of names
+  function list({ role, names } = {}) {
+    return [...tools.values()].filter(t => hasRole(role, t.requiredRole) && (!names || names.includes(t.name)));
+  }
+
+  // Tool declarations in the OpenAI `tools` request format
+  function toOpenAITools(options) {
+    return list(options).map(t => ({
+      type: 'function',
+      function: { name: t.name, description: t.description, parameters: t.parameters }
+    }));
+  }
+
+  /**
+   * Check that a tool exists, is allowed for the caller and that its arguments match the schema.
+   * Returns { tool, args } with the coerced arguments, or { error } with a `{ success: false }` result.
+   */
+  function validate(name, args, ctx = {}) {
+    const tool = tools.get(name);
+    if (!tool) return { error: { success: false, error: `Tool '${name}' is not implemented or recognized.` } };
+    if (!hasRole(ctx.userRole, tool.requiredRole)) {
+      return { error: { success: false, error: `Tool '${name}' is not available for your account.` } };
+    }
+    if (ctx.allowedTools && !ctx.allowedTools.includes(name)) {
+      return { error: { success: false, error: `Tool '${name}' is not available in this conversation.` } };
+    }
+    const { value, errors } = validateArgs(tool.parameters, args);
+    if (errors.length > 0) {
+      return { error: { success: false, error: `Invalid arguments for '${name}': ${errors.join('; ')}.` } };
+    }
+    return { tool, args: value };
+  }
+
+  /**
+   * Validate arguments and run a tool. Unknown tools, role violations and invalid arguments
+   * return a `{ success: false, error }` result; errors thrown by the handler propagate.
+   */
+  async function execute(name, args, ctx = {}) {
+    const checked = validate(name, args, ctx);
+    if (checked.error) return checked.error;
+    return checked.tool.handler(checked.args, ctx);
+  }
+
+  const registry = { register, get, list, toOpenAITools, validate, execute };
+  return registry;
+}
+
+module.exports = { createRegistry, hasRole };
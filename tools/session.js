@@ -0,0 +1,65 @@
+// Chat session and feedback tools (operate on the current chat session)
+const Message = require('../models/Message');
+
+const getSessionSummary = {
+  name: 'get_session_summary',
+  description: 'Get a summary of the current chat session based on its ID',
+  parameters: {
+    type: 'object',
+    properties: {
+      sessionId: { type: 'string', description: 'The ID of the current chat session (usually available implicitly)' }
+    },
+    required: ['sessionId'] // Require sessionId to be sure
+  },
+  readOnly: true,
+  handler: async (args, { chat, turn = [] }) => {
+    // Always summarize the current session, whatever ID the model passed
+    const createdAt = chat.createdAt || new Date(); // Not set yet on a session created this turn
+    const firstUserMessage = await Message.findOne({ chat: chat._id, sender: 'user' }).sort({ seq: 1 }).select('message').lean()
+      || turn.find(m => m.sender === 'user');
+    const summary = {
+      sessionId: chat.sessionId,
+      title: chat.title || `Chat started on ${createdAt.toLocaleDateString()}`,
+      createdAt: createdAt.toISOString(),
+      lastActivity: chat.lastActivity.toISOString(),
+      messageCount: chat.messageCount + turn.length,
+      firstUserMessage: firstUserMessage?.message?.substring(0, 100) || null
+    };
+    return { success: true, summary: summary };
+  }
+};
+
+const giveFeedback = {
+  name: 'give_feedback',
+  description: 'Submit feedback (rating 1-5) for a specific AI message in the current chat session',
+  parameters: {
+    type: 'object',
+    properties: {
+      messageIndex: { type: 'integer', minimum: 0, description: 'The 0-based index of the AI message (from the recent history) to rate' },
+      rating: { type: 'integer', minimum: 1, maximum: 5, description: 'Feedback rating (1-5, where 5 is best)' }
+    },
+    required: ['messageIndex', 'rating']
+  },
+  readOnly: false,
+  handler: async ({ messageIndex, rating }, { chat, turn = [] }) => {
+    const total = chat.messageCount + turn.length;
+    if (messageIndex >= total) {
+      throw new Error(`Invalid message index ${messageIndex}. Session has ${total} messages.`);
+    }
+    // Saved messages are addressed by seq; the rest belong to the current, unsaved turn
+    const targetMessage = messageIndex < chat.messageCount
+      ? await Message.findOne({ chat: chat._id, seq: messageIndex })
+      : turn[messageIndex - chat.messageCount];
+    if (!targetMessage || targetMessage.sender !== 'ai') {
+      throw new Error("Feedback can only be given for AI messages at the specified index.");
+    }
+    if (messageIndex < chat.messageCount) {
+      await Message.updateOne({ _id: targetMessage._id }, { $set: { feedback: rating } });
+    } else {
+      targetMessage.feedback = rating;
+    }
+    return { success: true, message: `Feedback (${rating}) recorded for message at index ${messageIndex}.` };
+  }
+};
+
+module.exports = [getSessionSummary, giveFeedback];
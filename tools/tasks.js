@@ -0,0 +1,200 @@
+// Planner task tools (the task logic itself lives in services/taskService.js, shared with routes/planner.js)
+const logger = require('../logger');
+const taskService = require('../services/taskService');
+const { FREQS, WEEKDAYS, describeRule } = require('../utils/recurrence');
+
+// Structured repeat rule, so the model turns "every Monday and Thursday" into { freq: 'weekly', weekdays: ['MO', 'TH'] }
+const repeatParameter = {
+  type: 'object',
+  description: 'Optional: make the task repeat, e.g. "every day" -> {freq: "daily"}, "every Monday and Thursday" -> {freq: "weekly", weekdays: ["MO", "TH"]}, "every other week" -> {freq: "weekly", interval: 2}, "monthly until June" -> {freq: "monthly", until: "YYYY-06-30"}, "for 10 sessions" -> {count: 10}. Needs a due date for the first occurrence.',
+  properties: {
+    freq: { type: 'string', enum: FREQS, description: 'How often the task repeats' },
+    interval: { type: 'integer', minimum: 1, description: 'Optional: repeat every N days/weeks/months (default 1)' },
+    weekdays: { type: 'array', items: { type: 'string', enum: WEEKDAYS }, description: 'Optional (weekly): days to repeat on' },
+    until: { type: 'string', description: 'Optional: last possible due date (YYYY-MM-DD)' },
+    count: { type: 'integer', minimum: 1, description: 'Optional: total number of occurrences (use either until or count)' }
+  },
+  required: ['freq'],
+  additionalProperties: false
+};
+
+const subtaskParameter = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, description: 'What the step is' },
+    estimatedMinutes: { type: 'integer', minimum: 0, description: 'Optional estimated minutes for this step' },
+    priority: { type: 'string', enum: taskService.PRIORITIES, description: 'Optional priority of this step' }
+  },
+  required: ['title'],
+  additionalProperties: false
+};
+
+// How get_tasks shows a task to the model
+function describeTask(t) {
+  const task = {
+    id: t._id.toString(),
+    title: t.title,
+    description: t.description || 'N/A',
+    dueDate: t.dueDate?.toISOString().split('T')[0] || 'N/A',
+    completed: t.completed
+  };
+  if (t.priority) task.priority = t.priority;
+  if (t.tags?.length) task.tags = t.tags;
+  if (t.estimatedMinutes !== undefined) task.estimatedMinutes = t.estimatedMinutes;
+  if (t.actualMinutes !== undefined) task.actualMinutes = t.actualMinutes;
+  if (t.progress?.total) {
+    task.steps = t.subtasks.map(step => ({ title: step.title, completed: step.completed }));
+    task.progress = `${t.progress.completed}/${t.progress.total} steps done (${t.progress.percent}%)`;
+  }
+  if (t.recurrence) task.repeats = describeRule(t.recurrence);
+  return task;
+}
+
+// The next occurrence created when a repeating task is completed, for the tool's reply
+function nextOccurrenceNote(task) {
+  const next = task.$locals.nextOccurrence;
+  if (next === undefined) return '';
+  return next ? ` Next occurrence due ${next.dueDate.toISOString()}.` : ' That was the last occurrence of the series.';
+}
+
+const createTask = {
+  name: 'create_task',
+  description: 'Create a planner task for the current user',
+  parameters: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1, description: 'Required title of the task' },
+      description: { type: 'string', description: 'Optional detailed description of the task' },
+      dueDate: { type: 'string', description: 'Optional due date (accepts YYYY-MM-DD or natural language like "tomorrow evening"); for a repeating task, the first occurrence' },
+      repeat: repeatParameter,
+      priority: { type: 'string', enum: taskService.PRIORITIES, description: 'Optional priority ("urgent" for things due very soon or blocking others)' },
+      tags: { type: 'array', items: { type: 'string' }, description: 'Optional free-form tags such as the subject ("chemistry", "exam")' },
+      estimatedMinutes: { type: 'integer', minimum: 0, description: 'Optional estimate of the time the task takes, in minutes' },
+      subtasks: { type: 'array', items: subtaskParameter, description: 'Optional steps the task breaks into, in order' }
+    },
+    required: ['title']
+  },
+  readOnly: false,
+  handler: async ({ title, description, dueDate, repeat, priority, tags, estimatedMinutes, subtasks }, { userId, requestId, sessionId }) => {
+    let parsedDueDate;
+    if (dueDate) {
+      // Basic date parsing, consider library for robust parsing
+      if (!/^\d{4}-\d{2}-\d{2}/.test(dueDate)) {
+        logger.warn(`[${requestId}] [Chat ${sessionId}] Potentially non-ISO date for create_task: "${dueDate}". Attempting generic parse.`);
+      }
+      parsedDueDate = new Date(dueDate);
+      if (isNaN(parsedDueDate.getTime())) {
+        logger.warn(`[${requestId}] [Chat ${sessionId}] Error parsing date for create_task: "${dueDate}". Task created without due date.`);
+        parsedDueDate = undefined; // Fallback: create task without date
+      }
+    }
+    if (repeat && !parsedDueDate) {
+      return { success: false, error: 'A repeating task needs the due date (and time) of its first occurrence.' };
+    }
+    let taskDoc;
+    try {
+      taskDoc = await taskService.createTask(userId, { title, description, dueDate: parsedDueDate, recurrence: repeat, priority, tags, estimatedMinutes, subtasks });
+    } catch (err) {
+      if (err.name === 'ValidationError') return { success: false, error: err.message };
+      throw err;
+    }
+    let taskMessage = `Task "${title}" created successfully.`;
+    if (parsedDueDate) taskMessage += ` Due: ${parsedDueDate.toLocaleDateString()}`;
+    if (taskDoc.recurrence) taskMessage += ` Repeats ${describeRule(taskDoc.recurrence)}.`;
+    if (taskDoc.subtasks.length) taskMessage += ` ${taskDoc.subtasks.length} steps.`;
+    return { success: true, message: taskMessage, taskId: taskDoc._id.toString() };
+  }
+};
+
+const getTasks = {
+  name: 'get_tasks',
+  description: 'Get a list of planner tasks for the current user',
+  parameters: {
+    type: 'object',
+    properties: {
+      completed: { type: 'boolean', description: 'Optional filter: true to get completed tasks, false for incomplete (default: lists all)' },
+      overdue: { type: 'boolean', description: 'Optional filter: true to get only incomplete tasks past their due date' },
+      search: { type: 'string', description: 'Optional words to look for in task titles and descriptions' },
+      priority: { type: 'array', items: { type: 'string', enum: taskService.PRIORITIES }, description: 'Optional filter: only tasks with one of these priorities' },
+      tags: { type: 'array', items: { type: 'string' }, description: 'Optional filter: only tasks with all of these tags' },
+      maxEstimatedMinutes: { type: 'integer', minimum: 0, description: 'Optional filter: only tasks estimated to take at most this many minutes (e.g. "something quick")' },
+      sortBy: { type: 'string', enum: ['dueDate', 'priority'], description: 'Optional: "priority" lists the most urgent first (default: by due date)' }
+    },
+    required: []
+  },
+  readOnly: true,
+  handler: async ({ completed, overdue, search, priority, tags, maxEstimatedMinutes, sortBy }, { userId }) => {
+    const { tasks } = await taskService.listTasks(userId, {
+      completed, overdue, q: search, priority, tags, maxEstimate: maxEstimatedMinutes, limit: 25,
+      ...(sortBy === 'priority' && { sort: 'priority', order: 'desc' })
+    });
+    if (tasks.length === 0) {
+      return { success: true, message: "No tasks found matching the criteria." };
+    }
+    return { success: true, tasks: tasks.map(describeTask) };
+  }
+};
+
+const updateTask = {
+  name: 'update_task',
+  description: 'Update an existing planner task for the current user by its title or ID',
+  parameters: {
+    type: 'object',
+    properties: {
+      identifier: { type: 'string', minLength: 1, description: 'The title or MongoDB ID of the task to update' },
+      newTitle: { type: 'string', description: 'Optional new title for the task' },
+      newDescription: { type: 'string', description: 'Optional new description' },
+      newDueDate: { type: 'string', description: 'Optional new due date (YYYY-MM-DD or natural language)' },
+      markCompleted: { type: 'boolean', description: 'Optional: set to true to mark the task as completed, false to mark as incomplete' },
+      applyToFuture: { type: 'boolean', description: 'Optional, for repeating tasks: true to also change the title/description of future occurrences ("edit all future")' }
+    },
+    required: ['identifier'] // Need at least one field to update, but identifier is key
+  },
+  readOnly: false,
+  requiresConfirmation: true, // Matching is by title, so let the user double-check
+  handler: async ({ identifier, newTitle, newDescription, newDueDate, markCompleted, applyToFuture }, { userId, requestId, sessionId }) => {
+    const changes = {};
+    if (newTitle) changes.title = newTitle;
+    if (newDescription !== undefined) changes.description = newDescription;
+    if (markCompleted !== undefined) changes.completed = markCompleted;
+    if (newDueDate) {
+      const parsedDate = new Date(newDueDate);
+      if (isNaN(parsedDate.getTime())) {
+        logger.warn(`[${requestId}] [Chat ${sessionId}] Invalid date for update_task: "${newDueDate}". Date not updated.`);
+      } else {
+        changes.dueDate = parsedDate;
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      return { success: false, message: "No changes provided for the task update." };
+    }
+    const updatedTask = await taskService.updateTask(userId, identifier, changes, { scope: applyToFuture ? 'future' : 'occurrence' });
+    if (!updatedTask) {
+      return { success: false, error: `Task with identifier "${identifier}" not found or access denied.` };
+    }
+    return { success: true, message: `Task "${updatedTask.title}" updated successfully.${nextOccurrenceNote(updatedTask)}` };
+  }
+};
+
+const deleteTask = {
+  name: 'delete_task',
+  description: 'Delete a planner task for the current user by its title or ID',
+  parameters: {
+    type: 'object',
+    properties: {
+      identifier: { type: 'string', minLength: 1, description: 'The title or MongoDB ID of the task to delete' }
+    },
+    required: ['identifier']
+  },
+  readOnly: false,
+  requiresConfirmation: true, // Matching is by title, so let the user double-check
+  handler: async ({ identifier }, { userId }) => {
+    const deletedTask = await taskService.deleteTask(userId, identifier);
+    if (!deletedTask) {
+      return { success: false, error: `Task with identifier "${identifier}" not found or access denied.` };
+    }
+    return { success: true, message: `Task "${deletedTask.title}" deleted successfully.` };
+  }
+};
+
+module.exports = [createTask, getTasks, updateTask, deleteTask];
@@ -0,0 +1,79 @@
+// Minimal JSON Schema validator for AI tool arguments.
+// Supports the subset used in tool declarations: type, properties, required, enum,
+// minimum/maximum, minLength/maxLength, items and additionalProperties: false.
+// Numeric and boolean strings are coerced ("7" -> 7, "true" -> true) because models often quote them.
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function coerce(value, type) {
+  if (typeof value !== 'string') return value;
+  if ((type === 'integer' || type === 'number') && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function validateValue(schema, value, path, errors) {
+  if (schema.type) value = coerce(value, schema.type);
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be of type ${schema.type}`);
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value = value.map((item, i) => validateValue(schema.items, item, `${path}[${i}]`, errors));
+  }
+  if (schema.type === 'object' && value && typeof value === 'object') {
+    const properties = schema.properties || {};
+    const result = {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) errors.push(`${path === '' ? '' : path + '.'}${key} is required`);
+    }
+    for (const [key, propValue] of Object.entries(value)) {
+      const propPath = path === '' ? key : `${path}.${key}`;
+      if (properties[key]) {
+        // Models sometimes send null for omitted optional fields; treat it as absent
+        if (propValue === null && !(schema.required || []).includes(key)) continue;
+        result[key] = validateValue(properties[key], propValue, propPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${propPath} is not allowed`);
+      } else {
+        result[key] = propValue;
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Validate (and lightly coerce) tool arguments against a JSON schema.
+ * @returns {{ value: object, errors: string[] }}
+ */
+function validateArgs(schema, args) {
+  const errors = [];
+  const value = validateValue(schema, args === undefined ? {} : args, '', errors);
+  return { value, errors };
+}
+
+module.exports = validateArgs;
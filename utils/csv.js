@@ -0,0 +1,24 @@
+// CSV output (RFC 4180) for data exports
+
+// Quote a value if needed. Text starting with = + - @ is prefixed with ' so spreadsheet apps don't run it as a formula.
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join('; ') : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<object>} rows
+ * @param {Array<string>} columns - Field names, in order (also the header row)
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvValue(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,148 @@
+// Minimal iCalendar (RFC 5545) reading and writing: enough for the planner's task feed and for
+// importing events exported by Google Calendar, Apple Calendar or Outlook.
+const { fromWallTime } = require('./recurrence');
+const { isValidTimezone } = require('./timezone');
+
+const MAX_LINE_OCTETS = 75;
+
+// TEXT values: backslash, semicolon, comma and newlines are escaped
+function escapeText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Lines longer than 75 octets continue on the next line after a space (without splitting a UTF-8 character)
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Serialize lines such as 'SUMMARY:Revise' into iCalendar text (folded, CRLF line endings).
+ * @param {Array<string>} lines
+ * @returns {string}
+ */
+function formatLines(lines) {
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// 2025-05-01T09:30:00.000Z -> 20250501T093000Z
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Wall-clock fields of a Date from toWallTime (see utils/recurrence.js) -> 20250501T093000, for use with TZID
+function formatWallTime(wall) {
+  return formatDateTime(wall).slice(0, -1);
+}
+
+// 'DTSTART;TZID=Europe/Berlin:20250501T093000' -> { name: 'DTSTART', params: { TZID: 'Europe/Berlin' }, value: '20250501T093000' }
+function parseProperty(line) {
+  let i = 0;
+  let inQuotes = false;
+  while (i < line.length && (inQuotes || line[i] !== ':')) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    i++;
+  }
+  const [name, ...rawParams] = line.slice(0, i).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq > 0) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+/**
+ * Parse iCalendar text into its components.
+ * @param {string} text
+ * @returns {Array<{name: string, properties: Array<object>, components: Array<object>}>} Top-level components (usually one VCALENDAR)
+ * @throws {Error} ValidationError if BEGIN/END lines don't match up
+ */
+function parseCalendar(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim());
+  const root = { components: [] };
+  const stack = [root];
+  for (const line of lines) {
+    const property = parseProperty(line);
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length === 1 || current.name !== property.value.toUpperCase()) throw invalidCalendar(`Unexpected END:${property.value}`);
+      stack.pop();
+    } else if (stack.length > 1) {
+      current.properties.push(property);
+    }
+  }
+  if (stack.length > 1) throw invalidCalendar(`Missing END:${stack[stack.length - 1].name}`);
+  if (root.components.length === 0) throw invalidCalendar('No calendar data found');
+  return root.components;
+}
+
+function invalidCalendar(message) {
+  const err = new Error(`Invalid iCalendar file: ${message}`);
+  err.name = 'ValidationError';
+  return err;
+}
+
+// First property with this name, or undefined
+function getProperty(component, name) {
+  return component.properties.find(property => property.name === name);
+}
+
+/**
+ * Read a DATE or DATE-TIME property.
+ * @param {object} property - From parseCalendar
+ * @param {string} timeZone - Used for floating times and unknown TZIDs
+ * @returns {{date: Date, allDay: boolean}|null} All-day values are the start of that day in `timeZone`
+ */
+function parseDateTime(property, timeZone) {
+  const match = property && /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const wall = new Date(Date.UTC(+year, +month - 1, +day, +(hours || 0), +(minutes || 0), +(seconds || 0)));
+  if (isNaN(wall.getTime())) return null;
+  if (utc) return { date: wall, allDay: false };
+  const zone = property.params.TZID && isValidTimezone(property.params.TZID) ? property.params.TZID : timeZone;
+  return { date: fromWallTime(wall, zone), allDay: !hours };
+}
+
+// 'PT1H30M' -> 90, 'P1D' -> 1440; null if it can't be read
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((value || '').trim());
+  if (!match || match[1] === '-') return null;
+  const [, , weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return ((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes + Math.round(+seconds / 60);
+}
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  formatLines,
+  formatDateTime,
+  formatWallTime,
+  parseCalendar,
+  getProperty,
+  parseDateTime,
+  parseDuration
+};
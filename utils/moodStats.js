@@ -0,0 +1,215 @@
+// Mood analytics: averages, trend, volatility, logging streaks, weekday patterns and how mood lines up
+// with planner activity, per day in the user's timezone. Pure functions, no database access; the
+// data is loaded by services/moodStats.js.
+const { WEEKDAYS, toWallTime, fromWallTime } = require('./recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FLAT_TREND_PER_WEEK = 0.25; // Smaller changes of the daily average per week count as 'flat'
+const MIN_CORRELATION_DAYS = 3;
+const WEEK_ORDER = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+function round(value, digits = 2) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// 'YYYY-MM-DD' of `date` in `timeZone`
+function dayKey(date, timeZone) {
+  return toWallTime(new Date(date), timeZone).toISOString().slice(0, 10);
+}
+
+// 'YYYY-MM-DD' -> that day's start in `timeZone`
+function startOfDay(key, timeZone) {
+  return fromWallTime(new Date(`${key}T00:00:00Z`), timeZone);
+}
+
+function addDays(key, days) {
+  return new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Days from `from` to `to`, both 'YYYY-MM-DD' and included
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+}
+
+// Pearson correlation coefficient, or null when it says nothing (too few days, or one side never changes)
+function correlation(xs, ys) {
+  if (xs.length < MIN_CORRELATION_DAYS) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  });
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// Least-squares slope of the daily averages, per day
+function slope(points) {
+  if (points.length < 2) return null;
+  const mx = mean(points.map(point => point.x));
+  const my = mean(points.map(point => point.y));
+  const sxx = points.reduce((sum, point) => sum + (point.x - mx) ** 2, 0);
+  return points.reduce((sum, point) => sum + (point.x - mx) * (point.y - my), 0) / sxx;
+}
+
+// When a task stopped being open: completedAt, or updatedAt for tasks closed before completedAt was recorded
+function closedAt(task) {
+  if (!task.completed) return null;
+  return new Date(task.completedAt || task.updatedAt);
+}
+
+// Longest run of consecutive days with a log, and the run that ends on the last day (or the day before
+// it, when nothing has been logged on the last day yet)
+function streaks(days) {
+  let longest = { days: 0, from: null, to: null };
+  let run = 0;
+  days.forEach((day, i) => {
+    run = day.count > 0 ? run + 1 : 0;
+    if (run > longest.days) longest = { days: run, from: days[i - run + 1].date, to: day.date };
+  });
+  let current = 0;
+  let i = days.length - 1;
+  if (i >= 0 && days[i].count === 0) i--;
+  for (; i >= 0 && days[i].count > 0; i--) current++;
+  return { current, longest: longest.days, longestFrom: longest.from, longestTo: longest.to };
+}
+
+/**
+ * Mood statistics for the days `from` to `to` (included) in `timeZone`.
+ * @param {object} input
+ * @param {Array<object>} input.logs - Mood logs in the range: { mood, createdAt }
+ * @param {Array<object>} [input.tasks] - Tasks that were completed in the range or could have been
+ *   overdue in it: { dueDate, completed, completedAt, skipped, updatedAt }
+ * @param {string} input.from - 'YYYY-MM-DD'
+ * @param {string} input.to - 'YYYY-MM-DD'
+ * @param {string} [input.timeZone]
+ * @param {number} [input.trendWindow] - Days in the moving average
+ * @returns {object} { range, count, average, min, max, daily, weekly, trend, volatility, streaks, weekdays,
+ *   bestWeekday, worstWeekday, planner }
+ */
+function summarizeMood({ logs, tasks = [], from, to, timeZone = 'UTC', trendWindow = 7 }) {
+  const days = [];
+  for (let key = from; key <= to; key = addDays(key, 1)) {
+    days.push({ date: key, sum: 0, count: 0, tasksCompleted: 0, tasksOverdue: 0 });
+  }
+  const index = new Map(days.map((day, i) => [day.date, i]));
+  for (const log of logs) {
+    const day = days[index.get(dayKey(log.createdAt, timeZone))];
+    if (!day) continue;
+    day.sum += log.mood;
+    day.count++;
+  }
+
+  // A task counts as overdue on every day that ends after its due date while it is still open
+  const ends = days.map(day => startOfDay(addDays(day.date, 1), timeZone));
+  const overdueChanges = new Array(days.length + 1).fill(0);
+  for (const task of tasks) {
+    const closed = closedAt(task);
+    if (closed && !task.skipped) {
+      const day = days[index.get(dayKey(closed, timeZone))];
+      if (day) day.tasksCompleted++;
+    }
+    if (!task.dueDate) continue;
+    const first = ends.findIndex(end => end > new Date(task.dueDate));
+    if (first === -1) continue;
+    const last = closed ? ends.findIndex(end => end >= closed) : days.length; // First day it is no longer open at the end of
+    if (last === -1) {
+      overdueChanges[first]++;
+    } else if (last > first) {
+      overdueChanges[first]++;
+      overdueChanges[last]--;
+    }
+  }
+  let overdue = 0;
+  days.forEach((day, i) => {
+    overdue += overdueChanges[i];
+    day.tasksOverdue = overdue;
+    day.average = day.count ? day.sum / day.count : null;
+  });
+
+  const logged = days.filter(day => day.count > 0);
+  const averages = logged.map(day => day.average);
+  const moods = logs.map(log => log.mood);
+
+  // Weeks start on Monday
+  const weeks = new Map();
+  for (const day of days) {
+    const weekday = new Date(`${day.date}T00:00:00Z`).getUTCDay();
+    const weekStart = addDays(day.date, -((weekday + 6) % 7));
+    const week = weeks.get(weekStart) || { weekStart, sum: 0, count: 0 };
+    week.sum += day.sum;
+    week.count += day.count;
+    weeks.set(weekStart, week);
+  }
+
+  // Moving average over the last `trendWindow` days (days without logs are left out)
+  const movingAverage = [];
+  days.forEach((day, i) => {
+    if (!day.count) return;
+    const window = days.slice(Math.max(0, i - trendWindow + 1), i + 1).filter(other => other.count);
+    movingAverage.push({ date: day.date, value: round(mean(window.map(other => other.average))) });
+  });
+  const perDay = slope(logged.map(day => ({ x: index.get(day.date), y: day.average })));
+  const perWeek = perDay === null ? null : perDay * 7;
+  let direction = null;
+  if (perWeek !== null) direction = Math.abs(perWeek) < FLAT_TREND_PER_WEEK ? 'flat' : perWeek > 0 ? 'up' : 'down';
+
+  const changes = logged.slice(1).map((day, i) => Math.abs(day.average - logged[i].average));
+  const averageMood = mean(averages);
+  const volatility = averages.length < 2 ? null : {
+    stdDev: round(Math.sqrt(mean(averages.map(value => (value - averageMood) ** 2)))),
+    averageDailyChange: round(mean(changes)) // Between consecutive days with logs
+  };
+
+  // Each day counts once per weekday, however many logs it has
+  const weekdays = WEEK_ORDER.map(weekday => {
+    const matching = logged.filter(day => WEEKDAYS[new Date(`${day.date}T00:00:00Z`).getUTCDay()] === weekday);
+    return { weekday, average: round(mean(matching.map(day => day.average))), days: matching.length };
+  });
+  const ranked = weekdays.filter(day => day.days > 0).sort((a, b) => b.average - a.average);
+
+  // Mood against planner activity, over the days with logs
+  const activity = field => {
+    const withActivity = logged.filter(day => day[field] > 0).map(day => day.average);
+    const without = logged.filter(day => day[field] === 0).map(day => day.average);
+    return {
+      correlation: round(correlation(logged.map(day => day[field]), averages)),
+      averageWith: round(mean(withActivity)),
+      averageWithout: round(mean(without)),
+      daysWith: withActivity.length
+    };
+  };
+
+  return {
+    range: { from, to, timeZone, days: days.length },
+    count: logs.length,
+    average: round(mean(moods)),
+    min: moods.length ? Math.min(...moods) : null,
+    max: moods.length ? Math.max(...moods) : null,
+    daily: days.map(day => ({
+      date: day.date,
+      average: round(day.average),
+      count: day.count,
+      tasksCompleted: day.tasksCompleted,
+      tasksOverdue: day.tasksOverdue
+    })),
+    weekly: [...weeks.values()].map(week => ({ weekStart: week.weekStart, average: week.count ? round(week.sum / week.count) : null, count: week.count })),
+    trend: { window: trendWindow, direction, changePerWeek: round(perWeek), movingAverage },
+    volatility,
+    streaks: streaks(days),
+    weekdays,
+    bestWeekday: ranked.length >= 2 ? ranked[0].weekday : null,
+    worstWeekday: ranked.length >= 2 ? ranked[ranked.length - 1].weekday : null,
+    planner: { tasksCompleted: activity('tasksCompleted'), tasksOverdue: activity('tasksOverdue') }
+  };
+}
+
+module.exports = { dayKey, startOfDay, addDays, daysBetween, summarizeMood };
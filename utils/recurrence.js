@@ -0,0 +1,167 @@
+// Recurrence rules for repeating tasks, modelled on iCalendar RRULE (RFC 5545) but limited to
+// daily, weekly (on given weekdays) and monthly repeats, ending at a date (`until`) or after `count` occurrences.
+// Dates are stepped in the rule's timezone, so "every Monday at 9:00" stays on Monday 9:00 local time across DST.
+
+const FREQS = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Date#getDay() order
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Wall-clock time in `timeZone`, as a Date whose UTC fields hold the local fields
+function toWallTime(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return new Date(Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second, date.getUTCMilliseconds()));
+}
+
+// Inverse of toWallTime (times skipped by a DST change move forward by the gap)
+function fromWallTime(wall, timeZone) {
+  const offsetAt = ms => toWallTime(new Date(ms), timeZone).getTime() - ms;
+  let utc = wall.getTime() - offsetAt(wall.getTime());
+  const offset = offsetAt(utc);
+  if (wall.getTime() - offset !== utc) utc = wall.getTime() - offset;
+  return new Date(utc);
+}
+
+function addDays(wall, days) {
+  const next = new Date(wall);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next;
+}
+
+// Whole weeks (Monday to Sunday) between the weeks containing a and b
+function weeksBetween(a, b) {
+  const weekStart = d => Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - ((d.getUTCDay() + 6) % 7) * DAY_MS;
+  return Math.round((weekStart(b) - weekStart(a)) / (7 * DAY_MS));
+}
+
+// `monthOffset` months after `start`'s month, on start's day (or the month's last day if shorter), at `time`'s time of day
+function monthlyDate(start, monthOffset, time) {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + monthOffset;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay),
+    time.getUTCHours(), time.getUTCMinutes(), time.getUTCSeconds(), time.getUTCMilliseconds()));
+}
+
+/**
+ * Due date of the occurrence after `previous`, or null when the series has ended.
+ * @param {object} rule - Normalized rule (see normalizeRule)
+ * @param {Date} previous - Due date of the current occurrence
+ * @param {number} occurrence - 1-based position of the current occurrence in the series
+ * @returns {Date|null}
+ */
+function nextOccurrence(rule, previous, occurrence) {
+  if (rule.count && occurrence >= rule.count) return null;
+  const timeZone = rule.timezone || 'UTC';
+  const interval = rule.interval || 1;
+  const start = toWallTime(rule.start || previous, timeZone);
+  const prev = toWallTime(previous, timeZone);
+  let next = null;
+
+  if (rule.freq === 'daily') {
+    next = addDays(prev, interval);
+  } else if (rule.freq === 'weekly') {
+    const days = (rule.weekdays?.length ? rule.weekdays : [WEEKDAYS[start.getUTCDay()]]).map(code => WEEKDAYS.indexOf(code));
+    for (let i = 1; i <= 7 * (interval + 1) && !next; i++) {
+      const candidate = addDays(prev, i);
+      if (days.includes(candidate.getUTCDay()) && weeksBetween(start, candidate) % interval === 0) next = candidate;
+    }
+  } else if (rule.freq === 'monthly') {
+    let months = (prev.getUTCFullYear() - start.getUTCFullYear()) * 12 + prev.getUTCMonth() - start.getUTCMonth();
+    do {
+      months += interval;
+      next = monthlyDate(start, months, prev);
+    } while (next <= prev);
+  }
+  if (!next) return null;
+
+  const dueDate = fromWallTime(next, timeZone);
+  if (rule.until && dueDate > new Date(rule.until)) return null;
+  return dueDate;
+}
+
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10" (optionally prefixed with "RRULE:") -> rule fields
+function parseRRule(text) {
+  const fields = {};
+  for (const pair of text.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value = ''] = pair.split('=');
+    fields[key.trim().toUpperCase()] = value.trim();
+  }
+  const rule = {};
+  if (fields.FREQ) rule.freq = fields.FREQ.toLowerCase();
+  if (fields.INTERVAL) rule.interval = Number(fields.INTERVAL);
+  if (fields.BYDAY) rule.weekdays = fields.BYDAY.toUpperCase().split(',');
+  if (fields.COUNT) rule.count = Number(fields.COUNT);
+  if (fields.UNTIL) {
+    const m = fields.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    rule.until = m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 23), +(m[5] || 59), +(m[6] || 59))) : new Date(NaN);
+  }
+  const unsupported = Object.keys(fields).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL'].includes(key));
+  if (unsupported.length > 0) rule.unsupported = unsupported;
+  return rule;
+}
+
+// Rule -> RRULE text (without the "RRULE:" prefix)
+function toRRule(rule) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === 'weekly' && rule.weekdays?.length) parts.push(`BYDAY=${rule.weekdays.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+/**
+ * Check a rule given as an object or RRULE text and fill in its defaults.
+ * @param {object|string} input - { freq, interval, weekdays, until, count } or RRULE text
+ * @param {Date} start - Due date of the first occurrence
+ * @param {string} timeZone - IANA timezone the rule is evaluated in
+ * @returns {{rule: object}|{error: string}}
+ */
+function normalizeRule(input, start, timeZone) {
+  const raw = typeof input === 'string' ? parseRRule(input) : { ...input };
+  if (raw.unsupported) return { error: `Unsupported recurrence parts: ${raw.unsupported.join(', ')}` };
+  if (!FREQS.includes(raw.freq)) return { error: `Repeat frequency must be one of: ${FREQS.join(', ')}` };
+  if (!start || isNaN(new Date(start).getTime())) return { error: 'A repeating task needs a due date' };
+  const interval = raw.interval === undefined ? 1 : raw.interval;
+  if (!Number.isInteger(interval) || interval < 1) return { error: 'Repeat interval must be a positive whole number' };
+  if (raw.until && raw.count) return { error: 'Give either an end date or a number of occurrences, not both' };
+  if (typeof raw.until === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(raw.until)) {
+    // A plain date means the end of that day in the rule's timezone
+    raw.until = fromWallTime(new Date(`${raw.until}T23:59:59.999Z`), timeZone);
+  }
+  if (raw.count !== undefined && (!Number.isInteger(raw.count) || raw.count < 1)) return { error: 'Occurrence count must be a positive whole number' };
+  if (raw.until && (isNaN(new Date(raw.until).getTime()) || new Date(raw.until) < new Date(start))) return { error: 'Repeat end date must be on or after the first due date' };
+
+  const rule = { freq: raw.freq, interval, start: new Date(start), timezone: timeZone };
+  if (raw.freq === 'weekly') {
+    const weekdays = (raw.weekdays || []).map(day => String(day).toUpperCase().slice(0, 2));
+    if (weekdays.some(day => !WEEKDAYS.includes(day))) return { error: `Weekdays must be among: ${WEEKDAYS.join(', ')}` };
+    // Default: the weekday of the first due date
+    rule.weekdays = weekdays.length ? [...new Set(weekdays)] : [WEEKDAYS[toWallTime(new Date(start), timeZone).getUTCDay()]];
+    rule.weekdays.sort((a, b) => (WEEKDAYS.indexOf(a) + 6) % 7 - (WEEKDAYS.indexOf(b) + 6) % 7); // Monday first
+  }
+  if (raw.until) rule.until = new Date(raw.until);
+  if (raw.count) rule.count = raw.count;
+  return { rule };
+}
+
+function joinWords(words) {
+  return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words[0];
+}
+
+// Human-readable rule, e.g. "every 2 weeks on Monday and Thursday, 10 times"
+function describeRule(rule) {
+  const interval = rule.interval || 1;
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[rule.freq];
+  let text = interval > 1 ? `every ${interval} ${unit}s` : `every ${unit}`;
+  if (rule.freq === 'weekly' && rule.weekdays?.length) text += ` on ${joinWords(rule.weekdays.map(day => WEEKDAY_NAMES[WEEKDAYS.indexOf(day)]))}`;
+  if (rule.freq === 'monthly' && rule.start) text += ` on day ${toWallTime(new Date(rule.start), rule.timezone || 'UTC').getUTCDate()}`;
+  if (rule.until) text += ` until ${new Date(rule.until).toISOString().split('T')[0]}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  return text;
+}
+
+module.exports = { FREQS, WEEKDAYS, toWallTime, fromWallTime, nextOccurrence, normalizeRule, parseRRule, toRRule, describeRule };
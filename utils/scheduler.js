@@ -0,0 +1,210 @@
+// Deterministic scheduler for planner tasks: fits the time each open task still needs into the user's
+// availability windows (e.g. weekdays 18:00-21:00), before the task's due date. Pure functions, no
+// database or clock access: the same tasks, windows, blocks and `now` always give the same schedule.
+//
+// Re-running keeps existing blocks of tasks whose scheduling fields haven't changed (see taskFingerprint)
+// as long as they still fit, and only places the time that is missing, so a change to one task doesn't
+// shuffle the rest of the week.
+const { WEEKDAYS, toWallTime, fromWallTime } = require('./recurrence');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const SLOT_MINUTES = 5; // Blocks start and end on multiples of 5 minutes
+
+// "18:30" -> 1110
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Concrete free time from availability windows, in the windows' timezone, between `from` and `to`.
+ * @param {Array<object>} windows - { weekdays: ['MO', ...], start: 'HH:MM', end: 'HH:MM' }
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} timeZone
+ * @returns {Array<{start: Date, end: Date}>} Sorted, without overlaps
+ */
+function expandWindows(windows, from, to, timeZone) {
+  const intervals = [];
+  const firstDay = toWallTime(from, timeZone);
+  const day = new Date(Date.UTC(firstDay.getUTCFullYear(), firstDay.getUTCMonth(), firstDay.getUTCDate()));
+  for (; fromWallTime(day, timeZone) < to; day.setUTCDate(day.getUTCDate() + 1)) {
+    const weekday = WEEKDAYS[day.getUTCDay()];
+    for (const window of windows) {
+      if (!window.weekdays.includes(weekday)) continue;
+      const start = fromWallTime(new Date(day.getTime() + minutesOfDay(window.start) * MINUTE_MS), timeZone);
+      const end = fromWallTime(new Date(day.getTime() + minutesOfDay(window.end) * MINUTE_MS), timeZone);
+      const clipped = { start: new Date(Math.max(start, from)), end: new Date(Math.min(end, to)) };
+      if (clipped.end > clipped.start) intervals.push(clipped);
+    }
+  }
+  intervals.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) last.end = new Date(Math.max(last.end, interval.end));
+    else merged.push(interval);
+  }
+  return merged;
+}
+
+// `intervals` minus `busy` (both sorted by start)
+function subtract(intervals, busy) {
+  const free = [];
+  for (const interval of intervals) {
+    let start = interval.start;
+    for (const block of busy) {
+      if (block.end <= start || block.start >= interval.end) continue;
+      if (block.start > start) free.push({ start, end: new Date(block.start) });
+      start = new Date(Math.max(start, block.end));
+    }
+    if (start < interval.end) free.push({ start, end: interval.end });
+  }
+  return free;
+}
+
+// Minutes of work a task still needs: its estimate (or its steps' estimates) minus the time already logged
+function minutesNeeded(task, defaultMinutes) {
+  const estimate = task.estimatedMinutes ?? (task.progress?.estimatedMinutes || defaultMinutes);
+  const spent = task.actualMinutes ?? (task.progress?.actualMinutes || 0);
+  const needed = Math.max(estimate - spent, 0);
+  return Math.ceil(needed / SLOT_MINUTES) * SLOT_MINUTES;
+}
+
+/**
+ * The task fields the schedule depends on; a task's blocks are placed again when this changes.
+ * @param {object} task
+ * @returns {string}
+ */
+function taskFingerprint(task) {
+  return [
+    task.dueDate ? new Date(task.dueDate).toISOString() : '',
+    task.estimatedMinutes ?? task.progress?.estimatedMinutes ?? '',
+    task.actualMinutes ?? task.progress?.actualMinutes ?? '',
+    task.priority || ''
+  ].join('|');
+}
+
+// Placement order: by due day, then more urgent first, then by due time; tasks without a due date last.
+// Tasks that can't be done in time anyway are placed after all others, so they don't crowd them out.
+function compareTasks(timeZone) {
+  const dueDay = task => toWallTime(new Date(task.dueDate), timeZone).toISOString().slice(0, 10);
+  const rank = task => task.priorityRank ?? 1; // No priority counts as 'medium'
+  return (a, b) => {
+    if (!a.dueDate !== !b.dueDate) return a.dueDate ? -1 : 1;
+    if (a.dueDate && dueDay(a) !== dueDay(b)) return dueDay(a) < dueDay(b) ? -1 : 1;
+    if (rank(a) !== rank(b)) return rank(b) - rank(a);
+    if (a.dueDate && +new Date(a.dueDate) !== +new Date(b.dueDate)) return new Date(a.dueDate) - new Date(b.dueDate);
+    return String(a._id) < String(b._id) ? -1 : String(a._id) > String(b._id) ? 1 : 0;
+  };
+}
+
+// Fill free time from the earliest on with `minutes` of `task`, stopping at its due date
+function place(task, minutes, free, minBlockMinutes) {
+  const slot = SLOT_MINUTES * MINUTE_MS;
+  const dueDate = task.dueDate ? new Date(task.dueDate) : null;
+  const blocks = [];
+  const rest = [];
+  let remaining = minutes;
+  for (const interval of free) {
+    const limit = dueDate && dueDate < interval.end ? new Date(Math.floor(dueDate.getTime() / slot) * slot) : interval.end;
+    const available = Math.floor((limit - interval.start) / MINUTE_MS);
+    if (remaining > 0 && available >= Math.min(minBlockMinutes, remaining)) {
+      const take = Math.min(available, remaining);
+      const end = new Date(interval.start.getTime() + take * MINUTE_MS);
+      blocks.push({ task: task._id, start: interval.start, end, fingerprint: taskFingerprint(task) });
+      remaining -= take;
+      if (end < interval.end) rest.push({ start: end, end: interval.end });
+    } else {
+      rest.push(interval);
+    }
+  }
+  return { blocks, free: rest, remaining };
+}
+
+/**
+ * Work out the schedule for a user's open tasks.
+ * @param {object} input
+ * @param {Array<object>} input.tasks - Open tasks: { _id, title, dueDate, priorityRank, estimatedMinutes, actualMinutes, progress }
+ * @param {Array<object>} input.windows - Availability windows (see expandWindows)
+ * @param {Array<object>} [input.blocks] - Existing blocks: { _id, task, start, end, fingerprint }
+ * @param {Date} input.now
+ * @param {string} [input.timeZone]
+ * @param {number} input.horizonDays - How far ahead to schedule
+ * @param {number} input.defaultMinutes - Time needed by tasks without an estimate
+ * @param {number} input.minBlockMinutes - Shortest block worth placing (unless less time is left to place)
+ * @param {boolean} [input.replan] - Place all future blocks again instead of keeping unaffected ones
+ * @returns {{keep: Array, add: Array, remove: Array, unscheduled: Array}} Blocks to keep, to add
+ *   ({ task, start, end, fingerprint }) and to remove; `unscheduled` lists tasks that don't (fully) fit
+ *   before their due date: { task, title, dueDate, reason: 'past_due' | 'not_enough_time', missingMinutes }
+ */
+function planSchedule({ tasks, windows, blocks = [], now, timeZone = 'UTC', horizonDays, defaultMinutes, minBlockMinutes, replan = false }) {
+  const slot = SLOT_MINUTES * MINUTE_MS;
+  const from = new Date(Math.ceil(now.getTime() / slot) * slot);
+  const to = new Date(from.getTime() + horizonDays * DAY_MS);
+  const available = expandWindows(windows, from, to, timeZone);
+  const tasksById = new Map(tasks.map(task => [String(task._id), task]));
+
+  // Blocks that have started are history and stay as they are
+  const started = blocks.filter(block => block.start < now);
+  const upcoming = blocks.filter(block => block.start >= now).sort((a, b) => a.start - b.start || (String(a._id) < String(b._id) ? -1 : 1));
+  const keep = [...started];
+  const remove = [];
+  const scheduled = new Map(); // task id -> minutes in kept blocks that haven't ended
+  // A block in progress covers its task's time, also the part already behind (it isn't logged yet)
+  for (const block of started.filter(block => block.end > now)) {
+    const minutes = (block.end - block.start) / MINUTE_MS;
+    scheduled.set(String(block.task), (scheduled.get(String(block.task)) || 0) + minutes);
+  }
+  for (const block of upcoming) {
+    const task = tasksById.get(String(block.task));
+    const minutes = (block.end - block.start) / MINUTE_MS;
+    const fits = task && !replan
+      && block.fingerprint === taskFingerprint(task)
+      && (!task.dueDate || block.end <= new Date(task.dueDate))
+      && available.some(interval => block.start >= interval.start && block.end <= interval.end)
+      && !keep.some(other => other.start < block.end && block.start < other.end)
+      && (scheduled.get(String(block.task)) || 0) + minutes <= minutesNeeded(task, defaultMinutes);
+    if (fits) {
+      keep.push(block);
+      scheduled.set(String(block.task), (scheduled.get(String(block.task)) || 0) + minutes);
+    } else {
+      remove.push(block);
+    }
+  }
+
+  let free = subtract(available, [...keep].sort((a, b) => a.start - b.start));
+  const add = [];
+  const unscheduled = [];
+  const partial = []; // Tasks that don't fit before their due date: they get what is left after the others
+  const needs = [];
+  for (const task of [...tasks].sort(compareTasks(timeZone))) {
+    const remaining = minutesNeeded(task, defaultMinutes) - (scheduled.get(String(task._id)) || 0);
+    if (remaining <= 0) continue;
+    if (task.dueDate && new Date(task.dueDate) <= now) {
+      unscheduled.push({ task: task._id, title: task.title, dueDate: new Date(task.dueDate), reason: 'past_due', missingMinutes: remaining });
+      continue;
+    }
+    needs.push({ task, remaining });
+  }
+  for (const need of needs) {
+    const placed = place(need.task, need.remaining, free, minBlockMinutes);
+    if (placed.remaining > 0) {
+      partial.push(need);
+    } else {
+      add.push(...placed.blocks);
+      free = placed.free;
+    }
+  }
+  for (const { task, remaining } of partial) {
+    const placed = place(task, remaining, free, minBlockMinutes);
+    add.push(...placed.blocks);
+    free = placed.free;
+    unscheduled.push({ task: task._id, title: task.title, dueDate: task.dueDate ? new Date(task.dueDate) : null, reason: 'not_enough_time', missingMinutes: placed.remaining });
+  }
+  add.sort((a, b) => a.start - b.start);
+  return { keep, add, remove, unscheduled };
+}
+
+module.exports = { expandWindows, taskFingerprint, planSchedule };
@@ -0,0 +1,44 @@
+// Helpers for Server-Sent Events, both directions:
+// - writing events to an Express response (client-facing streams)
+// - reading `data:` frames from an upstream stream (OpenAI-style streaming APIs)
+
+// Prepare an Express response for SSE and flush headers immediately
+function initSSE(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx/Render)
+  res.flushHeaders();
+}
+
+// Write a single named event. Silently ignored once the response is closed.
+function sendSSE(res, event, data) {
+  if (res.writableEnded || res.destroyed) return false;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  return true;
+}
+
+// Async generator yielding the payload of each `data:` frame from a readable stream.
+// Stops at the OpenAI-style `[DONE]` sentinel.
+async function* parseSSE(stream) {
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      const data = frame
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (!data) continue;
+      if (data === '[DONE]') return;
+      yield data;
+    }
+  }
+}
+
+module.exports = { initSSE, sendSSE, parseSSE };
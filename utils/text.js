@@ -0,0 +1,38 @@
+// Text helpers for searching stored messages and naming exported files
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Split a search query into distinct, non-empty terms
+function searchTerms(query) {
+  return [...new Set(query.trim().split(/\s+/).filter(Boolean))];
+}
+
+/**
+ * Cut a snippet of `text` around the first match of any term and locate every term inside it.
+ * @returns {{snippet: string, highlights: Array<[number, number]>}} Highlight ranges are [start, end) offsets into the snippet
+ */
+function buildSnippet(text, terms, radius = 80) {
+  const pattern = new RegExp(terms.map(escapeRegex).join('|'), 'gi');
+  const first = text.search(pattern);
+  const start = first > radius ? first - radius : 0;
+  const end = Math.min(text.length, (first === -1 ? 0 : first) + radius * 2);
+  const prefix = start > 0 ? '…' : '';
+  const snippet = prefix + text.slice(start, end) + (end < text.length ? '…' : '');
+
+  const highlights = [];
+  const body = snippet.slice(prefix.length);
+  let match;
+  while ((match = pattern.exec(body)) !== null) {
+    highlights.push([match.index + prefix.length, match.index + prefix.length + match[0].length]);
+  }
+  return { snippet, highlights };
+}
+
+// Client-supplied IDs as a file name part: only letters, digits, '_' and '-' (no '/' or '..')
+function safeFileName(text) {
+  return text.replace(/[^a-z0-9_\-]/gi, '_').toLowerCase();
+}
+
+module.exports = { escapeRegex, searchTerms, buildSnippet, safeFileName };
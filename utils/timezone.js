@@ -0,0 +1,13 @@
+// IANA timezone names (e.g. 'Europe/Berlin'), as stored on users and found in calendar files
+
+// True if Intl knows the timezone
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = { isValidTimezone };
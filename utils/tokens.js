@@ -0,0 +1,39 @@
+// Rough token estimates for budgeting AI context.
+// Providers use different tokenizers, so this errs on the high side instead of pulling one in:
+// about 4 characters per token for English text, plus a small per-message overhead.
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4; // Role and separators
+const IMAGE_TOKENS = 765; // Typical cost of one image at default detail
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+// Estimate one OpenAI-format message (string or multi-part content, tool calls included)
+function estimateMessageTokens(message) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS;
+  if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      tokens += part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text);
+    }
+  } else {
+    tokens += estimateTokens(message.content);
+  }
+  for (const tc of message.tool_calls || []) {
+    tokens += estimateTokens(tc.function?.name) + estimateTokens(tc.function?.arguments);
+  }
+  return tokens;
+}
+
+function estimateMessagesTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+}
+
+// Cut text down to roughly `maxTokens`, marking that it was truncated
+function truncateToTokens(text, maxTokens) {
+  if (!text || estimateTokens(text) <= maxTokens) return text;
+  return `${String(text).slice(0, maxTokens * CHARS_PER_TOKEN)}… [truncated]`;
+}
+
+module.exports = { estimateTokens, estimateMessageTokens, estimateMessagesTokens, truncateToTokens };